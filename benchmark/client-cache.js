@@ -0,0 +1,65 @@
+// client-cache.js - Compare upload URL signing throughput with a new S3 client per
+// request (the previous behaviour) and with the cached client of each provider.
+//
+// Usage: node benchmark/client-cache.js [iterations]
+
+const MultiBucket = require('../index');
+
+const iterations = parseInt(process.argv[2] || '2000', 10);
+
+const createPresigner = () => new MultiBucket({
+  providers: [
+    {
+      id: 's3-bench',
+      type: 's3',
+      bucket: 'bench-bucket',
+      region: 'us-east-1',
+      accessKeyId: 'AKIABENCHMARK',
+      secretAccessKey: 'benchmark-secret',
+      rateLimit: Infinity
+    },
+    {
+      id: 'r2-bench',
+      type: 'r2',
+      bucket: 'bench-r2-bucket',
+      endpoint: 'https://account-id.r2.cloudflarestorage.com',
+      accessKeyId: 'R2-BENCHMARK',
+      secretAccessKey: 'r2-benchmark-secret',
+      rateLimit: Infinity
+    }
+  ]
+});
+
+const run = async (label, presigner) => {
+  // Warm up so both runs start with loaded modules and a JIT-compiled signing path
+  for (let i = 0; i < 100; i++) {
+    await presigner.generateUploadUrl({ filename: 'warmup.jpg', contentType: 'image/jpeg' });
+  }
+
+  const heapBefore = process.memoryUsage().heapUsed;
+  const start = process.hrtime.bigint();
+
+  for (let i = 0; i < iterations; i++) {
+    await presigner.generateUploadUrl({ filename: `file-${i}.jpg`, contentType: 'image/jpeg' });
+  }
+
+  const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+  const heapDelta = (process.memoryUsage().heapUsed - heapBefore) / 1024 / 1024;
+  const perSecond = iterations / seconds;
+
+  console.log(`${label.padEnd(26)} ${perSecond.toFixed(0).padStart(8)} URLs/s   heap +${heapDelta.toFixed(1)} MB`);
+  return perSecond;
+};
+
+(async () => {
+  console.log(`Signing ${iterations} upload URLs\n`);
+
+  // Bypass the cache by building a fresh client for every request
+  const uncached = createPresigner();
+  uncached.getClient = provider => uncached.createClient(provider);
+
+  const before = await run('new client per request', uncached);
+  const after = await run('cached client per provider', createPresigner());
+
+  console.log(`\nSpeedup: ${(after / before).toFixed(2)}x`);
+})();
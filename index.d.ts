@@ -2,18 +2,120 @@
 // Project: multibucket
 // Definitions are kept minimal to reflect public API exported by index.js
 
+import { EventEmitter } from 'events';
+import { KeyObject } from 'crypto';
+
+/** Built-in provider types, or a type registered with MultiBucket.registerProviderType */
+type ProviderType = 's3' | 'r2' | 'minio' | 'b2' | 'spaces' | 'wasabi' | 'gcs' | 'azure' | 'local' | (string & {});
+
+/** A user delegation key obtained from Azure (Get User Delegation Key), used to sign SAS URLs locally */
+interface AzureUserDelegationKey {
+    signedObjectId: string;
+    signedTenantId: string;
+    signedStartsOn: string; // ISO timestamp
+    signedExpiresOn: string; // ISO timestamp
+    signedService: string;
+    signedVersion: string;
+    value: string; // base64
+}
+
 interface ProviderConfig {
     id: string;
-    type: 's3' | 'r2';
+    type: ProviderType;
     bucket: string;
     region?: string;
     endpoint?: string;
+    /** Cloudflare account ID, used to derive the R2 endpoint */
+    accountId?: string;
+    /** Azure storage account name (the container goes in `bucket`) */
+    accountName?: string;
+    /** Azure storage account key (base64) */
+    accountKey?: string;
+    /** Azure user delegation key, instead of accountKey */
+    userDelegationKey?: AzureUserDelegationKey;
+    /** Local provider: directory holding one sub-directory per bucket */
+    directory?: string;
+    /** Local provider: base URL of the server created with createServer (default: http://localhost:<port>) */
+    baseUrl?: string;
+    /** Local provider: secret signing its URLs (default: the instance's localSigningSecret) */
+    secret?: string;
     accessKeyId?: string;
     secretAccessKey?: string;
     weight?: number;
     publicUrlBase?: string;
+    /** Public URL template using {bucket}, {region}, {endpoint}, {accountId} and {key} */
+    publicUrlTemplate?: string;
+    /** Requests per second (token bucket refill rate, default: 1000) */
     rateLimit?: number;
+    /** Token bucket size, the largest burst of requests (default: rateLimit) */
+    burst?: number;
     forcePathStyle?: boolean;
+    replication?: ReplicationRule | ReplicationRule[];
+    /** Storage quota in bytes */
+    maxBytes?: number;
+    /** Quota on the number of stored objects */
+    maxObjects?: number;
+    /** Share of the quotas (0-1) above which the provider gets no new uploads (default: capacity.highWaterMark) */
+    highWaterMark?: number;
+    pricing?: ProviderPricing;
+    /** The bucket serves objects publicly, so dangerous uploads are blocked on it */
+    public?: boolean;
+    /** Template of new object keys on this provider (default: the instance's keyTemplate) */
+    keyTemplate?: string;
+}
+
+/** Prices in `currency` (default: USD). GB are GiB, as storage providers bill them. */
+interface ProviderPricing {
+    storagePerGBMonth?: number;
+    egressPerGB?: number;
+    perPut?: number;
+    perGet?: number;
+    currency?: string;
+}
+
+/** Hints for the 'lowest-cost' strategy */
+interface CostHints {
+    size?: number;
+    expectedReads?: number; // default: 1
+    retentionMonths?: number; // default: 1
+}
+
+interface SpendStats {
+    currency: string;
+    storage: number;
+    egress: number;
+    requests: number;
+    total: number;
+    monthlyStorageRate: number; // storage cost per month at the current usage
+}
+
+interface ReplicationRule {
+    /** Only replicate keys starting with this prefix (default: every key) */
+    prefix?: string;
+    /** Provider IDs that receive a copy */
+    targets?: string[];
+    /** Number of other providers that receive a copy, picked by consistent hashing of the key */
+    copies?: number;
+}
+
+interface ReplicationOptions {
+    concurrency?: number;
+    maxAttempts?: number;
+    retryDelay?: number;
+}
+
+type ReplicationJobStatus = 'pending' | 'running' | 'retrying' | 'completed' | 'failed';
+
+interface ReplicationJob {
+    id: string;
+    key: string;
+    sourceProviderId: string;
+    targetProviderId: string;
+    status: ReplicationJobStatus;
+    attempts: number;
+    error: string | null;
+    createdAt: string; // ISO timestamp
+    updatedAt: string; // ISO timestamp
 }
 
 interface MultiBucketOptions {
@@ -21,6 +123,324 @@ interface MultiBucketOptions {
     configSource?: string;
     loadBalanceStrategy?: string;
     defaultExpiry?: number;
+    maxUploadSize?: number;
+    /** Milliseconds after which unfinished multipart uploads are forgotten (default: 7 days) */
+    multipartUploadTTL?: number;
+    circuitBreaker?: CircuitBreakerOptions;
+    healthCheckInterval?: number;
+    locationStore?: LocationStore;
+    virtualNodes?: number;
+    strategies?: Record<string, LoadBalanceStrategy>;
+    replication?: ReplicationOptions;
+    localSigningSecret?: string;
+    stats?: StatsOptions;
+    capacity?: { highWaterMark?: number };
+    rateLimitPolicy?: RateLimitPolicy;
+    tenants?: TenantConfig[];
+    uploadPolicy?: UploadPolicy;
+    /** Placeholders: {path} {uuid} {ulid} {yyyy} {mm} {dd} {ext} {slug} {filename} {sha256-prefix} {tenant} */
+    keyTemplate?: string;
+}
+
+/** Every rule whose pathPrefix starts the key applies */
+interface UploadRule {
+    /** Key prefix the rule applies to (default: every key) */
+    pathPrefix?: string;
+    /** MIME types such as 'image/png' or 'image/*' */
+    allowTypes?: string[];
+    denyTypes?: string[];
+    /** Extensions such as '.png' or 'png' */
+    allowExtensions?: string[];
+    denyExtensions?: string[];
+    /** Largest declared size in bytes; uploads under the rule must declare their size */
+    maxSize?: number;
+}
+
+interface UploadPolicy {
+    rules?: UploadRule[];
+    /** Types blocked on public providers (default: HTML, XHTML, SVG, JavaScript, XML) */
+    dangerousTypes?: string[];
+    /** Extensions blocked on public providers (default: .html, .htm, .shtml, .xhtml, .svg, .svgz, .js, .mjs, .xml) */
+    dangerousExtensions?: string[];
+}
+
+type UploadViolationCode = 'type_not_allowed' | 'type_denied' | 'extension_not_allowed' | 'extension_denied'
+    | 'filename_required' | 'size_required' | 'size_exceeded' | 'dangerous_type';
+
+interface UploadViolation {
+    /** Index of the broken rule, null for dangerous types */
+    rule: number | null;
+    pathPrefix: string | null;
+    code: UploadViolationCode;
+    message: string;
+}
+
+interface UploadCheck {
+    key: string;
+    filename?: string;
+    contentType?: string;
+    contentTypePrefix?: string;
+    size?: number;
+    provider?: ProviderConfig;
+}
+
+interface TenantConfig {
+    id: string;
+    /** Mandatory key prefix, normalized to end with a slash; may not overlap another tenant's */
+    prefix: string;
+    /** Provider IDs the tenant's objects go to (default: all providers) */
+    providers?: string[];
+    loadBalanceStrategy?: string;
+    defaultExpiry?: number;
+    quotas?: { maxBytes?: number; maxObjects?: number };
+}
+
+interface TenantUsage {
+    usedBytes: number;
+    usedObjects: number;
+    pendingBytes: number;
+    pendingObjects: number;
+}
+
+interface TenantStats {
+    id: string;
+    prefix: string;
+    providers: string[];
+    usage: TenantUsage;
+    quotas: { maxBytes: number | null; maxObjects: number | null };
+    acceptingUploads: boolean;
+}
+
+interface RateLimitPolicy {
+    /** 'overflow' to another provider with tokens, 'wait' for a token or 'fail' fast (default: 'overflow') */
+    mode?: 'overflow' | 'wait' | 'fail';
+    /** Longest wait for a token in milliseconds, with the 'wait' mode (default: 1000) */
+    maxWait?: number;
+}
+
+type AuthScope = 'upload' | 'read' | 'stats';
+
+/** What an API key, token or custom verifier grants. Omitted prefixes or providers mean no restriction. */
+interface AuthPrincipal {
+    scopes?: AuthScope[];
+    /** Object keys must start with one of these */
+    pathPrefixes?: string[];
+    /** Provider IDs requests may be routed to */
+    providers?: string[];
+    /** Tenant the principal always acts for */
+    tenantId?: string;
+    [claim: string]: any;
+}
+
+interface ApiKeyConfig extends AuthPrincipal {
+    key: string;
+}
+
+interface JwtAuthOptions {
+    algorithm: 'HS256' | 'RS256';
+    /** HS256 shared secret */
+    secret?: string | Buffer;
+    /** RS256 public key, PEM or KeyObject */
+    publicKey?: string | Buffer | KeyObject;
+    issuer?: string;
+    audience?: string;
+    /** Allowed clock skew for exp and nbf, in seconds (default: 0) */
+    clockTolerance?: number;
+}
+
+interface AuthOptions {
+    apiKeys?: ApiKeyConfig[];
+    /** Tokens carry a space separated `scope` or a `scopes` array, and optional `pathPrefixes`, `providers` and `tenantId` claims */
+    jwt?: JwtAuthOptions;
+    /** Resolve the request to a principal, or to null to reject it */
+    verify?: (req: any) => AuthPrincipal | null | Promise<AuthPrincipal | null>;
+}
+
+interface ServerOptions {
+    auth?: AuthOptions;
+}
+
+interface ProviderCapacity {
+    usedBytes: number;
+    usedObjects: number;
+    pendingBytes: number;
+    pendingObjects: number;
+    reconciledAt: string | null; // ISO timestamp
+}
+
+interface CapacityStats extends ProviderCapacity {
+    maxBytes: number | null;
+    maxObjects: number | null;
+    utilization: number | null; // 0-1, null without quotas
+    acceptingUploads: boolean;
+}
+
+interface ReconcileUsageResult {
+    provider: string;
+    usedBytes: number;
+    usedObjects: number;
+    reconciledAt: string; // ISO timestamp
+}
+
+interface StatsOptions {
+    windows?: number[]; // seconds
+    bucketSize?: number; // seconds
+    strategyWindow?: number; // seconds
+    snapshotFile?: string;
+    snapshotInterval?: number; // milliseconds
+}
+
+interface WindowStats {
+    requests: number;
+    errors: number;
+    requestsPerSecond: number;
+    errorRate: number;
+}
+
+/** Request and error counts in a ring buffer of fixed-size time buckets */
+interface SlidingWindowCounter {
+    bucketSize: number;
+    buckets: Array<{ start: number; requests: number; errors: number }>;
+    record(field: 'requests' | 'errors', now?: number): void;
+    sum(window: number, now?: number): { requests: number; errors: number };
+}
+
+/**
+ * A custom load balancing strategy. Receives the eligible providers, the usage metrics keyed by
+ * provider ID and the request options, and returns one of the eligible providers or its ID.
+ */
+type LoadBalanceStrategy = (
+    this: MultiBucket,
+    providers: ProviderConfig[],
+    providerUsage: Record<string, ProviderUsage>,
+    options: Record<string, any>
+) => ProviderConfig | string;
+
+interface ConfigError {
+    path: string; // e.g. 'providers[1].weight'
+    message: string;
+}
+
+interface ConfigUpdateResult {
+    applied: string[]; // IDs of the providers that were added or updated
+    errors: ConfigError[];
+}
+
+interface ProviderSelectedEvent {
+    provider: string;
+    type: ProviderType;
+    strategy: string;
+    capability: 'post' | 'multipart' | 'replication' | null;
+    candidates: string[]; // IDs of the providers that were eligible
+}
+
+/** Issued upload URLs are described without the URL itself, which grants access */
+interface UploadUrlIssuedEvent {
+    method: 'PUT' | 'POST';
+    key: string;
+    bucket: string;
+    provider: string;
+    contentType: string | null;
+    expires: string; // ISO timestamp
+}
+
+interface ReadUrlIssuedEvent {
+    key: string;
+    bucket: string;
+    provider: string;
+    expires: string; // ISO timestamp
+    failover: boolean;
+}
+
+interface ConfigReloadedEvent {
+    added: string[];
+    changed: string[];
+    removed: string[];
+    errors: ConfigError[]; // Entries rejected by validation
+}
+
+interface ConfigErrorEvent {
+    errors: ConfigError[];
+    error?: Error; // Set when the config source could not be loaded or parsed
+}
+
+interface ProviderErrorEvent {
+    provider: string;
+    error?: Error;
+    health: ProviderHealth;
+    consecutiveFailures: number;
+}
+
+interface MultiBucketEvents {
+    providerSelected: [event: ProviderSelectedEvent];
+    uploadUrlIssued: [event: UploadUrlIssuedEvent];
+    readUrlIssued: [event: ReadUrlIssuedEvent];
+    configReloaded: [event: ConfigReloadedEvent];
+    configError: [event: ConfigErrorEvent];
+    providerError: [event: ProviderErrorEvent];
+}
+
+interface ObjectLocation {
+    providerId: string;
+    bucket: string;
+    createdAt: string; // ISO timestamp
+    replicas?: string[];
+}
+
+/** Any store with these methods can record object locations; methods may be async. */
+interface LocationStore {
+    get(key: string): ObjectLocation | null | undefined | Promise<ObjectLocation | null | undefined>;
+    set(key: string, location: ObjectLocation): void | Promise<void>;
+    delete?(key: string): void | Promise<void>;
+}
+
+interface ProviderPreset {
+    region?: string;
+    signingRegion?: string;
+    /** Endpoint template using {region} and {accountId} */
+    endpoint?: string;
+    requiresEndpoint?: boolean;
+    forcePathStyle?: boolean;
+    /** Public URL template, or a function of the provider returning one */
+    publicUrl?: string | ((provider: ProviderConfig) => string | null) | null;
+    clientOptions?: Record<string, any>;
+}
+
+interface CircuitBreakerOptions {
+    failureThreshold?: number;
+    cooldown?: number;
+}
+
+type ProviderHealth = 'healthy' | 'degraded' | 'open' | 'half-open';
+
+interface ProviderUsage {
+    requestCount: number;
+    errorCount: number;
+    lastUsed: number;
+    rateLimit: number;
+    tokens: number;
+    tokensUpdatedAt: number;
+    rateLimited: number;
+    failedConfirmations: number;
+    health: ProviderHealth;
+    consecutiveFailures: number;
+    circuitOpenedAt: number;
+    /** When the pending trial request of a half-open provider started */
+    trialStartedAt: number;
+    lastError: string | null;
+    lastCheckedAt: number;
+    rateLimitFallbacks: number;
+    signingDurations: Record<string, SigningHistogram>; // keyed by operation
+    recent: SlidingWindowCounter;
+    capacity: ProviderCapacity;
+    spend: { puts: number; gets: number; egressBytes: number; storageGBMonths: number; accruedAt: number };
+}
+
+/** Cumulative counts per bucket upper bound (see getMetrics), with the sum and count of observations in seconds */
+interface SigningHistogram {
+    buckets: number[];
+    sum: number;
+    count: number;
 }
 
 interface UploadUrlResult {
@@ -30,6 +450,48 @@ interface UploadUrlResult {
     bucket: string;
     provider: string;
     expires: string; // ISO timestamp
+    /** Headers the client must send with the PUT */
+    uploadHeaders: Record<string, string>;
+}
+
+interface UploadMismatch {
+    field: 'size' | 'contentType' | 'checksumSHA256';
+    expected: string | number;
+    actual: string | number | null;
+}
+
+interface ConfirmUploadResult {
+    confirmed: boolean;
+    exists: boolean;
+    mismatches: UploadMismatch[];
+    key: string;
+    bucket: string;
+    provider: string;
+    publicUrl: string | null;
+    size: number | null;
+    contentType: string | null;
+    etag: string | null;
+    checksumSHA256: string | null;
+    lastModified: string | null; // ISO timestamp
+    replicationJobs: string[];
+}
+
+interface UploadPostResult {
+    url: string;
+    fields: Record<string, string>;
+    publicUrl: string | null;
+    key: string;
+    bucket: string;
+    provider: string;
+    minSize: number;
+    maxSize: number;
+    expires: string; // ISO timestamp
+}
+
+interface ReadFailoverAttempt {
+    provider: string;
+    result: 'found' | 'missing' | 'error';
+    error?: string;
 }
 
 interface ReadUrlResult {
@@ -38,18 +500,268 @@ interface ReadUrlResult {
     bucket: string;
     provider: string;
     expires: string; // ISO timestamp
+    /** Present in failover mode */
+    failover?: {
+        attempts: number;
+        tried: ReadFailoverAttempt[];
+    };
+}
+
+/** A batch item that failed, with what the single-item route would have returned */
+interface BatchItemError {
+    index: number;
+    status: number;
+    error: string;
+    code?: UploadViolationCode;
+    violations?: UploadViolation[];
+    retryAfter?: number;
 }
 
-declare class MultiBucket {
+type BatchResult<T> = (T & { index: number; error?: undefined }) | BatchItemError;
+
+interface BatchOptions {
+    /** Maximum number of URLs signed at once (default: 10) */
+    concurrency?: number;
+}
+
+interface MultipartUploadResult {
+    uploadId: string;
+    publicUrl: string | null;
+    key: string;
+    bucket: string;
+    provider: string;
+}
+
+interface UploadPartUrlResult {
+    uploadUrl: string;
+    partNumber: number;
+    uploadId: string;
+    key: string;
+    bucket: string;
+    provider: string;
+    expires: string; // ISO timestamp
+}
+
+interface CompletedPart {
+    partNumber: number;
+    etag: string;
+}
+
+interface CompleteMultipartUploadResult {
+    publicUrl: string | null;
+    key: string;
+    bucket: string;
+    provider: string;
+    etag?: string;
+    replicationJobs: string[];
+}
+
+interface AbortMultipartUploadResult {
+    aborted: true;
+    uploadId: string;
+    key: string;
+    provider: string;
+}
+
+declare class MemoryLocationStore implements LocationStore {
+    constructor();
+    get(key: string): ObjectLocation | null;
+    set(key: string, location: ObjectLocation): void;
+    delete(key: string): void;
+}
+
+/** Thrown when providers are out of rate limit tokens */
+declare class RateLimitError extends Error {
+    constructor(message: string, retryAfter: number, providerId?: string);
+    name: 'RateLimitError';
+    /** Milliseconds until a token is available again */
+    retryAfter: number;
+    /** The rate-limited provider, unless every provider is */
+    providerId?: string;
+}
+
+/** Thrown by the server when a request is not authenticated (401) or not allowed (403) */
+declare class AuthError extends Error {
+    constructor(message: string, status?: 401 | 403);
+    name: 'AuthError';
+    status: 401 | 403;
+}
+
+/** Thrown when an upload breaks the upload policy: 413 if only sizes are too large, 400 otherwise */
+declare class UploadPolicyError extends Error {
+    constructor(message: string, violations: UploadViolation[]);
+    name: 'UploadPolicyError';
+    /** Code of the first violation */
+    code: UploadViolationCode;
+    status: 400 | 413;
+    violations: UploadViolation[];
+}
+
+/** Thrown by the createServer routes for a request body with missing or invalid fields */
+declare class RequestValidationError extends Error {
+    constructor(errors: ConfigError[]);
+    name: 'RequestValidationError';
+    status: 400;
+    errors: ConfigError[];
+}
+
+/** Thrown when a request breaks its tenant's boundaries */
+declare class TenantError extends Error {
+    constructor(message: string, status: 403 | 404 | 507);
+    name: 'TenantError';
+    /** 404 for an unknown tenant, 403 for a key or provider outside the tenant, 507 over quota */
+    status: 403 | 404 | 507;
+}
+
+declare class JsonFileLocationStore implements LocationStore {
+    constructor(filePath: string);
+    filePath: string;
+    get(key: string): ObjectLocation | null;
+    set(key: string, location: ObjectLocation): Promise<void>;
+    delete(key: string): Promise<void>;
+    save(): Promise<void>;
+}
+
+declare class MultiBucket extends EventEmitter {
+    static MemoryLocationStore: typeof MemoryLocationStore;
+    static JsonFileLocationStore: typeof JsonFileLocationStore;
+    static RateLimitError: typeof RateLimitError;
+    static AuthError: typeof AuthError;
+    static UploadPolicyError: typeof UploadPolicyError;
+    static RequestValidationError: typeof RequestValidationError;
+    static TenantError: typeof TenantError;
+    static registerProviderType(type: string, preset: ProviderPreset): void;
+    static getProviderPreset(type: string): ProviderPreset;
+    static registerStrategy(name: string, strategy: LoadBalanceStrategy): void;
+
     constructor(options?: MultiBucketOptions);
+    on<E extends keyof MultiBucketEvents>(event: E, listener: (...args: MultiBucketEvents[E]) => void): this;
+    once<E extends keyof MultiBucketEvents>(event: E, listener: (...args: MultiBucketEvents[E]) => void): this;
+    off<E extends keyof MultiBucketEvents>(event: E, listener: (...args: MultiBucketEvents[E]) => void): this;
+    emit<E extends keyof MultiBucketEvents>(event: E, ...args: MultiBucketEvents[E]): boolean;
     loadExternalConfig(): Promise<void>;
-    updateConfig(configData: any): void;
-    getStorageProvider(): ProviderConfig;
+    updateConfig(configData: any): ConfigUpdateResult;
+    forgetProviders(providerIds: string[]): ConfigError[];
+    updateTenants(tenants: TenantConfig[]): ConfigError[];
+    tenants: Map<string, TenantConfig>;
+    tenantUsage: Record<string, TenantUsage>;
+    getTenant(tenantId: string): TenantConfig;
+    getTenantForKey(key: string): TenantConfig | null;
+    applyTenant<T extends { tenantId?: string }>(options: T): T & { tenant?: TenantConfig; allowedProviders?: string[]; strategy?: string };
+    assertTenantKey(tenant: TenantConfig, key: string): void;
+    hasTenantQuota(tenant: TenantConfig, size?: number): boolean;
+    uploadPolicy: Required<UploadPolicy>;
+    keyTemplate: string;
+    checkUploadPolicy(upload: UploadCheck): UploadViolation[];
+    assertUploadPolicy(upload: UploadCheck): void;
+    isDangerousUpload(upload: { filename?: string; contentType?: string; contentTypePrefix?: string }): boolean;
+    restrictDangerousUpload<T extends { providerId?: string; allowedProviders?: string[] }>(options: T): T;
+    getUploadPolicyMaxSize(key: string): number;
+    reportConfigErrors(errors: ConfigError[]): void;
+    reportConfigLoadError(description: string, error: Error): void;
+    providers: ProviderConfig[];
+    configErrors: ConfigError[];
+    configReloads: { success: number; failure: number };
+    providerUsage: Record<string, ProviderUsage>;
+    loadBalanceStrategy: string;
+    registerStrategy(name: string, strategy: LoadBalanceStrategy): void;
+    getCustomStrategy(name: string): LoadBalanceStrategy | undefined;
+    isKnownStrategy(name: string): boolean;
+    assertStrategyExists(name: string): void;
+    createProviderUsage(provider: ProviderConfig): ProviderUsage;
+    recordProviderFailure(providerId: string, error?: Error): void;
+    recordProviderSuccess(providerId: string): void;
+    isProviderAvailable(provider: ProviderConfig): boolean;
+    startProviderTrial(provider: ProviderConfig): void;
+    probeProvider(provider: ProviderConfig): Promise<boolean>;
+    checkProviderHealth(): Promise<Record<string, ProviderHealth>>;
+    startHealthChecks(interval?: number): void;
+    stopHealthChecks(): void;
+    hashToRing(value: string): number;
+    getHashRing(): Array<{ position: number; providerId: string }>;
+    selectByConsistentHash(routingKey: string, candidates: ProviderConfig[]): ProviderConfig;
+    rateLimitPolicy: Required<RateLimitPolicy>;
+    applyStrategy(candidates: ProviderConfig[], options: Record<string, any>): ProviderConfig;
+    refillTokens(provider: ProviderConfig, now?: number): ProviderUsage;
+    takeToken(provider: ProviderConfig, now?: number): boolean;
+    getTokenWait(provider: ProviderConfig, now?: number): number;
+    acquireStorageProvider(options?: { routingKey?: string; path?: string; size?: number; allowedProviders?: string[]; strategy?: string; [option: string]: any }, capability?: 'post' | 'multipart' | 'replication'): Promise<ProviderConfig>;
+    getCandidateProviders(options?: { path?: string; size?: number; allowedProviders?: string[]; [option: string]: any }, capability?: 'post' | 'multipart' | 'replication'): ProviderConfig[];
+    commitProviderSelection(selectedProvider: ProviderConfig, candidates: ProviderConfig[], options: Record<string, any>, capability?: string, now?: number): ProviderConfig;
+    getStorageProvider(options?: { routingKey?: string; path?: string; size?: number; allowedProviders?: string[]; strategy?: string; [option: string]: any }, capability?: 'post' | 'multipart' | 'replication'): ProviderConfig;
     createClient(provider: ProviderConfig): any;
-    generateUploadUrl(options: { filename: string; contentType: string; expiry?: number; path?: string; providerId?: string; keySpecified?: string }): Promise<UploadUrlResult>;
-    generateReadUrl(options: { key: string; bucket?: string; providerId?: string; expiry?: number }): Promise<ReadUrlResult>;
-    getStats(): any;
-    createServer(port?: number): { app: any; server: any };
+    getClient(provider: ProviderConfig): any;
+    getClientSignature(provider: ProviderConfig): string;
+    disposeClient(providerId: string): void;
+    getProviderEndpoint(provider: ProviderConfig): string | undefined;
+    getAzureEndpoint(provider: ProviderConfig): string;
+    generateAzureSasUrl(provider: ProviderConfig, key: string | null, options: { permissions: string; expiry: number; contentDisposition?: string }): string;
+    probeAzureContainer(provider: ProviderConfig): Promise<Record<string, string>>;
+    getLocalObjectPaths(provider: ProviderConfig, key: string): { filePath: string; metadataPath: string };
+    signLocalRequest(provider: ProviderConfig, fields: Array<string | number>): string;
+    generateLocalUrl(provider: ProviderConfig, key: string, options: { method: 'PUT' | 'GET'; expiry: number; contentType?: string; contentDisposition?: string }): string;
+    verifyLocalRequest(provider: ProviderConfig, method: 'PUT' | 'GET', key: string, query: Record<string, any>): string | null;
+    headLocalObject(provider: ProviderConfig, key: string): Promise<any>;
+    createLocalStorageRouter(): any;
+    headObject(provider: ProviderConfig, key: string, options?: { checksum?: boolean }): Promise<any>;
+    generateUploadUrl(options: { filename: string; contentType: string; expiry?: number; path?: string; providerId?: string; allowedProviders?: string[]; allowedKeyPrefixes?: string[]; tenantId?: string; routingKey?: string; keySpecified?: string; size?: number; checksumSHA256?: string; expectedReads?: number; retentionMonths?: number }): Promise<UploadUrlResult>;
+    pinBatchItem(item: Parameters<MultiBucket['generateUploadUrl']>[0], pinnedId: string): Parameters<MultiBucket['generateUploadUrl']>[0];
+    generateUploadUrls(items: Parameters<MultiBucket['generateUploadUrl']>[0][], options?: BatchOptions & { sameProvider?: boolean; providerId?: string }): Promise<BatchResult<UploadUrlResult>[]>;
+    validateBatch(items: object[], options: BatchOptions): void;
+    sweepExpiredUploads(force?: boolean): void;
+    trackPendingUpload(key: string, upload: { providerId: string; contentType?: string; size?: number; checksumSHA256?: string; expiresAt: number }): void;
+    resolveUploadProviderId(options: { key: string; provider?: string; providerId?: string }): Promise<string>;
+    confirmUpload(options: { key: string; provider?: string; size?: number; contentType?: string; checksumSHA256?: string }): Promise<ConfirmUploadResult>;
+    generateUploadPost(options: { filename?: string; contentType?: string; contentTypePrefix?: string; minSize?: number; maxSize?: number; expiry?: number; path?: string; providerId?: string; allowedProviders?: string[]; allowedKeyPrefixes?: string[]; tenantId?: string; routingKey?: string; keySpecified?: string }): Promise<UploadPostResult>;
+    buildObjectKey(options: { filename: string; path?: string; keySpecified?: string; checksumSHA256?: string; tenant?: TenantConfig }, provider?: ProviderConfig): string;
+    assertKeyAllowed(key: string, prefixes?: string[]): void;
+    getPublicUrl(provider: ProviderConfig, key: string): string | null;
+    createMultipartUpload(options: { filename: string; contentType: string; path?: string; providerId?: string; allowedProviders?: string[]; allowedKeyPrefixes?: string[]; tenantId?: string; routingKey?: string; size?: number; expectedReads?: number; retentionMonths?: number; keySpecified?: string }): Promise<MultipartUploadResult>;
+    generateUploadPartUrl(options: { key: string; uploadId: string; partNumber: number; providerId?: string; expiry?: number }): Promise<UploadPartUrlResult>;
+    completeMultipartUpload(options: { key: string; uploadId: string; parts: CompletedPart[]; providerId?: string }): Promise<CompleteMultipartUploadResult>;
+    abortMultipartUpload(options: { key: string; uploadId: string; providerId?: string }): Promise<AbortMultipartUploadResult>;
+    recordObjectLocation(key: string, provider: ProviderConfig): Promise<void>;
+    recordReplicaLocation(key: string, provider: ProviderConfig, sourceProvider: ProviderConfig): Promise<void>;
+    getObjectLocation(key: string): Promise<ObjectLocation | null>;
+    resolveReadProvider(options: { key?: string; bucket?: string; providerId?: string }): Promise<ProviderConfig>;
+    getReadCandidates(options: { key: string; providerId?: string; candidates?: string[] }): Promise<ProviderConfig[]>;
+    findReadProvider(options: { key: string; providerId?: string; candidates?: string[] }): Promise<{ provider: ProviderConfig; tried: ReadFailoverAttempt[] }>;
+    generateReadUrl(options: { key: string; filename?: string; bucket?: string; providerId?: string; expiry?: number; failover?: boolean; candidates?: string[]; size?: number; tenantId?: string }): Promise<ReadUrlResult>;
+    generateReadUrls(items: Parameters<MultiBucket['generateReadUrl']>[0][], options?: BatchOptions): Promise<BatchResult<ReadUrlResult>[]>;
+    getReplicationTargets(key: string, sourceProvider: ProviderConfig): ProviderConfig[];
+    replicateObject(key: string, sourceProvider: ProviderConfig): ReplicationJob[];
+    enqueueReplication(key: string, sourceProviderId: string, targetProviderId: string): ReplicationJob;
+    processReplicationQueue(): void;
+    runReplicationJob(job: ReplicationJob): Promise<void>;
+    copyObject(key: string, sourceProviderId: string, targetProviderId: string): Promise<void>;
+    pruneReplicationJobs(): void;
+    getReplicationJob(id: string): ReplicationJob | null;
+    getReplicationJobs(filter?: { status?: ReplicationJobStatus; key?: string }): ReplicationJob[];
+    getStats(): { providerCount: number; totalRequests: number; providerStats: any[]; tenantStats: TenantStats[] };
+    observeSigningDuration(providerId: string, operation: 'upload' | 'post' | 'read' | 'upload-part', start: bigint): void;
+    getMetrics(): string;
+    getCapacityStats(provider: ProviderConfig): CapacityStats;
+    hasFreeCapacity(provider: ProviderConfig, size?: number): boolean;
+    reserveCapacity(providerId: string, size?: number, key?: string): void;
+    releaseCapacity(providerId: string, size?: number, key?: string): void;
+    recordStoredObject(providerId: string, size?: number, key?: string): void;
+    recordDownload(providerId: string, size?: number): void;
+    accrueStorage(providerId: string): ProviderUsage['spend'];
+    estimateObjectCost(provider: ProviderConfig, hints?: CostHints): number;
+    getSpendStats(provider: ProviderConfig): SpendStats | null;
+    reconcileProviderUsage(providerId: string): Promise<ReconcileUsageResult>;
+    listAzureUsage(provider: ProviderConfig): Promise<{ bytes: number; objects: number }>;
+    listLocalUsage(provider: ProviderConfig): Promise<{ bytes: number; objects: number }>;
+    getWindowStats(provider: ProviderConfig): Record<string, WindowStats>; // keyed by window, e.g. '300s'
+    getRecentUsage(providers: ProviderConfig[], window: number): Record<string, { requests: number; errors: number; errorRate: number }>;
+    loadStatsSnapshot(): void;
+    saveStatsSnapshot(): Promise<void>;
+    startStatsSnapshots(interval?: number): void;
+    stopStatsSnapshots(): void;
+    authenticateRequest(req: any, auth: AuthOptions): Promise<AuthPrincipal>;
+    authorizeRequest(principal: AuthPrincipal | undefined, request: { scope?: AuthScope; key?: string; providerId?: string }): void;
+    restrictReadOptions<T extends { key: string; providerId?: string; failover?: boolean; candidates?: string[] }>(principal: AuthPrincipal | undefined, options: T): Promise<T>;
+    createServer(port?: number, options?: ServerOptions): { app: any; server: any };
 }
 
 export = MultiBucket;
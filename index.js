@@ -1,437 +1,5831 @@
 const fs = require('fs');
 const path = require('path');
 const chokidar = require('chokidar');
-const { S3Client, PutObjectCommand, GetObjectCommand } = require('@aws-sdk/client-s3');
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadBucketCommand,
+  HeadObjectCommand,
+  ListObjectsV2Command,
+  CreateMultipartUploadCommand,
+  UploadPartCommand,
+  CompleteMultipartUploadCommand,
+  AbortMultipartUploadCommand
+} = require('@aws-sdk/client-s3');
 const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const { createPresignedPost } = require('@aws-sdk/s3-presigned-post');
 const axios = require('axios');
 const express = require('express');
 const crypto = require('crypto');
+const EventEmitter = require('events');
+
+// How long an issued upload can still be confirmed after its URL has expired
+const PENDING_UPLOAD_GRACE_PERIOD = 60 * 60 * 1000;
+
+// Multipart uploads neither completed nor aborted within this time are forgotten
+const DEFAULT_MULTIPART_UPLOAD_TTL = 7 * 24 * 60 * 60 * 1000;
+
+// Tracked uploads are swept for expired entries at most this often
+const UPLOAD_SWEEP_INTERVAL = 60 * 1000;
+
+// Finished replication jobs kept for status lookups before the oldest are dropped
+const MAX_FINISHED_REPLICATION_JOBS = 1000;
+
+// Load balancing strategies implemented by getStorageProvider
+const BUILT_IN_STRATEGIES = ['round-robin', 'least-used', 'least-errors', 'weighted-random', 'consistent-hash', 'most-free-space', 'lowest-cost'];
+
+// Custom strategies registered with MultiBucket.registerStrategy, shared by all instances
+const registeredStrategies = new Map();
 
 /**
- * MultiBucket - A library to generate presigned URLs for multiple storage providers
- * with automatic load balancing between them.
+ * Built-in S3-compatible provider types.
+ *
+ * - region: default region when the provider doesn't set one
+ * - signingRegion: region used to sign requests, when the service expects a fixed one
+ * - endpoint: endpoint template used when the provider doesn't set `endpoint`
+ * - requiresEndpoint: the provider must set `endpoint` (self-hosted services)
+ * - forcePathStyle: default addressing style, overridable per provider
+ * - publicUrl: public URL template, or a function of the provider returning one (null if there is none)
+ * - clientOptions: extra S3Client options
+ *
+ * Templates can use {bucket}, {region}, {endpoint}, {accountId} and {key}.
+ */
+const PROVIDER_PRESETS = {
+  s3: {
+    forcePathStyle: false,
+    // Without a custom endpoint this is AWS; with one, derive the URL from the endpoint
+    publicUrl: provider => {
+      if (!provider.endpoint) {
+        return 'https://{bucket}.s3.{region}.amazonaws.com/{key}';
+      }
+      return provider.forcePathStyle ? '{endpoint}/{bucket}/{key}' : null;
+    }
+  },
+  r2: {
+    region: 'auto',
+    endpoint: 'https://{accountId}.r2.cloudflarestorage.com',
+    forcePathStyle: true,
+    // Cloudflare doesn't provide default public URLs, a custom domain (publicUrlBase) is needed
+    publicUrl: null
+  },
+  minio: {
+    region: 'us-east-1',
+    requiresEndpoint: true,
+    forcePathStyle: true,
+    publicUrl: '{endpoint}/{bucket}/{key}',
+    clientOptions: { requestChecksumCalculation: 'WHEN_REQUIRED' }
+  },
+  b2: {
+    endpoint: 'https://s3.{region}.backblazeb2.com',
+    forcePathStyle: false,
+    publicUrl: 'https://{bucket}.s3.{region}.backblazeb2.com/{key}',
+    clientOptions: { requestChecksumCalculation: 'WHEN_REQUIRED' }
+  },
+  spaces: {
+    endpoint: 'https://{region}.digitaloceanspaces.com',
+    // Spaces is addressed by the endpoint, requests are always signed for us-east-1
+    signingRegion: 'us-east-1',
+    forcePathStyle: false,
+    publicUrl: 'https://{bucket}.{region}.digitaloceanspaces.com/{key}',
+    clientOptions: { requestChecksumCalculation: 'WHEN_REQUIRED' }
+  },
+  wasabi: {
+    region: 'us-east-1',
+    endpoint: 'https://s3.{region}.wasabisys.com',
+    forcePathStyle: false,
+    publicUrl: 'https://s3.{region}.wasabisys.com/{bucket}/{key}',
+    clientOptions: { requestChecksumCalculation: 'WHEN_REQUIRED' }
+  },
+  gcs: {
+    // Google Cloud Storage XML API with HMAC keys
+    region: 'auto',
+    endpoint: 'https://storage.googleapis.com',
+    forcePathStyle: true,
+    publicUrl: 'https://storage.googleapis.com/{bucket}/{key}',
+    clientOptions: { requestChecksumCalculation: 'WHEN_REQUIRED' }
+  }
+};
+
+// Operations that provider types without an S3 API can't perform
+const UNSUPPORTED_CAPABILITIES = {
+  azure: ['post', 'multipart', 'replication'],
+  local: ['post', 'multipart', 'replication']
+};
+
+// Provider fields used to build an S3 client; a change to any of them needs a new client
+const CLIENT_FIELDS = ['type', 'region', 'endpoint', 'accountId', 'accessKeyId', 'secretAccessKey', 'forcePathStyle'];
+
+// Directory, inside a local provider's directory, holding object metadata
+const LOCAL_METADATA_DIR = '.multibucket-meta';
+
+// Azure Storage service version used to sign SAS tokens
+const AZURE_SAS_VERSION = '2022-11-02';
+
+// Requests per second allowed to providers without a rateLimit
+const DEFAULT_RATE_LIMIT = 1000;
+
+// Storage providers bill per GiB, and per GB-month of 730 hours
+const BYTES_PER_GB = 1024 * 1024 * 1024;
+const MS_PER_MONTH = 730 * 60 * 60 * 1000;
+
+// Prices a provider's pricing block can set, all non-negative amounts in its currency
+const PRICING_FIELDS = ['storagePerGBMonth', 'egressPerGB', 'perPut', 'perGet'];
+
+// Content that browsers render or run, so it could script a public bucket's origin.
+// Blocked on public providers unless the upload policy overrides the lists.
+const DANGEROUS_CONTENT_TYPES = ['text/html', 'application/xhtml+xml', 'image/svg+xml', 'text/javascript', 'application/javascript', 'application/x-javascript', 'text/xml', 'application/xml'];
+const DANGEROUS_EXTENSIONS = ['.html', '.htm', '.shtml', '.xhtml', '.svg', '.svgz', '.js', '.mjs', '.xml'];
+
+// Keys built from `{path}`, a UUID and the slugified filename unless a keyTemplate is configured
+const DEFAULT_KEY_TEMPLATE = '{path}/{uuid}-{slug}{ext}';
+const KEY_TEMPLATE_PLACEHOLDERS = ['path', 'uuid', 'ulid', 'yyyy', 'mm', 'dd', 'ext', 'slug', 'filename', 'sha256-prefix', 'tenant'];
+
+// S3 limits keys to 1024 bytes of UTF-8; slugs are kept well below so paths fit
+const MAX_KEY_BYTES = 1024;
+const MAX_SLUG_LENGTH = 100;
+
+// Batch URL generation: URLs signed at once, and items accepted per request by the batch routes
+const DEFAULT_BATCH_CONCURRENCY = 10;
+const MAX_BATCH_ITEMS = 500;
+
+// Upper bounds, in seconds, of the signing latency histogram buckets
+const SIGNING_DURATION_BUCKETS = [0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1];
+
+/**
+ * Escape a Prometheus label value
+ *
+ * @param {String} value - The label value
+ * @returns {String} The escaped value
+ */
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Format Prometheus labels
+ *
+ * @param {Object} labels - Label names and values
+ * @returns {String} The labels in braces, e.g. {provider="s3-main",type="s3"}
+ */
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+  return `{${pairs.join(',')}}`;
+}
+
+/**
+ * Check whether a provider supports an operation
+ *
+ * @param {Object} provider - The storage provider configuration
+ * @param {String} capability - 'post', 'multipart' or 'replication'
+ * @returns {Boolean} True if the operation is supported
+ */
+function supportsCapability(provider, capability) {
+  return !(UNSUPPORTED_CAPABILITIES[provider.type] || []).includes(capability);
+}
+
+/**
+ * Create an Azure Blob Storage SAS token, signed locally with an account key or a user delegation key
+ *
+ * @param {Object} options - SAS options
+ * @param {String} options.accountName - The storage account name
+ * @param {String} options.accountKey - The base64 account key (for a service SAS)
+ * @param {Object} options.userDelegationKey - The user delegation key (for a user delegation SAS)
+ * @param {String} options.container - The container name
+ * @param {String} options.blob - The blob name (omit for a container SAS)
+ * @param {String} options.permissions - Permissions in Azure order, e.g. 'r' or 'cw'
+ * @param {Date} options.expiresOn - Expiry time
+ * @param {String} options.contentDisposition - Content-Disposition returned on reads (optional)
+ * @returns {String} The SAS query string (without the leading '?')
+ */
+function signAzureSas(options) {
+  const resource = options.blob ? 'b' : 'c';
+  const expiry = options.expiresOn.toISOString().replace(/\.\d{3}Z$/, 'Z');
+  const canonicalizedResource = `/blob/${options.accountName}/${options.container}${options.blob ? `/${options.blob}` : ''}`;
+  const delegation = options.userDelegationKey;
+  const contentDisposition = options.contentDisposition || '';
+
+  // Field order is defined by the SAS specification for this service version
+  const fields = [options.permissions, '', expiry, canonicalizedResource];
+
+  if (delegation) {
+    fields.push(
+      delegation.signedObjectId,
+      delegation.signedTenantId,
+      delegation.signedStartsOn,
+      delegation.signedExpiresOn,
+      delegation.signedService,
+      delegation.signedVersion,
+      '', '', ''
+    );
+  } else {
+    fields.push('');
+  }
+
+  fields.push('', 'https', AZURE_SAS_VERSION, resource, '', '', '', contentDisposition, '', '', '');
+
+  const key = Buffer.from(delegation ? delegation.value : options.accountKey, 'base64');
+  const signature = crypto.createHmac('sha256', key).update(fields.join('\n'), 'utf8').digest('base64');
+
+  const query = {
+    sv: AZURE_SAS_VERSION,
+    spr: 'https',
+    se: expiry,
+    sr: resource,
+    sp: options.permissions,
+    ...(delegation ? {
+      skoid: delegation.signedObjectId,
+      sktid: delegation.signedTenantId,
+      skt: delegation.signedStartsOn,
+      ske: delegation.signedExpiresOn,
+      sks: delegation.signedService,
+      skv: delegation.signedVersion
+    } : {}),
+    ...(contentDisposition ? { rscd: contentDisposition } : {}),
+    sig: signature
+  };
+
+  return Object.entries(query)
+    .map(([name, value]) => `${name}=${encodeURIComponent(value)}`)
+    .join('&');
+}
+
+// Provider types registered with MultiBucket.registerProviderType, shared by all instances
+const registeredProviderTypes = new Map();
+
+/**
+ * Fill the {placeholders} of a URL template
+ *
+ * @param {String} template - The template
+ * @param {Object} values - Placeholder values
+ * @param {String} description - What the template is for, used in error messages
+ * @returns {String} The filled template
+ */
+function renderTemplate(template, values, description) {
+  return template.replace(/\{(\w+)\}/g, (match, name) => {
+    if (values[name] === undefined || values[name] === null || values[name] === '') {
+      throw new Error(`Missing ${name} for ${description}`);
+    }
+    return values[name];
+  });
+}
+
+// Order in which failover reads try providers, healthiest first
+const HEALTH_ORDER = ['healthy', 'degraded', 'half-open', 'open'];
+
+/**
+ * Check whether an S3 error means the object or bucket does not exist
+ *
+ * @param {Error} error - The error thrown by the S3 client
+ * @returns {Boolean} True for 404 responses
+ */
+function isNotFoundError(error) {
+  const status = error.$metadata && error.$metadata.httpStatusCode;
+  return status === 404 || error.name === 'NotFound' || error.name === 'NoSuchKey';
+}
+
+/**
+ * Validate a custom load balancing strategy before it is registered
+ *
+ * @param {String} name - The strategy name
+ * @param {Function} strategy - The strategy function
+ */
+function validateCustomStrategy(name, strategy) {
+  if (!name || typeof name !== 'string') {
+    throw new Error('Strategy name must be a non-empty string');
+  }
+
+  if (BUILT_IN_STRATEGIES.includes(name)) {
+    throw new Error(`Cannot override built-in load balancing strategy: ${name}`);
+  }
+
+  if (typeof strategy !== 'function') {
+    throw new Error(`Load balancing strategy ${name} must be a function`);
+  }
+}
+
+// Matches ${ENV_VAR} references in configuration strings
+const ENV_REFERENCE = /\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g;
+
+/**
+ * Replace ${ENV_VAR} references in every string of a configuration value
+ *
+ * @param {*} value - The configuration value (objects and arrays are copied, not modified)
+ * @param {String} path - Path of the value, used in error messages
+ * @param {Array} errors - Receives an error for every variable that is not set
+ * @returns {*} The value with references replaced
+ */
+function interpolateEnv(value, path, errors) {
+  if (typeof value === 'string') {
+    return value.replace(ENV_REFERENCE, (reference, name) => {
+      if (process.env[name] === undefined) {
+        errors.push({ path, message: `environment variable ${name} is not set` });
+        return reference;
+      }
+      return process.env[name];
+    });
+  }
+
+  if (Array.isArray(value)) {
+    return value.map((item, index) => interpolateEnv(item, `${path}[${index}]`, errors));
+  }
+
+  if (value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+    const result = {};
+    Object.entries(value).forEach(([field, item]) => {
+      result[field] = interpolateEnv(item, path ? `${path}.${field}` : field, errors);
+    });
+    return result;
+  }
+
+  return value;
+}
+
+const isNonEmptyString = value => typeof value === 'string' && value.length > 0;
+
+const isHttpUrl = value => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Provider fields and their checks. Each check returns an error message, or null for a valid value.
+ * Fields not listed here are rejected so typos don't go unnoticed.
+ */
+const PROVIDER_SCHEMA = {
+  id: value => isNonEmptyString(value) ? null : 'must be a non-empty string',
+  type: value => isNonEmptyString(value) ? null : 'must be a non-empty string',
+  bucket: value => isNonEmptyString(value) ? null : 'must be a non-empty string',
+  accessKeyId: value => isNonEmptyString(value) ? null : 'must be a non-empty string',
+  secretAccessKey: value => isNonEmptyString(value) ? null : 'must be a non-empty string',
+  region: value => isNonEmptyString(value) ? null : 'must be a non-empty string',
+  endpoint: value => isHttpUrl(value) ? null : 'must be an http(s) URL',
+  accountId: value => isNonEmptyString(value) ? null : 'must be a non-empty string',
+  forcePathStyle: value => typeof value === 'boolean' ? null : 'must be a boolean',
+  weight: value => typeof value === 'number' && value >= 0 && Number.isFinite(value) ? null : 'must be a non-negative number',
+  rateLimit: value => typeof value === 'number' && value > 0 && Number.isFinite(value) ? null : 'must be a positive number',
+  burst: value => typeof value === 'number' && value >= 1 && Number.isFinite(value) ? null : 'must be a number of at least 1',
+  publicUrlBase: value => isHttpUrl(value) ? null : 'must be an http(s) URL',
+  publicUrlTemplate: value => isNonEmptyString(value) && value.includes('{key}') ? null : 'must be a string containing {key}',
+  replication: value => validateReplicationRules(value),
+  accountName: value => isNonEmptyString(value) ? null : 'must be a non-empty string',
+  accountKey: value => isNonEmptyString(value) ? null : 'must be a non-empty string',
+  userDelegationKey: value => value && typeof value === 'object' && isNonEmptyString(value.value) ? null : 'must be an object with a value',
+  directory: value => isNonEmptyString(value) ? null : 'must be a non-empty string',
+  baseUrl: value => isHttpUrl(value) ? null : 'must be an http(s) URL',
+  secret: value => isNonEmptyString(value) ? null : 'must be a non-empty string',
+  maxBytes: value => Number.isInteger(value) && value > 0 ? null : 'must be a positive integer',
+  maxObjects: value => Number.isInteger(value) && value > 0 ? null : 'must be a positive integer',
+  highWaterMark: value => typeof value === 'number' && value > 0 && value <= 1 ? null : 'must be a number between 0 and 1',
+  pricing: value => validatePricing(value),
+  public: value => typeof value === 'boolean' ? null : 'must be a boolean',
+  keyTemplate: value => validateKeyTemplate(value)
+};
+
+/**
+ * Check a key template
+ *
+ * @param {String} value - The template, e.g. '{path}/{yyyy}/{mm}/{ulid}-{slug}{ext}'
+ * @returns {String|null} An error message, or null if the template is valid
+ */
+function validateKeyTemplate(value) {
+  if (!isNonEmptyString(value)) {
+    return 'must be a non-empty string';
+  }
+
+  const unknown = (value.match(/\{[^}]*\}/g) || [])
+    .map(placeholder => placeholder.slice(1, -1))
+    .filter(name => !KEY_TEMPLATE_PLACEHOLDERS.includes(name));
+
+  return unknown.length > 0
+    ? `has unknown placeholders: ${unknown.join(', ')} (expected ${KEY_TEMPLATE_PLACEHOLDERS.join(', ')})`
+    : null;
+}
+
+/**
+ * Check a provider's pricing block
+ *
+ * @param {Object} value - The pricing block
+ * @returns {String|null} An error message, or null if the pricing is valid
+ */
+function validatePricing(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return 'must be an object';
+  }
+
+  for (const [field, price] of Object.entries(value)) {
+    if (field === 'currency') {
+      if (!isNonEmptyString(price)) {
+        return 'currency must be a non-empty string';
+      }
+    } else if (!PRICING_FIELDS.includes(field)) {
+      return `${field} is not a known price (expected ${PRICING_FIELDS.join(', ')} or currency)`;
+    } else if (typeof price !== 'number' || !(price >= 0) || !Number.isFinite(price)) {
+      return `${field} must be a non-negative number`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check a provider's replication rules
+ *
+ * @param {Object|Array} value - A rule or an array of rules
+ * @returns {String|null} An error message, or null if the rules are valid
+ */
+function validateReplicationRules(value) {
+  const rules = [].concat(value);
+
+  for (const rule of rules) {
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+      return 'must be a rule object or an array of rule objects';
+    }
+
+    if (rule.prefix !== undefined && typeof rule.prefix !== 'string') {
+      return 'rule prefix must be a string';
+    }
+
+    if (rule.targets !== undefined && (!Array.isArray(rule.targets) || !rule.targets.every(isNonEmptyString))) {
+      return 'rule targets must be an array of provider IDs';
+    }
+
+    if (rule.copies !== undefined && !(Number.isInteger(rule.copies) && rule.copies > 0)) {
+      return 'rule copies must be a positive integer';
+    }
+
+    if (rule.targets === undefined && rule.copies === undefined) {
+      return 'every rule needs targets or copies';
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Validate a provider configuration against the schema and the requirements of its type
+ *
+ * @param {Object} provider - The storage provider configuration
+ * @param {String} path - Path of the provider in the configuration, used in error messages
+ * @returns {Array} Errors as { path, message } objects (empty if the provider is valid)
+ */
+function validateProviderConfig(provider, path) {
+  if (!provider || typeof provider !== 'object' || Array.isArray(provider)) {
+    return [{ path, message: 'must be an object' }];
+  }
+
+  const errors = [];
+  const fail = (field, message) => errors.push({ path: `${path}.${field}`, message });
+
+  Object.entries(provider).forEach(([field, value]) => {
+    if (!Object.prototype.hasOwnProperty.call(PROVIDER_SCHEMA, field)) {
+      fail(field, 'is not a known provider field');
+    } else if (value !== undefined) {
+      const message = PROVIDER_SCHEMA[field](value);
+      if (message) {
+        fail(field, message);
+      }
+    }
+  });
+
+  ['id', 'type', 'bucket'].forEach(field => {
+    if (provider[field] === undefined) {
+      fail(field, 'is required');
+    }
+  });
+
+  if (!isNonEmptyString(provider.type)) {
+    return errors;
+  }
+
+  if (provider.type === 'azure') {
+    if (provider.accountName === undefined) {
+      fail('accountName', 'is required for type azure');
+    }
+    if (provider.accountKey === undefined && provider.userDelegationKey === undefined) {
+      fail('accountKey', 'or userDelegationKey is required for type azure');
+    }
+    return errors;
+  }
+
+  if (provider.type === 'local') {
+    if (provider.directory === undefined) {
+      fail('directory', 'is required for type local');
+    }
+    return errors;
+  }
+
+  const preset = Object.prototype.hasOwnProperty.call(PROVIDER_PRESETS, provider.type)
+    ? PROVIDER_PRESETS[provider.type]
+    : registeredProviderTypes.get(provider.type);
+
+  if (!preset) {
+    fail('type', `unknown provider type ${provider.type}`);
+    return errors;
+  }
+
+  ['accessKeyId', 'secretAccessKey'].forEach(field => {
+    if (provider[field] === undefined) {
+      fail(field, `is required for type ${provider.type}`);
+    }
+  });
+
+  // The region signs requests unless the type has a fixed signing region, and fills {region} in endpoints
+  const regionInEndpoint = !provider.endpoint && preset.endpoint && preset.endpoint.includes('{region}');
+  if (!provider.region && !preset.region && (!preset.signingRegion || regionInEndpoint)) {
+    fail('region', `is required for type ${provider.type}`);
+  }
+
+  if (!provider.endpoint) {
+    if (preset.requiresEndpoint) {
+      fail('endpoint', `is required for type ${provider.type}`);
+    } else if (preset.endpoint && preset.endpoint.includes('{accountId}') && !provider.accountId) {
+      fail('accountId', `or endpoint is required for type ${provider.type}`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Tenant fields and their checks, like PROVIDER_SCHEMA.
+ * Provider IDs and strategies are checked against the instance by updateConfig.
+ */
+const TENANT_SCHEMA = {
+  id: value => isNonEmptyString(value) ? null : 'must be a non-empty string',
+  prefix: value => {
+    if (!isNonEmptyString(value) || !value.replace(/^\/+|\/+$/g, '')) {
+      return 'must be a non-empty string';
+    }
+    return hasDotSegment(value) ? 'must not contain . or .. segments' : null;
+  },
+  providers: value => Array.isArray(value) && value.length > 0 && value.every(isNonEmptyString)
+    ? null
+    : 'must be a non-empty array of provider IDs',
+  loadBalanceStrategy: value => isNonEmptyString(value) ? null : 'must be a non-empty string',
+  defaultExpiry: value => Number.isInteger(value) && value > 0 ? null : 'must be a positive integer',
+  quotas: value => {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      return 'must be an object';
+    }
+    const unknown = Object.keys(value).find(field => !['maxBytes', 'maxObjects'].includes(field));
+    if (unknown) {
+      return `${unknown} is not a known quota (expected maxBytes or maxObjects)`;
+    }
+    return Object.values(value).every(limit => Number.isInteger(limit) && limit > 0)
+      ? null
+      : 'limits must be positive integers';
+  }
+};
+
+/**
+ * Check whether a key or path has `.` or `..` segments, which would escape a prefix on the local filesystem
+ *
+ * @param {String} value - The key or path
+ * @returns {Boolean} Whether it has dot segments
+ */
+function hasDotSegment(value) {
+  return value.split('/').some(segment => segment === '.' || segment === '..');
+}
+
+/**
+ * Check a tenant configuration
+ *
+ * @param {Object} tenant - The tenant configuration
+ * @param {String} path - Path of the tenant in the configuration, used in error messages
+ * @returns {Array} Errors as { path, message } objects (empty if the tenant is valid)
+ */
+function validateTenantConfig(tenant, path) {
+  if (!tenant || typeof tenant !== 'object' || Array.isArray(tenant)) {
+    return [{ path, message: 'must be an object' }];
+  }
+
+  const errors = [];
+
+  Object.entries(tenant).forEach(([field, value]) => {
+    if (!Object.prototype.hasOwnProperty.call(TENANT_SCHEMA, field)) {
+      errors.push({ path: `${path}.${field}`, message: 'is not a known tenant field' });
+    } else if (value !== undefined) {
+      const message = TENANT_SCHEMA[field](value);
+      if (message) {
+        errors.push({ path: `${path}.${field}`, message });
+      }
+    }
+  });
+
+  ['id', 'prefix'].forEach(field => {
+    if (tenant[field] === undefined) {
+      errors.push({ path: `${path}.${field}`, message: 'is required' });
+    }
+  });
+
+  return errors;
+}
+
+const isPositiveInteger = value => Number.isInteger(value) && value > 0;
+const isNonNegativeNumber = value => typeof value === 'number' && value >= 0 && Number.isFinite(value);
+const isPlainObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// A base64-encoded SHA-256 digest: 32 bytes are 43 characters and one padding character
+const isBase64Sha256 = value => typeof value === 'string' && /^[A-Za-z0-9+/]{43}=$/.test(value);
+
+// Presigned S3 URLs can't be valid for more than 7 days
+const MAX_URL_EXPIRY = 7 * 24 * 60 * 60;
+
+/**
+ * Constructor options and their checks, like PROVIDER_SCHEMA. Nested objects have their own schema.
+ * Providers, tenants and the upload policy are validated by updateConfig.
+ */
+const OPTIONS_SCHEMA = {
+  providers: value => Array.isArray(value) ? null : 'must be an array',
+  configSource: value => isNonEmptyString(value) ? null : 'must be a non-empty string',
+  loadBalanceStrategy: value => isNonEmptyString(value) ? null : 'must be a non-empty string',
+  strategies: value => isPlainObject(value) && Object.values(value).every(strategy => typeof strategy === 'function')
+    ? null
+    : 'must be an object of strategy functions',
+  defaultExpiry: value => Number.isInteger(value) && value > 0 && value <= MAX_URL_EXPIRY ? null : `must be an integer between 1 and ${MAX_URL_EXPIRY}`,
+  maxUploadSize: value => isPositiveInteger(value) ? null : 'must be a positive integer',
+  multipartUploadTTL: value => isPositiveInteger(value) ? null : 'must be a positive integer',
+  circuitBreaker: {
+    failureThreshold: value => isPositiveInteger(value) ? null : 'must be a positive integer',
+    cooldown: value => isNonNegativeNumber(value) ? null : 'must be a non-negative number'
+  },
+  healthCheckInterval: value => isNonNegativeNumber(value) ? null : 'must be a non-negative number',
+  virtualNodes: value => isPositiveInteger(value) ? null : 'must be a positive integer',
+  locationStore: value => value && typeof value.get === 'function' && typeof value.set === 'function'
+    ? null
+    : 'must implement get(key) and set(key, location)',
+  replication: {
+    concurrency: value => isPositiveInteger(value) ? null : 'must be a positive integer',
+    maxAttempts: value => isPositiveInteger(value) ? null : 'must be a positive integer',
+    retryDelay: value => isNonNegativeNumber(value) ? null : 'must be a non-negative number'
+  },
+  localSigningSecret: value => isNonEmptyString(value) ? null : 'must be a non-empty string',
+  stats: {
+    windows: value => Array.isArray(value) && value.length > 0 && value.every(window => typeof window === 'number' && window > 0)
+      ? null
+      : 'must be a non-empty array of positive numbers of seconds',
+    bucketSize: value => typeof value === 'number' && value > 0 ? null : 'must be a positive number',
+    strategyWindow: value => typeof value === 'number' && value > 0 ? null : 'must be a positive number',
+    snapshotFile: value => isNonEmptyString(value) ? null : 'must be a non-empty string',
+    snapshotInterval: value => typeof value === 'number' && value > 0 ? null : 'must be a positive number'
+  },
+  capacity: {
+    highWaterMark: value => typeof value === 'number' && value > 0 && value <= 1 ? null : 'must be a number between 0 and 1'
+  },
+  rateLimitPolicy: {
+    mode: value => ['overflow', 'wait', 'fail'].includes(value) ? null : 'must be overflow, wait or fail',
+    maxWait: value => isNonNegativeNumber(value) ? null : 'must be a non-negative number'
+  },
+  tenants: value => Array.isArray(value) ? null : 'must be an array',
+  uploadPolicy: value => isPlainObject(value) ? null : 'must be an object',
+  keyTemplate: value => validateKeyTemplate(value)
+};
+
+/**
+ * Request body fields of the createServer routes and their checks. A field has the same type on every route.
+ */
+const REQUEST_SCHEMA = {
+  filename: value => isNonEmptyString(value) ? null : 'must be a non-empty string',
+  contentType: value => isNonEmptyString(value) ? null : 'must be a non-empty string',
+  contentTypePrefix: value => isNonEmptyString(value) ? null : 'must be a non-empty string',
+  path: value => typeof value === 'string' ? null : 'must be a string',
+  key: value => isNonEmptyString(value) ? null : 'must be a non-empty string',
+  bucket: value => isNonEmptyString(value) ? null : 'must be a non-empty string',
+  provider: value => isNonEmptyString(value) ? null : 'must be a non-empty string',
+  providerId: value => isNonEmptyString(value) ? null : 'must be a non-empty string',
+  tenantId: value => isNonEmptyString(value) ? null : 'must be a non-empty string',
+  routingKey: value => isNonEmptyString(value) ? null : 'must be a non-empty string',
+  uploadId: value => isNonEmptyString(value) ? null : 'must be a non-empty string',
+  expiry: value => Number.isInteger(value) && value > 0 && value <= MAX_URL_EXPIRY ? null : `must be an integer between 1 and ${MAX_URL_EXPIRY}`,
+  size: value => Number.isInteger(value) && value >= 0 ? null : 'must be a non-negative integer',
+  minSize: value => Number.isInteger(value) && value >= 0 ? null : 'must be a non-negative integer',
+  maxSize: value => isPositiveInteger(value) ? null : 'must be a positive integer',
+  checksumSHA256: value => isBase64Sha256(value) ? null : 'must be a base64-encoded SHA-256 digest',
+  expectedReads: value => isNonNegativeNumber(value) ? null : 'must be a non-negative number',
+  retentionMonths: value => typeof value === 'number' && value > 0 && Number.isFinite(value) ? null : 'must be a positive number',
+  failover: value => typeof value === 'boolean' ? null : 'must be a boolean',
+  candidates: value => Array.isArray(value) && value.every(isNonEmptyString) ? null : 'must be an array of provider IDs',
+  partNumber: value => Number.isInteger(value) && value >= 1 && value <= 10000 ? null : 'must be an integer between 1 and 10000',
+  parts: value => Array.isArray(value) && value.length > 0 && value.every(isPlainObject) ? null : 'must be a non-empty array of parts',
+  sameProvider: value => typeof value === 'boolean' ? null : 'must be a boolean'
+};
+
+/**
+ * Check the fields of an object against a schema of checks and nested schemas
+ *
+ * @param {Object} value - The object
+ * @param {Object} schema - Field checks returning an error message or null, or nested schemas
+ * @param {String} path - Path of the object, used in error paths
+ * @returns {Array} Validation errors as { path, message } objects; unknown fields are errors too
+ */
+function validateFields(value, schema, path) {
+  if (!isPlainObject(value)) {
+    return [{ path, message: 'must be an object' }];
+  }
+
+  const errors = [];
+
+  Object.entries(value).forEach(([field, item]) => {
+    const fieldPath = path ? `${path}.${field}` : field;
+    const check = schema[field];
+
+    if (!Object.prototype.hasOwnProperty.call(schema, field)) {
+      errors.push({ path: fieldPath, message: 'is not a known field' });
+    } else if (item === undefined) {
+      return;
+    } else if (typeof check === 'function') {
+      const message = check(item);
+      if (message) {
+        errors.push({ path: fieldPath, message });
+      }
+    } else {
+      errors.push(...validateFields(item, check, fieldPath));
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Check the fields of a request body, see REQUEST_SCHEMA. Fields the route doesn't use are ignored.
+ *
+ * @param {Object} body - The request body
+ * @param {Array} fields - The fields the route accepts
+ * @param {Array} required - The fields the route requires
+ * @returns {Array} Validation errors as { path, message } objects
+ */
+function validateRequestBody(body, fields, required = []) {
+  if (!isPlainObject(body)) {
+    return [{ path: '', message: 'must be an object' }];
+  }
+
+  const errors = [];
+
+  fields.forEach(field => {
+    if (body[field] === undefined || body[field] === null) {
+      if (required.includes(field)) {
+        errors.push({ path: field, message: 'is required' });
+      }
+      return;
+    }
+
+    const message = REQUEST_SCHEMA[field](body[field]);
+    if (message) {
+      errors.push({ path: field, message });
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Check a list of MIME type patterns, like 'image/png', 'image/*' or '*\/*'
+ *
+ * @param {Array} value - The patterns
+ * @returns {String|null} An error message, or null if the patterns are valid
+ */
+function validateMimePatterns(value) {
+  return Array.isArray(value) && value.every(pattern => isNonEmptyString(pattern) && /^[^/\s]+\/[^/\s]+$/.test(pattern))
+    ? null
+    : 'must be an array of MIME types such as image/png or image/*';
+}
+
+/**
+ * Upload policy rule fields and their checks, like PROVIDER_SCHEMA
+ */
+const UPLOAD_RULE_SCHEMA = {
+  pathPrefix: value => typeof value === 'string' ? null : 'must be a string',
+  allowTypes: validateMimePatterns,
+  denyTypes: validateMimePatterns,
+  allowExtensions: value => Array.isArray(value) && value.every(isNonEmptyString) ? null : 'must be an array of extensions',
+  denyExtensions: value => Array.isArray(value) && value.every(isNonEmptyString) ? null : 'must be an array of extensions',
+  maxSize: value => Number.isInteger(value) && value > 0 ? null : 'must be a positive integer'
+};
+
+/**
+ * Check an upload policy
+ *
+ * @param {Object} policy - The upload policy (rules, dangerousTypes, dangerousExtensions)
+ * @returns {Array} Errors as { path, message } objects (empty if the policy is valid)
+ */
+function validateUploadPolicy(policy) {
+  if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+    return [{ path: 'uploadPolicy', message: 'must be an object' }];
+  }
+
+  const errors = [];
+  const fail = (path, message) => errors.push({ path: `uploadPolicy.${path}`, message });
+
+  Object.keys(policy)
+    .filter(field => !['rules', 'dangerousTypes', 'dangerousExtensions'].includes(field))
+    .forEach(field => fail(field, 'is not a known upload policy field'));
+
+  if (policy.dangerousTypes !== undefined && validateMimePatterns(policy.dangerousTypes)) {
+    fail('dangerousTypes', validateMimePatterns(policy.dangerousTypes));
+  }
+
+  if (policy.dangerousExtensions !== undefined && UPLOAD_RULE_SCHEMA.allowExtensions(policy.dangerousExtensions)) {
+    fail('dangerousExtensions', UPLOAD_RULE_SCHEMA.allowExtensions(policy.dangerousExtensions));
+  }
+
+  if (policy.rules === undefined) {
+    return errors;
+  }
+
+  if (!Array.isArray(policy.rules)) {
+    fail('rules', 'must be an array');
+    return errors;
+  }
+
+  policy.rules.forEach((rule, index) => {
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+      fail(`rules[${index}]`, 'must be an object');
+      return;
+    }
+
+    Object.entries(rule).forEach(([field, value]) => {
+      if (!Object.prototype.hasOwnProperty.call(UPLOAD_RULE_SCHEMA, field)) {
+        fail(`rules[${index}].${field}`, 'is not a known upload rule field');
+      } else if (value !== undefined) {
+        const message = UPLOAD_RULE_SCHEMA[field](value);
+        if (message) {
+          fail(`rules[${index}].${field}`, message);
+        }
+      }
+    });
+  });
+
+  return errors;
+}
+
+/**
+ * Lower-case an extension and give it a leading dot
+ *
+ * @param {String} extension - The extension, with or without the dot
+ * @returns {String} The normalized extension
+ */
+function normalizeExtension(extension) {
+  return `.${extension.replace(/^\./, '').toLowerCase()}`;
+}
+
+/**
+ * Bring an upload policy to the shape checkUploadPolicy works with
+ *
+ * @param {Object} policy - A valid upload policy
+ * @returns {Object} The policy with normalized prefixes, types and extensions and the default dangerous lists
+ */
+function normalizeUploadPolicy(policy) {
+  const lowerCase = list => list && list.map(item => item.toLowerCase());
+
+  return {
+    rules: (policy.rules || []).map((rule, index) => ({
+      ...rule,
+      index,
+      pathPrefix: (rule.pathPrefix || '').replace(/^\/+/, ''),
+      allowTypes: lowerCase(rule.allowTypes),
+      denyTypes: lowerCase(rule.denyTypes),
+      allowExtensions: rule.allowExtensions && rule.allowExtensions.map(normalizeExtension),
+      denyExtensions: rule.denyExtensions && rule.denyExtensions.map(normalizeExtension)
+    })),
+    dangerousTypes: lowerCase(policy.dangerousTypes || DANGEROUS_CONTENT_TYPES),
+    dangerousExtensions: (policy.dangerousExtensions || DANGEROUS_EXTENSIONS).map(normalizeExtension)
+  };
+}
+
+/**
+ * Check whether a MIME type matches a pattern such as 'image/png', 'image/*' or '*\/*'.
+ * Parameters like '; charset=utf-8' are ignored.
+ *
+ * @param {String} pattern - The lower-case pattern
+ * @param {String} type - The content type
+ * @returns {Boolean} Whether the type matches
+ */
+function mimeMatches(pattern, type) {
+  const essence = type.split(';')[0].trim().toLowerCase();
+
+  if (pattern === '*/*' || pattern === essence) {
+    return true;
+  }
+
+  return pattern.endsWith('/*') && essence.startsWith(pattern.slice(0, -1));
+}
+
+/**
+ * Check whether some content type starting with a prefix (presigned POST `contentTypePrefix`)
+ * could match a pattern
+ *
+ * @param {String} pattern - The lower-case pattern
+ * @param {String} prefix - The content type prefix
+ * @returns {Boolean} Whether the ranges overlap
  */
-class MultiBucket {
+function mimeRangeOverlaps(pattern, prefix) {
+  const lowerPrefix = prefix.toLowerCase();
+  const patternStart = pattern.endsWith('*') ? pattern.slice(0, -1) : pattern;
+
+  return pattern === '*/*' || patternStart.startsWith(lowerPrefix) || (pattern.endsWith('*') && lowerPrefix.startsWith(patternStart));
+}
+
+/**
+ * Split a user-supplied filename into a slug and an extension.
+ * Directories are dropped, accents removed and everything but letters and digits turned into dashes.
+ *
+ * @param {String} filename - The original filename
+ * @returns {Object} The `name` without directories or control characters, its `slug` and its lower-case `ext` with the dot
+ */
+function parseFilename(filename) {
+  // A missing filename is named 'file' rather than 'undefined'
+  const name = (filename === undefined || filename === null ? '' : String(filename)).split(/[\\/]/).pop().replace(/[\u0000-\u001f\u007f]/g, '');
+  const extension = path.extname(name).toLowerCase();
+  const ext = /^\.[a-z0-9]{1,16}$/.test(extension) ? extension : '';
+  const slug = name.slice(0, name.length - (ext ? extension.length : 0))
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .slice(0, MAX_SLUG_LENGTH)
+    .replace(/^-+|-+$/g, '');
+
+  return {
+    name: name === '.' || name === '..' || !name ? 'file' : name,
+    slug: slug || 'file',
+    ext
+  };
+}
+
+// Crockford's base32, as used by ULIDs
+const ULID_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+
+/**
+ * Generate a ULID: a 48-bit millisecond timestamp and 80 random bits, so keys sort by creation time
+ *
+ * @param {Number} now - The timestamp in milliseconds (default: now)
+ * @returns {String} The 26-character ULID
+ */
+function generateUlid(now = Date.now()) {
+  let time = '';
+  for (let i = 0, rest = now; i < 10; i++, rest = Math.floor(rest / 32)) {
+    time = ULID_ALPHABET[rest % 32] + time;
+  }
+
+  // 256 is a multiple of 32, so the modulo keeps every character equally likely
+  const random = Array.from(crypto.randomBytes(16), byte => ULID_ALPHABET[byte % 32]).join('');
+
+  return time + random;
+}
+
+/**
+ * Error thrown when an upload breaks the upload policy.
+ * `violations` lists every broken rule as { rule, pathPrefix, code, message }. The status is 413
+ * when only sizes are too large, 400 otherwise.
+ */
+class UploadPolicyError extends Error {
+  constructor(message, violations) {
+    super(message);
+    this.name = 'UploadPolicyError';
+    this.violations = violations;
+    this.code = violations.length > 0 ? violations[0].code : 'policy_violation';
+    this.status = violations.length > 0 && violations.every(v => v.code === 'size_exceeded') ? 413 : 400;
+  }
+}
+
+/**
+ * A request body with missing or invalid fields, with the errors as { path, message } objects
+ */
+class RequestValidationError extends Error {
+  constructor(errors) {
+    super(`Invalid request: ${errors.map(error => `${error.path || 'body'} ${error.message}`).join('; ')}`);
+    this.name = 'RequestValidationError';
+    this.status = 400;
+    this.errors = errors;
+  }
+}
+
+/**
+ * Error thrown when a request breaks its tenant's boundaries: 404 for an unknown tenant,
+ * 403 for a key or provider outside the tenant, 507 when the tenant is over its quota
+ */
+class TenantError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'TenantError';
+    this.status = status;
+  }
+}
+
+/**
+ * Error thrown when providers are out of rate limit tokens.
+ * `retryAfter` is the number of milliseconds until a token is available again.
+ */
+class RateLimitError extends Error {
+  constructor(message, retryAfter, providerId) {
+    super(message);
+    this.name = 'RateLimitError';
+    this.retryAfter = retryAfter;
+    this.providerId = providerId;
+  }
+}
+
+/**
+ * Prefix an error message with the failed operation, keeping the type of typed errors
+ *
+ * @param {String} operation - What failed, e.g. 'Failed to generate upload URL'
+ * @param {Error} error - The original error
+ * @returns {Error} The error to throw
+ */
+function wrapError(operation, error) {
+  if (error instanceof RateLimitError) {
+    return new RateLimitError(`${operation}: ${error.message}`, error.retryAfter, error.providerId);
+  }
+
+  if (error instanceof UploadPolicyError) {
+    return new UploadPolicyError(`${operation}: ${error.message}`, error.violations);
+  }
+
+  if (error instanceof TenantError) {
+    return new TenantError(`${operation}: ${error.message}`, error.status);
+  }
+
+  if (error instanceof AuthError) {
+    return new AuthError(`${operation}: ${error.message}`, error.status);
+  }
+
+  if (error instanceof RequestValidationError) {
+    const wrapped = new RequestValidationError(error.errors);
+    wrapped.message = `${operation}: ${error.message}`;
+    return wrapped;
+  }
+
+  return new Error(`${operation}: ${error.message}`);
+}
+
+// Scopes an API key or token can grant to server routes
+const AUTH_SCOPES = ['upload', 'read', 'stats'];
+const JWT_ALGORITHMS = ['HS256', 'RS256'];
+
+/**
+ * Error thrown when a server request is not authenticated (401) or not allowed (403)
+ */
+class AuthError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+  }
+}
+
+/**
+ * Check the auth options of createServer and hash the API keys for constant-time lookups
+ *
+ * @param {Object} auth - The auth options (apiKeys, jwt, verify)
+ * @returns {Object} The normalized auth options
+ * @throws {Error} If the options are invalid
+ */
+function normalizeAuthOptions(auth) {
+  const { apiKeys, jwt, verify } = auth;
+
+  if (!apiKeys && !jwt && !verify) {
+    throw new Error('auth requires apiKeys, jwt or verify');
+  }
+
+  if (verify !== undefined && typeof verify !== 'function') {
+    throw new Error('auth.verify must be a function');
+  }
+
+  if (jwt) {
+    if (!JWT_ALGORITHMS.includes(jwt.algorithm)) {
+      throw new Error(`auth.jwt.algorithm must be one of: ${JWT_ALGORITHMS.join(', ')}`);
+    }
+
+    if (jwt.algorithm === 'HS256' ? !jwt.secret : !jwt.publicKey) {
+      throw new Error(`auth.jwt.${jwt.algorithm === 'HS256' ? 'secret' : 'publicKey'} is required for ${jwt.algorithm}`);
+    }
+  }
+
+  return {
+    jwt,
+    verify,
+    apiKeys: (apiKeys || []).map((entry, index) => {
+      if (!isNonEmptyString(entry.key)) {
+        throw new Error(`auth.apiKeys[${index}].key must be a non-empty string`);
+      }
+
+      const unknown = (entry.scopes || []).filter(scope => !AUTH_SCOPES.includes(scope));
+      if (unknown.length > 0) {
+        throw new Error(`auth.apiKeys[${index}].scopes has unknown scopes: ${unknown.join(', ')}`);
+      }
+
+      return { ...entry, digest: crypto.createHash('sha256').update(entry.key).digest() };
+    })
+  };
+}
+
+/**
+ * Verify a compact JWT signed with HS256 or RS256 and check its time and audience claims
+ *
+ * @param {String} token - The encoded token
+ * @param {Object} options - The auth.jwt options (algorithm, secret or publicKey, issuer, audience, clockTolerance)
+ * @returns {Object} The token claims
+ * @throws {AuthError} If the token is malformed, badly signed, expired or not meant for us
+ */
+function verifyJwt(token, options) {
+  const parts = token.split('.');
+  let header;
+  let claims;
+
+  if (parts.length !== 3) {
+    throw new AuthError('Malformed token');
+  }
+
+  try {
+    header = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8'));
+    claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new AuthError('Malformed token');
+  }
+
+  // Only accept the configured algorithm, so a public RSA key can never be used as an HMAC secret
+  if (header.alg !== options.algorithm) {
+    throw new AuthError(`Unexpected token algorithm: ${header.alg}`);
+  }
+
+  const data = `${parts[0]}.${parts[1]}`;
+  const signature = Buffer.from(parts[2], 'base64url');
+  let valid;
+
+  if (options.algorithm === 'HS256') {
+    const expected = crypto.createHmac('sha256', options.secret).update(data).digest();
+    valid = expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+  } else {
+    valid = crypto.verify('sha256', Buffer.from(data), options.publicKey, signature);
+  }
+
+  if (!valid) {
+    throw new AuthError('Invalid token signature');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const tolerance = options.clockTolerance || 0;
+
+  if (claims.exp !== undefined && now - tolerance >= claims.exp) {
+    throw new AuthError('Token has expired');
+  }
+
+  if (claims.nbf !== undefined && now + tolerance < claims.nbf) {
+    throw new AuthError('Token is not valid yet');
+  }
+
+  if (options.issuer && claims.iss !== options.issuer) {
+    throw new AuthError('Unexpected token issuer');
+  }
+
+  if (options.audience && ![].concat(claims.aud || []).includes(options.audience)) {
+    throw new AuthError('Unexpected token audience');
+  }
+
+  return claims;
+}
+
+/**
+ * Bring an API key entry, token claims or custom verifier result to the same principal shape.
+ * Missing `pathPrefixes` or `providers` mean no restriction, missing scopes mean none granted.
+ *
+ * @param {Object} principal - The raw principal
+ * @returns {Object} The principal with `scopes`, `pathPrefixes` and `providers`
+ */
+function normalizePrincipal(principal) {
+  const { key, digest, ...rest } = principal;
+
+  return {
+    ...rest,
+    // Tokens usually carry a space separated `scope` claim
+    scopes: principal.scopes || (typeof principal.scope === 'string' ? principal.scope.split(' ').filter(Boolean) : []),
+    pathPrefixes: principal.pathPrefixes || null,
+    providers: principal.providers || null
+  };
+}
+
+/**
+ * Describe an error as an HTTP status and a JSON body, as returned by the API
+ *
+ * @param {Error} error - The error
+ * @returns {Object} The `status` and the `error` message, with the typed error's details
+ */
+function describeError(error) {
+  if (error instanceof RateLimitError) {
+    return { status: 429, error: error.message, retryAfter: error.retryAfter };
+  }
+
+  if (error instanceof AuthError || error instanceof TenantError) {
+    return { status: error.status, error: error.message };
+  }
+
+  // Policy violations and invalid fields tell the client what to change
+  if (error instanceof UploadPolicyError) {
+    return { status: error.status, error: error.message, code: error.code, violations: error.violations };
+  }
+
+  if (error instanceof RequestValidationError) {
+    return { status: error.status, error: error.message, errors: error.errors };
+  }
+
+  return { status: error.status || 500, error: error.message };
+}
+
+/**
+ * Call an async function on every item with at most `concurrency` calls pending
+ *
+ * @param {Array} items - The items
+ * @param {Number} concurrency - Maximum number of pending calls
+ * @param {Function} fn - Called with the item and its index
+ * @returns {Promise<Array>} The results, in the order of the items
+ */
+async function mapWithConcurrency(items, concurrency, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+  return results;
+}
+
+/**
+ * In-memory object location store (the default).
+ * Locations are lost when the process exits.
+ */
+class MemoryLocationStore {
+  constructor() {
+    this.locations = new Map();
+  }
+
+  get(key) {
+    return this.locations.get(key) || null;
+  }
+
+  set(key, location) {
+    this.locations.set(key, location);
+  }
+
+  delete(key) {
+    this.locations.delete(key);
+  }
+}
+
+/**
+ * Object location store persisted to a JSON file.
+ * The file is loaded once and rewritten after every change; concurrent changes share a write.
+ */
+class JsonFileLocationStore {
+  /**
+   * @param {String} filePath - Path to the JSON file (created on first write)
+   */
+  constructor(filePath) {
+    if (!filePath) {
+      throw new Error('JsonFileLocationStore requires a file path');
+    }
+
+    this.filePath = filePath;
+    this.locations = {};
+    this.saving = Promise.resolve();
+    this.saveQueued = false;
+
+    if (fs.existsSync(filePath)) {
+      this.locations = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    }
+  }
+
+  get(key) {
+    return this.locations[key] || null;
+  }
+
+  set(key, location) {
+    this.locations[key] = location;
+    return this.save();
+  }
+
+  delete(key) {
+    delete this.locations[key];
+    return this.save();
+  }
+
+  /**
+   * Write the locations to disk, coalescing changes made while a write is pending
+   *
+   * @returns {Promise<void>} Resolves once the changes are on disk
+   */
+  save() {
+    if (!this.saveQueued) {
+      this.saveQueued = true;
+      this.saving = this.saving.catch(() => {}).then(async () => {
+        this.saveQueued = false;
+
+        // Write to a temporary file first so a crash never leaves a truncated file
+        const tempPath = `${this.filePath}.tmp`;
+        await fs.promises.writeFile(tempPath, JSON.stringify(this.locations));
+        await fs.promises.rename(tempPath, this.filePath);
+      });
+    }
+
+    return this.saving;
+  }
+}
+
+/**
+ * Request and error counts over a sliding time window, kept in a ring buffer of fixed-size time buckets.
+ * Buckets are reused as time moves on, so memory stays constant however long the process runs.
+ */
+class SlidingWindowCounter {
+  /**
+   * @param {Number} span - Longest window that can be queried, in seconds
+   * @param {Number} bucketSize - Seconds covered by each bucket (the resolution of the windows)
+   */
+  constructor(span, bucketSize) {
+    this.bucketSize = bucketSize;
+    this.buckets = Array.from({ length: Math.ceil(span / bucketSize) }, () => ({ start: 0, requests: 0, errors: 0 }));
+  }
+
+  /**
+   * Get the bucket covering a point in time, clearing it if it still holds an older period
+   *
+   * @param {Number} now - Timestamp in milliseconds
+   * @returns {Object} The bucket
+   */
+  bucketAt(now) {
+    const bucketMs = this.bucketSize * 1000;
+    const start = Math.floor(now / bucketMs) * bucketMs;
+    const bucket = this.buckets[(start / bucketMs) % this.buckets.length];
+
+    if (bucket.start !== start) {
+      bucket.start = start;
+      bucket.requests = 0;
+      bucket.errors = 0;
+    }
+
+    return bucket;
+  }
+
+  /**
+   * Count a request or an error
+   *
+   * @param {String} field - 'requests' or 'errors'
+   * @param {Number} now - Timestamp in milliseconds (default: now)
+   */
+  record(field, now = Date.now()) {
+    this.bucketAt(now)[field]++;
+  }
+
+  /**
+   * Sum the counts of the last `window` seconds, including the current bucket
+   *
+   * @param {Number} window - Window length in seconds
+   * @param {Number} now - Timestamp in milliseconds (default: now)
+   * @returns {Object} The requests and errors in the window
+   */
+  sum(window, now = Date.now()) {
+    const bucketMs = this.bucketSize * 1000;
+    const currentStart = Math.floor(now / bucketMs) * bucketMs;
+    const oldestStart = currentStart - (Math.ceil(window / this.bucketSize) - 1) * bucketMs;
+
+    return this.buckets
+      .filter(bucket => bucket.start >= oldestStart && bucket.start <= currentStart)
+      .reduce((totals, bucket) => ({
+        requests: totals.requests + bucket.requests,
+        errors: totals.errors + bucket.errors
+      }), { requests: 0, errors: 0 });
+  }
+
+  toJSON() {
+    return { bucketSize: this.bucketSize, buckets: this.buckets };
+  }
+
+  /**
+   * Restore buckets saved with toJSON. Snapshots taken with another layout are ignored.
+   *
+   * @param {Object} data - The saved counter
+   */
+  restore(data) {
+    if (data && data.bucketSize === this.bucketSize && Array.isArray(data.buckets) && data.buckets.length === this.buckets.length) {
+      this.buckets = data.buckets.map(bucket => ({ start: bucket.start, requests: bucket.requests, errors: bucket.errors }));
+    }
+  }
+}
+
+/**
+ * MultiBucket - A library to generate presigned URLs for multiple storage providers
+ * with automatic load balancing between them.
+ *
+ * Emits 'providerSelected', 'uploadUrlIssued', 'readUrlIssued', 'configReloaded',
+ * 'configError' and 'providerError' events.
+ */
+class MultiBucket extends EventEmitter {
+  /**
+   * Constructor for MultiBucket
+   * 
+   * @param {Object} options - Configuration options
+   * @param {Array} options.providers - Initial array of storage provider configurations
+   * @param {String} options.configSource - Path or URL to a config file (optional)
+   * @param {String} options.loadBalanceStrategy - Built-in or registered strategy for load balancing (default: 'round-robin')
+   * @param {Object} options.strategies - Custom load balancing strategies for this instance, keyed by name (optional)
+   * @param {Object} options.replication - Replication queue settings (optional)
+   * @param {Number} options.replication.concurrency - Maximum number of objects copied at once (default: 2)
+   * @param {Number} options.replication.maxAttempts - Attempts per replication job before it fails (default: 3)
+   * @param {Number} options.replication.retryDelay - Milliseconds before the first retry, doubled on each attempt (default: 1000)
+   * @param {String} options.localSigningSecret - Secret signing URLs of local providers without their own `secret` (default: random per instance)
+   * @param {Number} options.defaultExpiry - Default expiry time in seconds for presigned URLs (default: 3600)
+   * @param {Number} options.maxUploadSize - Default maximum size in bytes for presigned POST uploads (default: 5 GB)
+   * @param {Number} options.multipartUploadTTL - Milliseconds after which unfinished multipart uploads are forgotten (default: 7 days)
+   * @param {Object} options.circuitBreaker - Circuit breaker settings (optional)
+   * @param {Number} options.circuitBreaker.failureThreshold - Consecutive failures before a provider's circuit opens (default: 5)
+   * @param {Number} options.circuitBreaker.cooldown - Milliseconds before an open circuit is retried (default: 30000)
+   * @param {Number} options.healthCheckInterval - Milliseconds between background HeadBucket probes (optional, disabled by default)
+   * @param {Number} options.virtualNodes - Hash ring points per unit of provider weight for 'consistent-hash' (default: 100)
+   * @param {Object} options.locationStore - Store recording which provider each object was uploaded to (default: in-memory).
+   *   Any object with get(key), set(key, location) and delete(key) methods, which may return promises.
+   * @param {Object} options.stats - Sliding-window statistics settings (optional)
+   * @param {Array} options.stats.windows - Window lengths in seconds reported by getStats (default: [60, 300, 3600])
+   * @param {Number} options.stats.bucketSize - Resolution of the windows in seconds (default: 10)
+   * @param {Number} options.stats.strategyWindow - Window in seconds used by 'least-used' and 'least-errors' (default: 300)
+   * @param {String} options.stats.snapshotFile - JSON file the counters are saved to and restored from (optional)
+   * @param {Number} options.stats.snapshotInterval - Milliseconds between snapshots (default: 60000)
+   * @param {Object} options.rateLimitPolicy - What to do when the selected provider is out of rate limit tokens (optional)
+   * @param {String} options.rateLimitPolicy.mode - 'overflow' to another provider with tokens, 'wait' for a token or 'fail' fast (default: 'overflow')
+   * @param {Number} options.rateLimitPolicy.maxWait - Longest wait for a token in milliseconds, with the 'wait' mode (default: 1000)
+   * @param {Object} options.capacity - Capacity settings (optional)
+   * @param {Number} options.capacity.highWaterMark - Share of maxBytes/maxObjects above which a provider gets no new uploads (default: 0.9)
+   * @param {Array} options.tenants - Tenants with their key prefix, providers, strategy, expiry and quotas (optional)
+   * @param {Object} options.uploadPolicy - Rules on upload types, extensions and sizes by path prefix (optional, see checkUploadPolicy)
+   * @param {String} options.keyTemplate - Template of new object keys (default: '{path}/{uuid}-{slug}{ext}', see buildObjectKey)
+   * @throws {Error} If an option is unknown or has an invalid value (see OPTIONS_SCHEMA), or the strategy is unknown
+   */
+  constructor(options = {}) {
+    super();
+
+    const optionErrors = validateFields(options, OPTIONS_SCHEMA, '');
+    if (optionErrors.length > 0) {
+      throw new Error(`Invalid options: ${optionErrors.map(error => `${error.path} ${error.message}`).join('; ')}`);
+    }
+
+    this.providers = [];
+    this.configSource = options.configSource;
+    this.loadBalanceStrategy = options.loadBalanceStrategy || 'round-robin';
+    this.defaultExpiry = options.defaultExpiry || 3600;
+    this.maxUploadSize = options.maxUploadSize || 5 * 1024 * 1024 * 1024;
+    this.currentProviderIndex = 0;
+    this.providerUsage = {};
+    this.multipartUploads = {};
+    this.multipartUploadTTL = options.multipartUploadTTL || DEFAULT_MULTIPART_UPLOAD_TTL;
+    this.lastUploadSweep = 0;
+    this.clients = new Map();
+    this.pendingUploads = new Map();
+    this.locationStore = options.locationStore || new MemoryLocationStore();
+    this.circuitBreaker = {
+      failureThreshold: 5,
+      cooldown: 30000,
+      ...options.circuitBreaker
+    };
+    this.healthCheckInterval = options.healthCheckInterval || 0;
+    this.healthCheckTimer = null;
+    this.virtualNodes = options.virtualNodes || 100;
+    this.hashRing = null;
+    this.strategies = new Map();
+    this.replication = {
+      concurrency: 2,
+      maxAttempts: 3,
+      retryDelay: 1000,
+      ...options.replication
+    };
+    this.replicationJobs = new Map();
+    this.replicationQueue = [];
+    this.activeReplications = 0;
+    this.locationUpdates = Promise.resolve();
+    this.localSigningSecret = options.localSigningSecret || crypto.randomBytes(32).toString('hex');
+    this.serverPort = null;
+    this.app = null;
+    this.configErrors = [];
+    this.configReloads = { success: 0, failure: 0 };
+    this.tenants = new Map();
+    this.tenantUsage = {};
+    this.uploadPolicy = normalizeUploadPolicy({});
+    this.keyTemplate = options.keyTemplate || DEFAULT_KEY_TEMPLATE;
+    this.stats = {
+      windows: [60, 300, 3600],
+      bucketSize: 10,
+      strategyWindow: 300,
+      snapshotFile: null,
+      snapshotInterval: 60000,
+      ...options.stats
+    };
+    this.capacity = {
+      highWaterMark: 0.9,
+      ...options.capacity
+    };
+    this.rateLimitPolicy = {
+      mode: 'overflow',
+      maxWait: 1000,
+      ...options.rateLimitPolicy
+    };
+    this.statsSnapshot = {};
+    this.statsSnapshotTimer = null;
+    this.statsSaving = Promise.resolve();
+
+    this.stats.span = Math.max(...this.stats.windows, this.stats.strategyWindow);
+
+    // Restore counters saved by a previous process before the providers' usage is created
+    if (this.stats.snapshotFile) {
+      this.loadStatsSnapshot();
+    }
+
+    // Register instance strategies before the configured strategy is validated
+    Object.entries(options.strategies || {}).forEach(([name, strategy]) => {
+      this.registerStrategy(name, strategy);
+    });
+    this.assertStrategyExists(this.loadBalanceStrategy);
+
+    // Validate the initial providers, tenants and upload policy and initialize their usage metrics
+    this.updateConfig({ providers: options.providers || [], tenants: options.tenants, uploadPolicy: options.uploadPolicy });
+
+    // Start background health probes if enabled
+    if (this.healthCheckInterval > 0) {
+      this.startHealthChecks();
+    }
+
+    if (this.stats.snapshotFile) {
+      this.startStatsSnapshots();
+    }
+
+    // Load external configuration if provided
+    if (this.configSource) {
+      this.loadExternalConfig();
+    }
+  }
+
+  /**
+   * Load configuration from an external source (file or URL)
+   */
+  async loadExternalConfig() {
+    try {
+      let configData;
+
+      if (this.configSource.startsWith('http://') || this.configSource.startsWith('https://')) {
+        // Load from URL
+        const response = await axios.get(this.configSource);
+        configData = response.data;
+        console.log('Config loaded from URL:', this.configSource);
+
+        // Set up polling for remote config changes
+        setInterval(async () => {
+          try {
+            const response = await axios.get(this.configSource);
+            this.updateConfig(response.data);
+          } catch (error) {
+            this.reportConfigLoadError('Error polling remote config', error);
+          }
+        }, 60000); // Poll every minute
+      } else {
+        // Load from local file
+        configData = JSON.parse(fs.readFileSync(this.configSource, 'utf8'));
+        console.log('Config loaded from file:', this.configSource);
+
+        // Watch for local file changes
+        chokidar.watch(this.configSource).on('change', (path) => {
+          try {
+            const updatedConfig = JSON.parse(fs.readFileSync(path, 'utf8'));
+            this.updateConfig(updatedConfig);
+            console.log('Config file updated:', path);
+          } catch (error) {
+            this.reportConfigLoadError('Error reading updated config file', error);
+          }
+        });
+      }
+
+      this.updateConfig(configData);
+    } catch (error) {
+      this.reportConfigLoadError('Error loading external configuration', error);
+    }
+  }
+
+  /**
+   * Update configuration with new data
+   * 
+   * `${ENV_VAR}` references in strings are replaced with environment variables. Invalid providers
+   * (and invalid top-level fields) are rejected and logged while the valid rest still applies.
+   * 
+   * @param {Object} configData - The new configuration data
+   * @returns {Object} The IDs of the applied providers and the validation errors as { path, message } objects
+   */
+  updateConfig(configData) {
+    if (!configData || typeof configData !== 'object' || Array.isArray(configData)) {
+      const errors = [{ path: '', message: 'configuration must be an object' }];
+      this.configErrors = errors;
+      this.configReloads.failure++;
+      this.reportConfigErrors(errors);
+      return { applied: [], errors };
+    }
+
+    const errors = [];
+    const settings = {};
+
+    // Top-level fields are applied one by one, so one bad value doesn't discard the others
+    ['loadBalanceStrategy', 'defaultExpiry', 'removeStaleProviders', 'keyTemplate'].forEach(field => {
+      if (configData[field] === undefined) {
+        return;
+      }
+
+      const fieldErrors = [];
+      const value = interpolateEnv(configData[field], field, fieldErrors);
+
+      if (fieldErrors.length === 0) {
+        const message = field === 'removeStaleProviders'
+          ? (typeof value === 'boolean' ? null : 'must be a boolean')
+          : OPTIONS_SCHEMA[field](value);
+
+        if (message) {
+          fieldErrors.push({ path: field, message });
+        }
+      }
+
+      if (fieldErrors.length === 0) {
+        settings[field] = value;
+      }
+      errors.push(...fieldErrors);
+    });
+
+    // An unknown strategy is rejected like any invalid field, keeping the current one
+    if (settings.loadBalanceStrategy && !this.isKnownStrategy(settings.loadBalanceStrategy)) {
+      errors.push({ path: 'loadBalanceStrategy', message: `is not a known strategy: ${settings.loadBalanceStrategy}` });
+      delete settings.loadBalanceStrategy;
+    }
+
+    const applied = [];
+    const previousProviders = new Map(this.providers.map(p => [p.id, p]));
+
+    if (configData.providers !== undefined && !Array.isArray(configData.providers)) {
+      errors.push({ path: 'providers', message: 'must be an array' });
+    } else if (configData.providers) {
+      const seenIds = new Set();
+
+      configData.providers.forEach((entry, index) => {
+        const path = `providers[${index}]`;
+        const providerErrors = [];
+        const newProvider = interpolateEnv(entry, path, providerErrors);
+        const existingProviderIndex = newProvider && isNonEmptyString(newProvider.id)
+          ? this.providers.findIndex(p => p.id === newProvider.id)
+          : -1;
+
+        // Updates are partial, so validate the provider as it would be after the merge
+        const updatedProvider = existingProviderIndex >= 0
+          ? { ...this.providers[existingProviderIndex], ...newProvider }
+          : newProvider;
+
+        providerErrors.push(...validateProviderConfig(updatedProvider, path));
+
+        if (providerErrors.length === 0 && seenIds.has(newProvider.id)) {
+          providerErrors.push({ path: `${path}.id`, message: `duplicate provider ID ${newProvider.id}` });
+        }
+
+        if (providerErrors.length > 0) {
+          errors.push(...providerErrors);
+          return;
+        }
+
+        seenIds.add(newProvider.id);
+        applied.push(newProvider.id);
+
+        if (existingProviderIndex >= 0) {
+          // Only rebuild the client when a connection field actually changed
+          if (this.getClientSignature(updatedProvider) !== this.getClientSignature(this.providers[existingProviderIndex])) {
+            this.disposeClient(updatedProvider.id);
+          }
+
+          this.providers[existingProviderIndex] = updatedProvider;
+        } else {
+          // Add new provider
+          this.providers.push(newProvider);
+          this.providerUsage[newProvider.id] = this.createProviderUsage(newProvider);
+        }
+      });
+
+      // Remove providers that no longer exist in the new config. Rejected entries still count as
+      // present, so a typo in a provider doesn't remove its previous, valid configuration.
+      if (settings.removeStaleProviders) {
+        const newProviderIds = configData.providers
+          .filter(p => p && typeof p === 'object')
+          .map(p => p.id);
+        const removedIds = this.providers
+          .filter(p => !newProviderIds.includes(p.id))
+          .map(p => p.id);
+        removedIds.forEach(id => this.disposeClient(id));
+        this.providers = this.providers.filter(p => newProviderIds.includes(p.id));
+        errors.push(...this.forgetProviders(removedIds));
+      }
+    }
+
+    if (configData.tenants !== undefined) {
+      errors.push(...this.updateTenants(configData.tenants));
+    }
+
+    // A partly valid policy would be looser than intended, so an invalid one keeps the previous policy
+    if (configData.uploadPolicy !== undefined) {
+      const policyErrors = [];
+      const policy = interpolateEnv(configData.uploadPolicy, 'uploadPolicy', policyErrors);
+
+      policyErrors.push(...validateUploadPolicy(policy));
+
+      if (policyErrors.length === 0) {
+        this.uploadPolicy = normalizeUploadPolicy(policy);
+      }
+      errors.push(...policyErrors);
+    }
+
+    // Update other configuration options
+    if (settings.loadBalanceStrategy) {
+      this.loadBalanceStrategy = settings.loadBalanceStrategy;
+    }
+
+    if (settings.defaultExpiry) {
+      this.defaultExpiry = settings.defaultExpiry;
+    }
+
+    if (settings.keyTemplate) {
+      this.keyTemplate = settings.keyTemplate;
+    }
+
+    this.configErrors = errors;
+    this.configReloads[errors.length === 0 ? 'success' : 'failure']++;
+    this.reportConfigErrors(errors);
+
+    // Updated providers are replaced by merged copies, so compare their contents
+    const currentIds = this.providers.map(p => p.id);
+    this.emit('configReloaded', {
+      added: currentIds.filter(id => !previousProviders.has(id)),
+      changed: this.providers
+        .filter(p => previousProviders.has(p.id) && JSON.stringify(previousProviders.get(p.id)) !== JSON.stringify(p))
+        .map(p => p.id),
+      removed: [...previousProviders.keys()].filter(id => !currentIds.includes(id)),
+      errors
+    });
+
+    return { applied, errors };
+  }
+
+  /**
+   * Drop the usage of removed providers, so their stats don't outlive them, and take them
+   * out of tenant provider pools
+   * 
+   * A tenant left without providers keeps an empty pool, so its requests are refused rather
+   * than routed to every provider.
+   * 
+   * @param {Array<String>} providerIds - IDs of the removed providers
+   * @returns {Array} Errors as { path, message } objects for tenants left without providers
+   */
+  forgetProviders(providerIds) {
+    const errors = [];
+
+    providerIds.forEach(id => {
+      delete this.providerUsage[id];
+    });
+
+    this.tenants.forEach((tenant, tenantId) => {
+      if (!tenant.providers || !tenant.providers.some(id => providerIds.includes(id))) {
+        return;
+      }
+
+      const providers = tenant.providers.filter(id => !providerIds.includes(id));
+      this.tenants.set(tenantId, { ...tenant, providers });
+
+      if (providers.length === 0) {
+        errors.push({ path: 'tenants', message: `tenant ${tenantId} has no providers left after removing ${tenant.providers.join(', ')}` });
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Replace the tenants with a new list
+   * 
+   * Prefixes are normalized to end with a slash and may not overlap, so no tenant can sign URLs
+   * into another's prefix. A rejected entry keeps the previous configuration of its tenant.
+   * 
+   * @param {Array} tenants - The tenant configurations
+   * @returns {Array} Validation errors as { path, message } objects
+   */
+  updateTenants(tenants) {
+    if (!Array.isArray(tenants)) {
+      return [{ path: 'tenants', message: 'must be an array' }];
+    }
+
+    const errors = [];
+    const updated = new Map();
+
+    tenants.forEach((entry, index) => {
+      const path = `tenants[${index}]`;
+      const tenantErrors = [];
+      const tenant = interpolateEnv(entry, path, tenantErrors);
+
+      tenantErrors.push(...validateTenantConfig(tenant, path));
+
+      if (tenantErrors.length === 0) {
+        const unknown = (tenant.providers || []).filter(id => !this.providers.some(p => p.id === id));
+        if (unknown.length > 0) {
+          tenantErrors.push({ path: `${path}.providers`, message: `has unknown providers: ${unknown.join(', ')}` });
+        }
+
+        if (tenant.loadBalanceStrategy && !this.isKnownStrategy(tenant.loadBalanceStrategy)) {
+          tenantErrors.push({ path: `${path}.loadBalanceStrategy`, message: `is not a known strategy: ${tenant.loadBalanceStrategy}` });
+        }
+      }
+
+      const prefix = tenantErrors.length === 0 ? `${tenant.prefix.replace(/^\/+|\/+$/g, '')}/` : null;
+
+      if (tenantErrors.length === 0) {
+        if (updated.has(tenant.id)) {
+          tenantErrors.push({ path: `${path}.id`, message: `duplicate tenant ID ${tenant.id}` });
+        } else {
+          const overlapping = [...updated.values()].find(other => other.prefix.startsWith(prefix) || prefix.startsWith(other.prefix));
+          if (overlapping) {
+            tenantErrors.push({ path: `${path}.prefix`, message: `overlaps the prefix of tenant ${overlapping.id}` });
+          }
+        }
+      }
+
+      if (tenantErrors.length > 0) {
+        errors.push(...tenantErrors);
+
+        // Keep the previous configuration of a tenant whose new entry is invalid
+        const previous = tenant && isNonEmptyString(tenant.id) && this.tenants.get(tenant.id);
+        if (previous && !updated.has(previous.id)) {
+          updated.set(previous.id, previous);
+        }
+        return;
+      }
+
+      updated.set(tenant.id, { ...tenant, prefix });
+
+      if (!this.tenantUsage[tenant.id]) {
+        this.tenantUsage[tenant.id] = { usedBytes: 0, usedObjects: 0, pendingBytes: 0, pendingObjects: 0 };
+      }
+    });
+
+    this.tenants = updated;
+    return errors;
+  }
+
+  /**
+   * Get a tenant by ID
+   * 
+   * @param {String} tenantId - The tenant ID
+   * @returns {Object} The tenant configuration
+   * @throws {TenantError} If the tenant is unknown (404)
+   */
+  getTenant(tenantId) {
+    const tenant = this.tenants.get(tenantId);
+
+    if (!tenant) {
+      throw new TenantError(`Unknown tenant: ${tenantId}`, 404);
+    }
+
+    return tenant;
+  }
+
+  /**
+   * Find the tenant whose prefix an object key falls under
+   * 
+   * @param {String} key - The object key
+   * @returns {Object|null} The tenant, or null if the key belongs to none
+   */
+  getTenantForKey(key) {
+    for (const tenant of this.tenants.values()) {
+      if (key.startsWith(tenant.prefix)) {
+        return tenant;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Apply a tenant to the options of a request
+   * 
+   * Keys are built under the tenant prefix (see buildObjectKey), a specified key must already be under it,
+   * and load balancing is restricted to the tenant's providers with the tenant's strategy and expiry.
+   * 
+   * @param {Object} options - The request options, with `tenantId`
+   * @returns {Object} The options to use, with the `tenant` configuration (unchanged without `tenantId`)
+   * @throws {TenantError} If the tenant is unknown (404) or the key or provider is outside the tenant (403)
+   */
+  applyTenant(options) {
+    if (options.tenantId === undefined) {
+      return options;
+    }
+
+    const tenant = this.getTenant(options.tenantId);
+    const key = options.keySpecified || options.key;
+
+    if (key !== undefined) {
+      this.assertTenantKey(tenant, key);
+    }
+
+    const allowedProviders = tenant.providers
+      ? tenant.providers.filter(id => !options.allowedProviders || options.allowedProviders.includes(id))
+      : options.allowedProviders;
+
+    if (allowedProviders && allowedProviders.length === 0) {
+      throw new TenantError(`None of the allowed providers are available to tenant ${tenant.id}`, 403);
+    }
+
+    if (options.providerId && allowedProviders && !allowedProviders.includes(options.providerId)) {
+      throw new TenantError(`Provider ${options.providerId} is not available to tenant ${tenant.id}`, 403);
+    }
+
+    return {
+      ...options,
+      tenant,
+      allowedProviders,
+      strategy: options.strategy || tenant.loadBalanceStrategy,
+      expiry: options.expiry || tenant.defaultExpiry
+    };
+  }
+
+  /**
+   * Throw if a key is outside a tenant's prefix
+   * 
+   * @param {Object} tenant - The tenant configuration
+   * @param {String} key - The object key
+   * @throws {TenantError} If the key is not under the prefix or has dot segments (403)
+   */
+  assertTenantKey(tenant, key) {
+    if (!key.startsWith(tenant.prefix) || hasDotSegment(key)) {
+      throw new TenantError(`Key ${key} is outside the prefix ${tenant.prefix} of tenant ${tenant.id}`, 403);
+    }
+  }
+
+  /**
+   * Check whether a tenant has quota left for one more object of the given size,
+   * counting the uploads issued but not confirmed yet
+   * 
+   * @param {Object} tenant - The tenant configuration
+   * @param {Number} size - Declared size in bytes (optional)
+   * @returns {Boolean} Whether the upload fits
+   */
+  hasTenantQuota(tenant, size = 0) {
+    const quotas = tenant.quotas || {};
+    const usage = this.tenantUsage[tenant.id];
+
+    if (quotas.maxBytes && usage.usedBytes + usage.pendingBytes + (Number(size) || 0) > quotas.maxBytes) {
+      return false;
+    }
+
+    if (quotas.maxObjects && usage.usedObjects + usage.pendingObjects + 1 > quotas.maxObjects) {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Check an upload against the upload policy
+   * 
+   * Every rule whose `pathPrefix` starts the key applies, so rules can only add restrictions:
+   * - `allowTypes` / `denyTypes`: MIME types the content type must / must not match ('image/*' allowed)
+   * - `allowExtensions` / `denyExtensions`: extensions the filename must / must not have
+   * - `maxSize`: largest declared size in bytes; uploads under the rule must declare their size
+   * 
+   * Dangerous types and extensions (HTML, SVG, scripts, XML by default) are blocked on providers with `public: true`.
+   * 
+   * @param {Object} upload - The upload to check
+   * @param {String} upload.key - The object key (for presigned POSTs, the key prefix)
+   * @param {String} upload.filename - The filename (optional)
+   * @param {String} upload.contentType - The content type (optional with contentTypePrefix)
+   * @param {String} upload.contentTypePrefix - Presigned POST content type prefix (optional)
+   * @param {Number} upload.size - Declared size, or largest allowed size of a presigned POST, in bytes (optional)
+   * @param {Object} upload.provider - The provider the upload goes to (optional)
+   * @returns {Array} Violations as { rule, pathPrefix, code, message } objects (empty if the upload is allowed)
+   */
+  checkUploadPolicy(upload) {
+    const violations = [];
+    const extension = upload.filename ? path.extname(upload.filename).toLowerCase() : null;
+    const typeLabel = upload.contentType || `${upload.contentTypePrefix}*`;
+
+    // A content type prefix is allowed only if every type it admits is, and denied if any of them is
+    const allowedBy = pattern => upload.contentType
+      ? mimeMatches(pattern, upload.contentType)
+      : pattern === '*/*' || (pattern.endsWith('/*') && upload.contentTypePrefix.toLowerCase().startsWith(pattern.slice(0, -1)));
+    const deniedBy = pattern => upload.contentType
+      ? mimeMatches(pattern, upload.contentType)
+      : mimeRangeOverlaps(pattern, upload.contentTypePrefix);
+
+    this.uploadPolicy.rules
+      .filter(rule => upload.key.startsWith(rule.pathPrefix))
+      .forEach(rule => {
+        const fail = (code, message) => violations.push({ rule: rule.index, pathPrefix: rule.pathPrefix, code, message });
+        const where = rule.pathPrefix ? ` under ${rule.pathPrefix}` : '';
+
+        if (rule.allowTypes && !rule.allowTypes.some(allowedBy)) {
+          fail('type_not_allowed', `Content type ${typeLabel} is not allowed${where}`);
+        }
+
+        if (rule.denyTypes && rule.denyTypes.some(deniedBy)) {
+          fail('type_denied', `Content type ${typeLabel} is denied${where}`);
+        }
+
+        if ((rule.allowExtensions || rule.denyExtensions) && !upload.filename) {
+          fail('filename_required', `A filename is required to check extensions${where}`);
+        } else if (rule.allowExtensions && !rule.allowExtensions.includes(extension)) {
+          fail('extension_not_allowed', `Extension ${extension || '(none)'} is not allowed${where}`);
+        } else if (rule.denyExtensions && rule.denyExtensions.includes(extension)) {
+          fail('extension_denied', `Extension ${extension} is denied${where}`);
+        }
+
+        if (rule.maxSize && upload.size === undefined) {
+          fail('size_required', `The upload size must be declared${where}`);
+        } else if (rule.maxSize && Number(upload.size) > rule.maxSize) {
+          fail('size_exceeded', `Size ${upload.size} exceeds the maximum of ${rule.maxSize} bytes${where}`);
+        }
+      });
+
+    if (upload.provider && upload.provider.public && this.isDangerousUpload(upload)) {
+      violations.push({
+        rule: null,
+        pathPrefix: null,
+        code: 'dangerous_type',
+        message: `${typeLabel}${extension ? ` (${extension})` : ''} uploads are blocked on public provider ${upload.provider.id}`
+      });
+    }
+
+    return violations;
+  }
+
+  /**
+   * Throw if an upload breaks the upload policy
+   * 
+   * @param {Object} upload - The upload to check (see checkUploadPolicy)
+   * @throws {UploadPolicyError} With every violation
+   */
+  assertUploadPolicy(upload) {
+    const violations = this.checkUploadPolicy(upload);
+
+    if (violations.length > 0) {
+      throw new UploadPolicyError(violations.map(v => v.message).join('; '), violations);
+    }
+  }
+
+  /**
+   * Check whether an upload's content type or extension is one of the dangerous ones
+   * 
+   * @param {Object} upload - The filename, contentType or contentTypePrefix of the upload
+   * @returns {Boolean} Whether browsers could render or run the upload
+   */
+  isDangerousUpload(upload) {
+    const extension = upload.filename ? path.extname(upload.filename).toLowerCase() : null;
+    const dangerousType = this.uploadPolicy.dangerousTypes.some(type => upload.contentType
+      ? mimeMatches(type, upload.contentType)
+      : mimeRangeOverlaps(type, upload.contentTypePrefix || ''));
+
+    return dangerousType || (extension !== null && this.uploadPolicy.dangerousExtensions.includes(extension));
+  }
+
+  /**
+   * Keep dangerous uploads off public providers during load balancing
+   * 
+   * @param {Object} options - The upload options
+   * @returns {Object} The options, with `allowedProviders` excluding public providers for dangerous uploads
+   * @throws {UploadPolicyError} If every allowed provider is public
+   */
+  restrictDangerousUpload(options) {
+    if (options.providerId || !this.providers.some(p => p.public) || !this.isDangerousUpload(options)) {
+      return options;
+    }
+
+    const allowedProviders = this.providers
+      .filter(p => !p.public && (!options.allowedProviders || options.allowedProviders.includes(p.id)))
+      .map(p => p.id);
+
+    if (allowedProviders.length === 0) {
+      throw new UploadPolicyError(
+        `${options.contentType || `${options.contentTypePrefix}*`} uploads are blocked on public providers, and no other provider is available`,
+        [{ rule: null, pathPrefix: null, code: 'dangerous_type', message: 'Dangerous uploads are blocked on public providers' }]
+      );
+    }
+
+    return { ...options, allowedProviders };
+  }
+
+  /**
+   * Get the smallest maxSize of the upload policy rules applying to a key
+   * 
+   * @param {String} key - The object key or key prefix
+   * @returns {Number} The largest size allowed by the policy (Infinity without a limit)
+   */
+  getUploadPolicyMaxSize(key) {
+    return Math.min(...this.uploadPolicy.rules
+      .filter(rule => rule.maxSize && key.startsWith(rule.pathPrefix))
+      .map(rule => rule.maxSize));
+  }
+
+  /**
+   * Log configuration validation errors and emit them as a 'configError' event
+   * 
+   * @param {Array} errors - Errors as { path, message } objects
+   */
+  reportConfigErrors(errors) {
+    if (errors.length === 0) {
+      return;
+    }
+
+    errors.forEach(error => {
+      console.error(`Invalid configuration${error.path ? ` at ${error.path}` : ''}: ${error.message}`);
+    });
+
+    this.emit('configError', { errors });
+  }
+
+  /**
+   * Log a failure to load or parse the external configuration and emit it as a 'configError' event
+   * 
+   * @param {String} description - What was being done
+   * @param {Error} error - The error that occurred
+   */
+  reportConfigLoadError(description, error) {
+    console.error(`${description}:`, error.message);
+    this.configReloads.failure++;
+    this.emit('configError', { errors: [{ path: '', message: error.message }], error });
+  }
+
+  /**
+   * Register a custom S3-compatible provider type
+   * 
+   * @param {String} type - The provider type, used as `type` in provider configurations
+   * @param {Object} preset - The type's defaults
+   * @param {String} preset.region - Default region (optional)
+   * @param {String} preset.signingRegion - Region used to sign requests regardless of the provider region (optional)
+   * @param {String} preset.endpoint - Endpoint template, e.g. 'https://s3.{region}.example.com' (optional)
+   * @param {Boolean} preset.requiresEndpoint - Whether providers must set `endpoint` (optional)
+   * @param {Boolean} preset.forcePathStyle - Default addressing style (optional, default: false)
+   * @param {String|Function} preset.publicUrl - Public URL template, e.g. 'https://{bucket}.example.com/{key}' (optional)
+   * @param {Object} preset.clientOptions - Extra S3Client options (optional)
+   */
+  static registerProviderType(type, preset) {
+    if (!type || typeof type !== 'string') {
+      throw new Error('Provider type must be a non-empty string');
+    }
+
+    if (Object.prototype.hasOwnProperty.call(PROVIDER_PRESETS, type) || type === 'azure' || type === 'local') {
+      throw new Error(`Cannot override built-in provider type: ${type}`);
+    }
+
+    if (!preset || typeof preset !== 'object') {
+      throw new Error(`Provider type ${type} must be described by a preset object`);
+    }
+
+    registeredProviderTypes.set(type, { forcePathStyle: false, publicUrl: null, ...preset });
+  }
+
+  /**
+   * Get the preset of a built-in or registered provider type
+   * 
+   * @param {String} type - The provider type
+   * @returns {Object} The preset
+   */
+  static getProviderPreset(type) {
+    const preset = Object.prototype.hasOwnProperty.call(PROVIDER_PRESETS, type)
+      ? PROVIDER_PRESETS[type]
+      : registeredProviderTypes.get(type);
+
+    if (!preset) {
+      throw new Error(`Unsupported provider type: ${type}`);
+    }
+
+    return preset;
+  }
+
+  /**
+   * Register a custom load balancing strategy for every MultiBucket instance
+   * 
+   * The strategy is called with the eligible providers (open circuits excluded), the
+   * providerUsage metrics keyed by provider ID and the request options, with `this` set
+   * to the MultiBucket instance. It must return one of the eligible providers or its ID.
+   * 
+   * @param {String} name - The strategy name, used as loadBalanceStrategy
+   * @param {Function} strategy - The strategy function
+   */
+  static registerStrategy(name, strategy) {
+    validateCustomStrategy(name, strategy);
+    registeredStrategies.set(name, strategy);
+  }
+
+  /**
+   * Register a custom load balancing strategy for this instance only
+   * 
+   * Instance strategies take precedence over strategies registered with MultiBucket.registerStrategy.
+   * 
+   * @param {String} name - The strategy name, used as loadBalanceStrategy
+   * @param {Function} strategy - The strategy function (see MultiBucket.registerStrategy)
+   */
+  registerStrategy(name, strategy) {
+    validateCustomStrategy(name, strategy);
+    this.strategies.set(name, strategy);
+  }
+
+  /**
+   * Get a custom load balancing strategy by name
+   * 
+   * @param {String} name - The strategy name
+   * @returns {Function|undefined} The strategy function, or undefined if no custom strategy has that name
+   */
+  getCustomStrategy(name) {
+    return this.strategies.get(name) || registeredStrategies.get(name);
+  }
+
+  /**
+   * Check whether a strategy name is built-in or registered
+   * 
+   * @param {String} name - The strategy name
+   * @returns {Boolean} True if the strategy exists
+   */
+  isKnownStrategy(name) {
+    return BUILT_IN_STRATEGIES.includes(name) || Boolean(this.getCustomStrategy(name));
+  }
+
+  /**
+   * Throw if a strategy name is neither built-in nor registered
+   * 
+   * @param {String} name - The strategy name
+   */
+  assertStrategyExists(name) {
+    if (!this.isKnownStrategy(name)) {
+      const custom = [...this.strategies.keys(), ...registeredStrategies.keys()];
+      throw new Error(`Unknown load balancing strategy: ${name}. Available strategies: ${[...BUILT_IN_STRATEGIES, ...custom].join(', ')}`);
+    }
+  }
+
+  /**
+   * Create the initial usage metrics and health state for a provider
+   * 
+   * @param {Object} provider - The storage provider configuration
+   * @returns {Object} The usage metrics
+   */
+  createProviderUsage(provider) {
+    // Saved counters are restored once, not again if the provider is removed and re-added
+    const saved = this.statsSnapshot[provider.id] || {};
+    delete this.statsSnapshot[provider.id];
+
+    const recent = new SlidingWindowCounter(this.stats.span, this.stats.bucketSize);
+    recent.restore(saved.recent);
+
+    return {
+      requestCount: saved.requestCount || 0,
+      errorCount: saved.errorCount || 0,
+      lastUsed: 0,
+      rateLimit: provider.rateLimit || DEFAULT_RATE_LIMIT,
+      tokens: provider.burst || Math.max(1, provider.rateLimit || DEFAULT_RATE_LIMIT),
+      tokensUpdatedAt: Date.now(),
+      rateLimited: 0,
+      failedConfirmations: 0,
+      health: 'healthy',
+      consecutiveFailures: 0,
+      circuitOpenedAt: 0,
+      trialStartedAt: 0,
+      lastError: null,
+      lastCheckedAt: 0,
+      rateLimitFallbacks: 0,
+      signingDurations: {},
+      recent,
+      // Stored objects come from confirmed uploads (or a reconcile scan), pending ones from issued upload URLs
+      capacity: {
+        usedBytes: 0,
+        usedObjects: 0,
+        pendingBytes: 0,
+        pendingObjects: 0,
+        reconciledAt: null,
+        ...saved.capacity
+      },
+      // Billable activity, priced by getSpendStats
+      spend: {
+        puts: 0,
+        gets: 0,
+        egressBytes: 0,
+        storageGBMonths: 0,
+        ...saved.spend,
+        accruedAt: Date.now()
+      }
+    };
+  }
+
+  /**
+   * Record a failed operation against a provider and update its health state
+   * 
+   * A provider is degraded after its first consecutive failure and its circuit opens once
+   * the failure threshold is reached. A failure while half-open re-opens the circuit immediately.
+   * 
+   * @param {String} providerId - The provider ID
+   * @param {Error} error - The error that occurred
+   */
+  recordProviderFailure(providerId, error) {
+    const usage = this.providerUsage[providerId];
+
+    if (!usage) {
+      return;
+    }
+
+    usage.errorCount++;
+    usage.recent.record('errors');
+    usage.consecutiveFailures++;
+    usage.lastError = error ? error.message : null;
+
+    if (usage.health === 'half-open' || usage.consecutiveFailures >= this.circuitBreaker.failureThreshold) {
+      usage.health = 'open';
+      usage.circuitOpenedAt = Date.now();
+    } else {
+      usage.health = 'degraded';
+    }
+
+    this.emit('providerError', {
+      provider: providerId,
+      error,
+      health: usage.health,
+      consecutiveFailures: usage.consecutiveFailures
+    });
+  }
+
+  /**
+   * Record a successful operation against a provider, closing its circuit
+   * 
+   * @param {String} providerId - The provider ID
+   */
+  recordProviderSuccess(providerId) {
+    const usage = this.providerUsage[providerId];
+
+    if (!usage) {
+      return;
+    }
+
+    usage.consecutiveFailures = 0;
+    usage.health = 'healthy';
+    usage.circuitOpenedAt = 0;
+  }
+
+  /**
+   * Check whether a provider may receive new requests, without changing its health state
+   * 
+   * Providers with an open circuit are skipped until the cooldown has elapsed. A half-open
+   * provider is skipped while its trial request is pending, for at most another cooldown.
+   * 
+   * @param {Object} provider - The storage provider configuration
+   * @returns {Boolean} True if the provider is available
+   */
+  isProviderAvailable(provider) {
+    const usage = this.providerUsage[provider.id];
+    const now = Date.now();
+
+    if (usage.health === 'open') {
+      return now - usage.circuitOpenedAt >= this.circuitBreaker.cooldown;
+    }
+
+    if (usage.health === 'half-open') {
+      return now - usage.trialStartedAt >= this.circuitBreaker.cooldown;
+    }
+
+    return true;
+  }
+
+  /**
+   * Mark a provider as chosen for a request. A provider whose circuit is open (past its cooldown)
+   * or half-open gets this request as its single trial: it moves to half-open until the outcome is recorded.
+   * 
+   * @param {Object} provider - The storage provider configuration
+   */
+  startProviderTrial(provider) {
+    const usage = this.providerUsage[provider.id];
+
+    if (usage.health === 'open' || usage.health === 'half-open') {
+      usage.health = 'half-open';
+      usage.trialStartedAt = Date.now();
+    }
+  }
+
+  /**
+   * Probe a provider with a HeadBucket request (List Blobs on Azure) and update its health state
+   * 
+   * @param {Object} provider - The storage provider configuration
+   * @returns {Promise<Boolean>} True if the bucket is reachable
+   */
+  async probeProvider(provider) {
+    const usage = this.providerUsage[provider.id];
+
+    try {
+      if (provider.type === 'azure') {
+        await this.probeAzureContainer(provider);
+      } else if (provider.type === 'local') {
+        await fs.promises.access(provider.directory, fs.constants.W_OK);
+      } else {
+        const client = this.getClient(provider);
+        await client.send(new HeadBucketCommand({ Bucket: provider.bucket }));
+      }
+      this.recordProviderSuccess(provider.id);
+      return true;
+    } catch (error) {
+      this.recordProviderFailure(provider.id, error);
+      return false;
+    } finally {
+      if (usage) {
+        usage.lastCheckedAt = Date.now();
+      }
+    }
+  }
+
+  /**
+   * Probe every provider once
+   * 
+   * @returns {Promise<Object>} The health state of each provider, keyed by provider ID
+   */
+  async checkProviderHealth() {
+    await Promise.all(this.providers.map(provider => this.probeProvider(provider)));
+
+    return this.providers.reduce((result, provider) => {
+      result[provider.id] = this.providerUsage[provider.id].health;
+      return result;
+    }, {});
+  }
+
+  /**
+   * Start probing every provider in the background
+   * 
+   * @param {Number} interval - Milliseconds between probes (defaults to constructor value)
+   */
+  startHealthChecks(interval = this.healthCheckInterval) {
+    this.stopHealthChecks();
+
+    if (!interval || interval <= 0) {
+      throw new Error('healthCheckInterval must be a positive number of milliseconds');
+    }
+
+    this.healthCheckInterval = interval;
+    this.healthCheckTimer = setInterval(() => {
+      this.checkProviderHealth().catch(error => {
+        console.error('Error checking provider health:', error.message);
+      });
+    }, interval);
+
+    // Don't keep the process alive just for health probes
+    if (this.healthCheckTimer.unref) {
+      this.healthCheckTimer.unref();
+    }
+  }
+
+  /**
+   * Stop the background health probes
+   */
+  stopHealthChecks() {
+    if (this.healthCheckTimer) {
+      clearInterval(this.healthCheckTimer);
+      this.healthCheckTimer = null;
+    }
+  }
+
+  /**
+   * Get the requests, errors and error rate of providers over a recent window
+   * 
+   * @param {Array} providers - The storage provider configurations
+   * @param {Number} window - Window length in seconds
+   * @returns {Object} Usage keyed by provider ID
+   */
+  getRecentUsage(providers, window) {
+    const now = Date.now();
+    const usage = {};
+
+    providers.forEach(provider => {
+      const { requests, errors } = this.providerUsage[provider.id].recent.sum(window, now);
+      usage[provider.id] = {
+        requests,
+        errors,
+        errorRate: errors / (requests || 1)
+      };
+    });
+
+    return usage;
+  }
+
+  /**
+   * Load the counters saved by saveStatsSnapshot
+   */
+  loadStatsSnapshot() {
+    try {
+      if (fs.existsSync(this.stats.snapshotFile)) {
+        this.statsSnapshot = JSON.parse(fs.readFileSync(this.stats.snapshotFile, 'utf8')).providers || {};
+      }
+    } catch (error) {
+      console.error('Error loading stats snapshot:', error.message);
+    }
+  }
+
+  /**
+   * Save the lifetime and sliding-window counters of every provider to the snapshot file
+   * 
+   * @returns {Promise<void>} Resolves once the snapshot is on disk
+   */
+  saveStatsSnapshot() {
+    const providers = {};
+
+    this.providers.forEach(provider => {
+      const usage = this.providerUsage[provider.id];
+      providers[provider.id] = {
+        requestCount: usage.requestCount,
+        errorCount: usage.errorCount,
+        recent: usage.recent.toJSON(),
+        capacity: {
+          usedBytes: usage.capacity.usedBytes,
+          usedObjects: usage.capacity.usedObjects,
+          reconciledAt: usage.capacity.reconciledAt
+        },
+        spend: {
+          puts: usage.spend.puts,
+          gets: usage.spend.gets,
+          egressBytes: usage.spend.egressBytes,
+          storageGBMonths: this.accrueStorage(provider.id).storageGBMonths
+        }
+      };
+    });
+
+    const data = JSON.stringify({ savedAt: new Date().toISOString(), providers });
+
+    // Chain writes so an older snapshot never replaces a newer one
+    this.statsSaving = this.statsSaving.catch(() => {}).then(async () => {
+      const tempPath = `${this.stats.snapshotFile}.tmp`;
+      await fs.promises.writeFile(tempPath, data);
+      await fs.promises.rename(tempPath, this.stats.snapshotFile);
+    });
+
+    return this.statsSaving;
+  }
+
+  /**
+   * Start saving stats snapshots periodically
+   * 
+   * @param {Number} interval - Milliseconds between snapshots (default: options.stats.snapshotInterval)
+   */
+  startStatsSnapshots(interval = this.stats.snapshotInterval) {
+    this.stopStatsSnapshots();
+
+    if (!this.stats.snapshotFile) {
+      throw new Error('stats.snapshotFile is required to save snapshots');
+    }
+
+    this.statsSnapshotTimer = setInterval(() => {
+      this.saveStatsSnapshot().catch(error => {
+        console.error('Error saving stats snapshot:', error.message);
+      });
+    }, interval);
+
+    // Don't keep the process alive just for snapshots
+    if (this.statsSnapshotTimer.unref) {
+      this.statsSnapshotTimer.unref();
+    }
+  }
+
+  /**
+   * Stop saving stats snapshots
+   */
+  stopStatsSnapshots() {
+    if (this.statsSnapshotTimer) {
+      clearInterval(this.statsSnapshotTimer);
+      this.statsSnapshotTimer = null;
+    }
+  }
+
+  /**
+   * Check whether a provider can take a new object without going over its high-water mark
+   * 
+   * @param {Object} provider - The storage provider configuration
+   * @param {Number} size - Declared size of the new object in bytes (default: 0)
+   * @returns {Boolean} True if the provider has room, always for providers without quotas
+   */
+  hasFreeCapacity(provider, size = 0) {
+    const capacity = this.providerUsage[provider.id].capacity;
+    const highWaterMark = provider.highWaterMark || this.capacity.highWaterMark;
+
+    if (provider.maxBytes && capacity.usedBytes + capacity.pendingBytes + size > provider.maxBytes * highWaterMark) {
+      return false;
+    }
+
+    if (provider.maxObjects && capacity.usedObjects + capacity.pendingObjects + 1 > provider.maxObjects * highWaterMark) {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Reserve capacity for an upload that was issued but not confirmed yet
+   * 
+   * @param {String} providerId - The provider ID
+   * @param {Number} size - Declared size in bytes (optional)
+   * @param {String} key - The object key, also reserved against the quotas of its tenant (optional)
+   */
+  reserveCapacity(providerId, size, key) {
+    const usage = this.providerUsage[providerId];
+    const tenant = key ? this.getTenantForKey(key) : null;
+
+    [usage && usage.capacity, tenant && this.tenantUsage[tenant.id]].forEach(counters => {
+      if (counters) {
+        counters.pendingBytes += Number(size) || 0;
+        counters.pendingObjects++;
+      }
+    });
+  }
+
+  /**
+   * Release capacity reserved by reserveCapacity
+   * 
+   * @param {String} providerId - The provider ID
+   * @param {Number} size - Declared size in bytes (optional)
+   * @param {String} key - The object key the capacity was reserved for (optional)
+   */
+  releaseCapacity(providerId, size, key) {
+    const usage = this.providerUsage[providerId];
+    const tenant = key ? this.getTenantForKey(key) : null;
+
+    [usage && usage.capacity, tenant && this.tenantUsage[tenant.id]].forEach(counters => {
+      if (counters) {
+        counters.pendingBytes = Math.max(0, counters.pendingBytes - (Number(size) || 0));
+        counters.pendingObjects = Math.max(0, counters.pendingObjects - 1);
+      }
+    });
+  }
+
+  /**
+   * Count a stored object against a provider's quota
+   * 
+   * @param {String} providerId - The provider ID
+   * @param {Number} size - Size in bytes (optional if unknown)
+   * @param {String} key - The object key, also counted against the quotas of its tenant (optional)
+   */
+  recordStoredObject(providerId, size, key) {
+    const usage = this.providerUsage[providerId];
+    const tenant = key ? this.getTenantForKey(key) : null;
+
+    if (usage) {
+      this.accrueStorage(providerId);
+      usage.capacity.usedBytes += Number(size) || 0;
+      usage.capacity.usedObjects++;
+      usage.spend.puts++;
+    }
+
+    if (tenant) {
+      this.tenantUsage[tenant.id].usedBytes += Number(size) || 0;
+      this.tenantUsage[tenant.id].usedObjects++;
+    }
+  }
+
+  /**
+   * Count a download against a provider's request and egress spend
+   * 
+   * @param {String} providerId - The provider ID
+   * @param {Number} size - Bytes downloaded (optional if unknown)
+   */
+  recordDownload(providerId, size) {
+    const usage = this.providerUsage[providerId];
+
+    if (usage) {
+      usage.spend.gets++;
+      usage.spend.egressBytes += Number(size) || 0;
+    }
+  }
+
+  /**
+   * Add the storage used since the last accrual to a provider's GB-months
+   * 
+   * Called before stored usage changes, so every period is billed at the size it had.
+   * 
+   * @param {String} providerId - The provider ID
+   * @returns {Object} The provider's spend counters
+   */
+  accrueStorage(providerId) {
+    const usage = this.providerUsage[providerId];
+    const now = Date.now();
+
+    usage.spend.storageGBMonths += (usage.capacity.usedBytes / BYTES_PER_GB) * ((now - usage.spend.accruedAt) / MS_PER_MONTH);
+    usage.spend.accruedAt = now;
+
+    return usage.spend;
+  }
+
+  /**
+   * Estimate what storing and serving an object would cost on a provider
+   * 
+   * @param {Object} provider - The storage provider configuration
+   * @param {Object} hints - What is known about the object (optional)
+   * @param {Number} hints.size - Size in bytes (default: 0)
+   * @param {Number} hints.expectedReads - How many times it will be downloaded (default: 1)
+   * @param {Number} hints.retentionMonths - How long it will be kept (default: 1)
+   * @returns {Number} The estimated cost in the provider's currency, Infinity without a pricing block
+   */
+  estimateObjectCost(provider, hints = {}) {
+    if (!provider.pricing) {
+      return Infinity;
+    }
+
+    const pricing = provider.pricing;
+    const sizeGB = (Number(hints.size) || 0) / BYTES_PER_GB;
+    const reads = hints.expectedReads !== undefined ? Number(hints.expectedReads) : 1;
+    const months = hints.retentionMonths !== undefined ? Number(hints.retentionMonths) : 1;
+
+    return (pricing.perPut || 0) +
+      sizeGB * months * (pricing.storagePerGBMonth || 0) +
+      reads * ((pricing.perGet || 0) + sizeGB * (pricing.egressPerGB || 0));
+  }
+
+  /**
+   * Recount a provider's stored bytes and objects by listing its bucket
+   * 
+   * S3 providers are scanned with ListObjectsV2, Azure providers with List Blobs and local
+   * providers by walking their directory. Counted usage replaces the tracked usage.
+   * 
+   * @param {String} providerId - The provider ID
+   * @returns {Promise<Object>} The provider ID, the counted bytes and objects and the time of the scan
+   */
+  async reconcileProviderUsage(providerId) {
+    const provider = this.providers.find(p => p.id === providerId);
+
+    if (!provider) {
+      throw new Error(`Provider not found: ${providerId}`);
+    }
+
+    let totals;
+
+    try {
+      if (provider.type === 'azure') {
+        totals = await this.listAzureUsage(provider);
+      } else if (provider.type === 'local') {
+        totals = await this.listLocalUsage(provider);
+      } else {
+        totals = { bytes: 0, objects: 0 };
+        let continuationToken;
+
+        do {
+          const response = await this.getClient(provider).send(new ListObjectsV2Command({
+            Bucket: provider.bucket,
+            ContinuationToken: continuationToken,
+          }));
+
+          (response.Contents || []).forEach(object => {
+            totals.bytes += object.Size || 0;
+            totals.objects++;
+          });
+          continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+        } while (continuationToken);
+      }
+
+      this.recordProviderSuccess(provider.id);
+    } catch (error) {
+      this.recordProviderFailure(provider.id, error);
+      throw new Error(`Failed to reconcile usage: ${error.message}`);
+    }
+
+    this.accrueStorage(provider.id);
+
+    const capacity = this.providerUsage[provider.id].capacity;
+    capacity.usedBytes = totals.bytes;
+    capacity.usedObjects = totals.objects;
+    capacity.reconciledAt = new Date().toISOString();
+
+    return {
+      provider: provider.id,
+      usedBytes: capacity.usedBytes,
+      usedObjects: capacity.usedObjects,
+      reconciledAt: capacity.reconciledAt
+    };
+  }
+
+  /**
+   * Count the blobs of an Azure container with List Blobs
+   * 
+   * @param {Object} provider - The storage provider configuration
+   * @returns {Promise<Object>} The total bytes and objects
+   */
+  async listAzureUsage(provider) {
+    const totals = { bytes: 0, objects: 0 };
+    let marker = '';
+
+    do {
+      const url = `${this.generateAzureSasUrl(provider, null, { permissions: 'l', expiry: 300 })}&comp=list&maxresults=5000` +
+        (marker ? `&marker=${encodeURIComponent(marker)}` : '');
+      const response = await axios.get(url, { responseType: 'text', validateStatus: () => true });
+
+      if (response.status >= 400) {
+        const error = new Error(`Azure List Blobs failed with status ${response.status}`);
+        error.$metadata = { httpStatusCode: response.status };
+        throw error;
+      }
+
+      const body = String(response.data);
+      (body.match(/<Content-Length>\d+<\/Content-Length>/g) || []).forEach(match => {
+        totals.bytes += parseInt(match.replace(/\D/g, ''), 10);
+        totals.objects++;
+      });
+
+      const nextMarker = body.match(/<NextMarker>([^<]*)<\/NextMarker>/);
+      marker = nextMarker ? nextMarker[1] : '';
+    } while (marker);
+
+    return totals;
+  }
+
+  /**
+   * Count the files stored by a local provider
+   * 
+   * @param {Object} provider - The storage provider configuration
+   * @returns {Promise<Object>} The total bytes and objects
+   */
+  async listLocalUsage(provider) {
+    const totals = { bytes: 0, objects: 0 };
+    const walk = async directory => {
+      let entries;
+
+      try {
+        entries = await fs.promises.readdir(directory, { withFileTypes: true });
+      } catch (error) {
+        // Nothing was uploaded yet
+        if (error.code === 'ENOENT') {
+          return;
+        }
+        throw error;
+      }
+
+      for (const entry of entries) {
+        const entryPath = path.join(directory, entry.name);
+
+        if (entry.isDirectory()) {
+          await walk(entryPath);
+        } else if (entry.isFile()) {
+          totals.bytes += (await fs.promises.stat(entryPath)).size;
+          totals.objects++;
+        }
+      }
+    };
+
+    await walk(path.resolve(provider.directory, provider.bucket));
+    return totals;
+  }
+
+  /**
+   * Hash a string to a 32-bit position on the hash ring
+   * 
+   * @param {String} value - The value to hash
+   * @returns {Number} The ring position
+   */
+  hashToRing(value) {
+    return crypto.createHash('md5').update(String(value)).digest().readUInt32BE(0);
+  }
+
+  /**
+   * Get the consistent hash ring, rebuilding it when providers or weights have changed
+   * 
+   * Each provider gets `virtualNodes * weight` points, so adding or removing a provider
+   * only moves the keys that fall between its points and their neighbours.
+   * 
+   * @returns {Array} Ring points as { position, providerId }, sorted by position
+   */
+  getHashRing() {
+    const signature = this.providers.map(p => `${p.id}:${p.weight || 1}`).join('|');
+
+    if (this.hashRing && this.hashRing.signature === signature) {
+      return this.hashRing.points;
+    }
+
+    const points = [];
+    this.providers.forEach(provider => {
+      const count = Math.max(1, Math.round(this.virtualNodes * (provider.weight || 1)));
+      for (let i = 0; i < count; i++) {
+        points.push({ position: this.hashToRing(`${provider.id}#${i}`), providerId: provider.id });
+      }
+    });
+    points.sort((a, b) => a.position - b.position);
+
+    this.hashRing = { signature, points };
+    return points;
+  }
+
+  /**
+   * Find the provider owning a routing key on the hash ring
+   * 
+   * @param {String} routingKey - The routing key
+   * @param {Array} candidates - The providers that may be selected
+   * @returns {Object} The selected provider
+   */
+  selectByConsistentHash(routingKey, candidates) {
+    const points = this.getHashRing();
+    const position = this.hashToRing(routingKey);
+
+    // Binary search for the first point at or after the key's position
+    let low = 0;
+    let high = points.length;
+    while (low < high) {
+      const mid = (low + high) >>> 1;
+      if (points[mid].position < position) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+
+    // Walk clockwise, skipping providers that are not candidates (e.g. open circuit)
+    const candidateIds = new Set(candidates.map(p => p.id));
+    for (let i = 0; i < points.length; i++) {
+      const point = points[(low + i) % points.length];
+      if (candidateIds.has(point.providerId)) {
+        return candidates.find(p => p.id === point.providerId);
+      }
+    }
+
+    return candidates[0];
+  }
+
+  /**
+   * Pick one of the eligible providers with the configured load balancing strategy
+   * 
+   * @param {Array} candidates - The eligible providers
+   * @param {Object} options - The request options
+   * @param {String} options.strategy - Strategy overriding loadBalanceStrategy, e.g. a tenant's (optional)
+   * @returns {Object} The selected provider
+   */
+  applyStrategy(candidates, options) {
+    let selectedProvider;
+    const strategy = options.strategy || this.loadBalanceStrategy;
+    const customStrategy = this.getCustomStrategy(strategy);
+
+    switch (customStrategy ? 'custom' : strategy) {
+      case 'custom': {
+        const result = customStrategy.call(this, candidates, this.providerUsage, options);
+        const resultId = result && typeof result === 'object' ? result.id : result;
+
+        selectedProvider = candidates.find(p => p.id === resultId);
+
+        if (!selectedProvider) {
+          throw new Error(`Load balancing strategy ${strategy} did not return an eligible provider`);
+        }
+        break;
+      }
+
+      case 'round-robin':
+        // Walk through all providers so the rotation is stable when circuits close again;
+        // the rotation only advances once the pick is final (see commitProviderSelection)
+        for (let i = 0; i < this.providers.length; i++) {
+          const index = (this.currentProviderIndex + i) % this.providers.length;
+
+          if (candidates.includes(this.providers[index])) {
+            selectedProvider = this.providers[index];
+            break;
+          }
+        }
+        break;
+
+      case 'least-used': {
+        // Compare recent traffic, so a provider added later isn't flooded to catch up
+        const recent = this.getRecentUsage(candidates, this.stats.strategyWindow);
+        selectedProvider = candidates.reduce((least, current) => {
+          return (recent[current.id].requests < recent[least.id].requests) ? current : least;
+        }, candidates[0]);
+        break;
+      }
+
+      case 'least-errors': {
+        // Select the provider with the lowest recent error rate, so old error bursts are forgotten
+        const recent = this.getRecentUsage(candidates, this.stats.strategyWindow);
+        selectedProvider = candidates.reduce((least, current) => {
+          return (recent[current.id].errorRate < recent[least.id].errorRate) ? current : least;
+        }, candidates[0]);
+        break;
+      }
+
+      case 'weighted-random':
+        // Providers with higher weight are more likely to be selected
+        const totalWeight = candidates.reduce((sum, provider) => sum + (provider.weight || 1), 0);
+        let random = Math.random() * totalWeight;
+
+        for (const provider of candidates) {
+          const weight = provider.weight || 1;
+          if (random < weight) {
+            selectedProvider = provider;
+            break;
+          }
+          random -= weight;
+        }
+
+        // Fallback in case of precision errors
+        if (!selectedProvider) {
+          selectedProvider = candidates[0];
+        }
+        break;
+
+      case 'most-free-space': {
+        // Providers without maxBytes have unlimited space; ties go to the one with less recent traffic
+        const recent = this.getRecentUsage(candidates, this.stats.strategyWindow);
+        const freeBytes = provider => {
+          const capacity = this.providerUsage[provider.id].capacity;
+          return provider.maxBytes ? provider.maxBytes - capacity.usedBytes - capacity.pendingBytes : Infinity;
+        };
+
+        selectedProvider = candidates.reduce((most, current) => {
+          const currentFree = freeBytes(current);
+          const mostFree = freeBytes(most);
+
+          if (currentFree > mostFree || (currentFree === mostFree && recent[current.id].requests < recent[most.id].requests)) {
+            return current;
+          }
+          return most;
+        }, candidates[0]);
+        break;
+      }
+
+      case 'lowest-cost': {
+        // Cost of the upload under the size and access hints; unpriced providers are the last resort
+        const recent = this.getRecentUsage(candidates, this.stats.strategyWindow);
+
+        selectedProvider = candidates.reduce((cheapest, current) => {
+          const currentCost = this.estimateObjectCost(current, options);
+          const cheapestCost = this.estimateObjectCost(cheapest, options);
+
+          if (currentCost < cheapestCost || (currentCost === cheapestCost && recent[current.id].requests < recent[cheapest.id].requests)) {
+            return current;
+          }
+          return cheapest;
+        }, candidates[0]);
+        break;
+      }
+
+      case 'consistent-hash':
+        // Requests without a routing key are spread over the ring
+        selectedProvider = this.selectByConsistentHash(
+          options.routingKey || options.path || crypto.randomUUID(),
+          candidates
+        );
+        break;
+
+      default:
+        throw new Error(`Unknown load balancing strategy: ${strategy}`);
+    }
+
+    return selectedProvider;
+  }
+
+  /**
+   * Refill a provider's token bucket for the time elapsed since the last refill
+   * 
+   * Buckets refill at `rateLimit` tokens per second and hold at most `burst` tokens
+   * (default: one second's worth).
+   * 
+   * @param {Object} provider - The storage provider configuration
+   * @param {Number} now - Timestamp in milliseconds (default: now)
+   * @returns {Object} The provider's usage, with the current `tokens`
+   */
+  refillTokens(provider, now = Date.now()) {
+    const usage = this.providerUsage[provider.id];
+    const rate = provider.rateLimit || DEFAULT_RATE_LIMIT;
+    const burst = provider.burst || Math.max(1, rate);
+
+    usage.rateLimit = rate;
+
+    if (rate === Infinity) {
+      usage.tokens = Infinity;
+    } else {
+      const elapsed = Math.max(0, now - usage.tokensUpdatedAt);
+      usage.tokens = Math.min(burst, usage.tokens + (elapsed / 1000) * rate);
+    }
+    usage.tokensUpdatedAt = now;
+
+    return usage;
+  }
+
+  /**
+   * Take a token from a provider's bucket
+   * 
+   * @param {Object} provider - The storage provider configuration
+   * @param {Number} now - Timestamp in milliseconds (default: now)
+   * @returns {Boolean} True if a token was taken, false if the provider is rate limited
+   */
+  takeToken(provider, now = Date.now()) {
+    const usage = this.refillTokens(provider, now);
+
+    if (usage.tokens < 1) {
+      return false;
+    }
+
+    usage.tokens -= 1;
+    return true;
+  }
+
+  /**
+   * Get how long until a provider's bucket has a token again
+   * 
+   * @param {Object} provider - The storage provider configuration
+   * @param {Number} now - Timestamp in milliseconds (default: now)
+   * @returns {Number} Milliseconds to wait (0 if a token is available)
+   */
+  getTokenWait(provider, now = Date.now()) {
+    const usage = this.refillTokens(provider, now);
+    return usage.tokens >= 1 ? 0 : Math.ceil(((1 - usage.tokens) / usage.rateLimit) * 1000);
+  }
+
+  /**
+   * Get a storage provider, waiting for a token when the rate limit policy allows it
+   * 
+   * With the 'wait' policy, a rate-limited selection waits for the selected provider's next token,
+   * for up to `rateLimitPolicy.maxWait` milliseconds, without running the strategy again. If that
+   * provider stops being eligible meanwhile, a new selection is made. Other policies behave like
+   * getStorageProvider.
+   * 
+   * @param {Object} options - The request options (see getStorageProvider)
+   * @param {String} capability - Only select providers supporting this operation (optional)
+   * @returns {Promise<Object>} The selected provider
+   */
+  async acquireStorageProvider(options = {}, capability) {
+    const deadline = Date.now() + this.rateLimitPolicy.maxWait;
+
+    try {
+      return this.getStorageProvider(options, capability);
+    } catch (error) {
+      if (!(error instanceof RateLimitError) || this.rateLimitPolicy.mode !== 'wait' || !error.providerId) {
+        throw error;
+      }
+
+      // Wait for the chosen provider's token instead of running the strategy again
+      let wait = error.retryAfter;
+
+      for (;;) {
+        if (Date.now() + wait > deadline) {
+          throw new RateLimitError(`Storage provider ${error.providerId} is rate limited`, wait, error.providerId);
+        }
+
+        await new Promise(resolve => setTimeout(resolve, wait));
+
+        const candidates = this.getCandidateProviders(options, capability);
+        const provider = candidates.find(p => p.id === error.providerId);
+
+        // The provider was removed, its circuit opened or it filled up meanwhile: select again
+        if (!provider) {
+          return this.getStorageProvider(options, capability);
+        }
+
+        const now = Date.now();
+        if (this.takeToken(provider, now)) {
+          return this.commitProviderSelection(provider, candidates, options, capability, now);
+        }
+
+        wait = this.getTokenWait(provider, now);
+      }
+    }
+  }
+
+  /**
+   * Get a storage provider based on the load balancing strategy
+   * 
+   * @param {Object} options - The request options (optional)
+   * @param {String} options.routingKey - Key used by the 'consistent-hash' strategy (optional, defaults to options.path)
+   * @param {Number} options.size - Declared upload size in bytes, so providers it would push over their high-water mark are skipped (optional)
+   * @param {Array} options.allowedProviders - Only select among these provider IDs (optional)
+   * @param {String} capability - Only select providers supporting this operation, e.g. 'multipart' (optional)
+   * @returns {Object} The selected provider
+   * @throws {RateLimitError} If the selected provider is out of tokens and the policy is not 'overflow',
+   *   or if every eligible provider is out of tokens
+   */
+  getStorageProvider(options = {}, capability) {
+    const candidates = this.getCandidateProviders(options, capability);
+    const now = Date.now();
+    let selectedProvider = this.applyStrategy(candidates, options);
+
+    if (!this.takeToken(selectedProvider, now)) {
+      const limitedProvider = selectedProvider;
+      this.providerUsage[limitedProvider.id].rateLimited++;
+
+      if (this.rateLimitPolicy.mode !== 'overflow') {
+        throw new RateLimitError(
+          `Storage provider ${limitedProvider.id} is rate limited`,
+          this.getTokenWait(limitedProvider, now),
+          limitedProvider.id
+        );
+      }
+
+      // Overflow: let the strategy choose again among the providers that still have tokens
+      const withTokens = candidates.filter(p => p !== limitedProvider && this.refillTokens(p, now).tokens >= 1);
+
+      if (withTokens.length === 0) {
+        throw new RateLimitError(
+          'All storage providers are rate limited',
+          Math.min(...candidates.map(p => this.getTokenWait(p, now)))
+        );
+      }
+
+      selectedProvider = this.applyStrategy(withTokens, options);
+      this.takeToken(selectedProvider, now);
+      this.providerUsage[limitedProvider.id].rateLimitFallbacks++;
+    }
+
+    return this.commitProviderSelection(selectedProvider, candidates, options, capability, now);
+  }
+
+  /**
+   * Get the providers a request may be routed to, before load balancing and rate limiting
+   * 
+   * @param {Object} options - The request options (see getStorageProvider)
+   * @param {String} capability - Only select providers supporting this operation (optional)
+   * @returns {Array} The allowed, capable and available providers with free capacity
+   */
+  getCandidateProviders(options = {}, capability) {
+    if (this.providers.length === 0) {
+      throw new Error('No storage providers configured');
+    }
+
+    const allowed = options.allowedProviders
+      ? this.providers.filter(provider => options.allowedProviders.includes(provider.id))
+      : this.providers;
+
+    if (allowed.length === 0) {
+      throw new Error(`None of the allowed storage providers are configured: ${options.allowedProviders.join(', ')}`);
+    }
+
+    const capable = capability
+      ? allowed.filter(provider => supportsCapability(provider, capability))
+      : allowed;
+
+    if (capable.length === 0) {
+      throw new Error(`No storage providers support ${capability}`);
+    }
+
+    // Skip providers whose circuit is open
+    const candidates = capable.filter(provider => this.isProviderAvailable(provider));
+
+    if (candidates.length === 0) {
+      throw new Error('No healthy storage providers available');
+    }
+
+    // Skip providers above their high-water mark, counting the declared size of this upload
+    const size = Number(options.size) || 0;
+    const withCapacity = candidates.filter(provider => this.hasFreeCapacity(provider, size));
+
+    if (withCapacity.length === 0) {
+      throw new Error('No storage providers with free capacity available');
+    }
+
+    return withCapacity;
+  }
+
+  /**
+   * Record the final pick of a provider selection
+   * 
+   * Advances the round-robin rotation past the provider, starts its half-open trial and counts
+   * the request in its usage.
+   * 
+   * @param {Object} selectedProvider - The provider returned to the caller
+   * @param {Array} candidates - The providers the selection was made from
+   * @param {Object} options - The request options
+   * @param {String} capability - The requested capability (optional)
+   * @param {Number} now - Timestamp in milliseconds
+   * @returns {Object} The selected provider
+   */
+  commitProviderSelection(selectedProvider, candidates, options, capability, now) {
+    const strategy = options.strategy || this.loadBalanceStrategy;
+
+    if (strategy === 'round-robin' && !this.getCustomStrategy(strategy)) {
+      this.currentProviderIndex = (this.providers.indexOf(selectedProvider) + 1) % this.providers.length;
+    }
+
+    this.startProviderTrial(selectedProvider);
+
+    // Update the usage metrics of the provider actually returned
+    const providerUsage = this.providerUsage[selectedProvider.id];
+    providerUsage.requestCount++;
+    providerUsage.recent.record('requests', now);
+    providerUsage.lastUsed = now;
+
+    this.emit('providerSelected', {
+      provider: selectedProvider.id,
+      type: selectedProvider.type,
+      strategy: options.strategy || this.loadBalanceStrategy,
+      capability: capability || null,
+      candidates: candidates.map(p => p.id)
+    });
+
+    return selectedProvider;
+  }
+
+  /**
+   * Create a client for the given provider
+   * 
+   * @param {Object} provider - The storage provider configuration
+   * @returns {Object} A client for the provider
+   */
+  createClient(provider) {
+    if (provider.type === 'azure' || provider.type === 'local') {
+      throw new Error(`Provider ${provider.id} of type ${provider.type} has no S3 client`);
+    }
+
+    const preset = MultiBucket.getProviderPreset(provider.type);
+    const region = provider.region || preset.region;
+    const endpoint = this.getProviderEndpoint(provider);
+
+    // Every S3-compatible service uses the same S3 API client, with its own endpoint and addressing style
+    return new S3Client({
+      ...preset.clientOptions,
+      region: preset.signingRegion || region,
+      endpoint,
+      credentials: {
+        accessKeyId: provider.accessKeyId,
+        secretAccessKey: provider.secretAccessKey
+      },
+      forcePathStyle: provider.forcePathStyle !== undefined ? provider.forcePathStyle : preset.forcePathStyle
+    });
+  }
+
+  /**
+   * Get the cached S3 client of a provider, creating it on first use
+   * 
+   * Clients are cached per provider ID and rebuilt when the provider's connection fields change.
+   * 
+   * @param {Object} provider - The storage provider configuration
+   * @returns {Object} The S3 client
+   */
+  getClient(provider) {
+    const signature = this.getClientSignature(provider);
+    const cached = this.clients.get(provider.id);
+
+    if (cached && cached.signature === signature) {
+      return cached.client;
+    }
+
+    // The provider object was changed outside updateConfig
+    if (cached) {
+      this.disposeClient(provider.id);
+    }
+
+    const client = this.createClient(provider);
+    const entry = { client, signature, pending: 0, disposed: false };
+
+    // Count the requests in flight, so a disposed client is only destroyed once they have settled
+    if (client.middlewareStack) {
+      client.middlewareStack.add(next => async args => {
+        entry.pending++;
+
+        try {
+          return await next(args);
+        } finally {
+          entry.pending--;
+          if (entry.disposed && entry.pending === 0) {
+            client.destroy();
+          }
+        }
+      }, { step: 'initialize', name: 'multibucketPendingRequests' });
+    }
+
+    this.clients.set(provider.id, entry);
+    return client;
+  }
+
+  /**
+   * Get a string identifying the connection settings of a provider
+   * 
+   * @param {Object} provider - The storage provider configuration
+   * @returns {String} The signature
+   */
+  getClientSignature(provider) {
+    return JSON.stringify(CLIENT_FIELDS.map(field => provider[field]));
+  }
+
+  /**
+   * Dispose of the cached client of a provider. A client with requests in flight, such as
+   * a replication copy or an upload confirmation, is destroyed when the last of them settles.
+   * 
+   * @param {String} providerId - The provider ID
+   */
+  disposeClient(providerId) {
+    const cached = this.clients.get(providerId);
+
+    if (cached) {
+      this.clients.delete(providerId);
+      cached.disposed = true;
+
+      if (cached.pending === 0 && typeof cached.client.destroy === 'function') {
+        cached.client.destroy();
+      }
+    }
+  }
+
+  /**
+   * Get the endpoint of a provider, derived from its type when not configured
+   * 
+   * @param {Object} provider - The storage provider configuration
+   * @returns {String|undefined} The endpoint URL, or undefined for the service default (AWS)
+   */
+  getProviderEndpoint(provider) {
+    const preset = MultiBucket.getProviderPreset(provider.type);
+
+    if (provider.endpoint) {
+      return provider.endpoint.replace(/\/$/, '');
+    }
+
+    if (preset.requiresEndpoint) {
+      throw new Error(`Provider ${provider.id} of type ${provider.type} requires an endpoint`);
+    }
+
+    if (!preset.endpoint) {
+      return undefined;
+    }
+
+    return renderTemplate(preset.endpoint, {
+      region: provider.region || preset.region,
+      accountId: provider.accountId
+    }, `the endpoint of provider ${provider.id} (type ${provider.type})`);
+  }
+
+  /**
+   * Get the Blob service endpoint of an Azure provider
+   * 
+   * @param {Object} provider - The storage provider configuration
+   * @returns {String} The endpoint URL
+   */
+  getAzureEndpoint(provider) {
+    if (provider.endpoint) {
+      return provider.endpoint.replace(/\/$/, '');
+    }
+
+    if (!provider.accountName) {
+      throw new Error(`Provider ${provider.id} of type azure requires an accountName`);
+    }
+
+    return `https://${provider.accountName}.blob.core.windows.net`;
+  }
+
+  /**
+   * Generate a SAS URL for a blob or, without a key, for the container of an Azure provider
+   * 
+   * @param {Object} provider - The storage provider configuration
+   * @param {String} key - The blob name (optional)
+   * @param {Object} options - SAS options
+   * @param {String} options.permissions - Permissions, e.g. 'r' for reads or 'cw' for uploads
+   * @param {Number} options.expiry - Expiry time in seconds
+   * @param {String} options.contentDisposition - Content-Disposition returned on reads (optional)
+   * @returns {String} The signed URL
+   */
+  generateAzureSasUrl(provider, key, options) {
+    if (!provider.accountName || (!provider.accountKey && !provider.userDelegationKey)) {
+      throw new Error(`Provider ${provider.id} of type azure requires an accountName and an accountKey or userDelegationKey`);
+    }
+
+    const sas = signAzureSas({
+      accountName: provider.accountName,
+      accountKey: provider.accountKey,
+      userDelegationKey: provider.userDelegationKey,
+      container: provider.bucket,
+      blob: key,
+      permissions: options.permissions,
+      expiresOn: new Date(Date.now() + options.expiry * 1000),
+      contentDisposition: options.contentDisposition
+    });
+
+    const path = key
+      ? `${encodeURIComponent(provider.bucket)}/${key.split('/').map(encodeURIComponent).join('/')}`
+      : `${encodeURIComponent(provider.bucket)}?restype=container`;
+
+    return `${this.getAzureEndpoint(provider)}/${path}${key ? '?' : '&'}${sas}`;
+  }
+
+  /**
+   * Check that an Azure container is reachable by listing at most one blob.
+   * A service SAS doesn't authorize Get Container Properties, but it does authorize List Blobs.
+   * 
+   * @param {Object} provider - The storage provider configuration
+   * @returns {Promise<Object>} The response headers
+   */
+  async probeAzureContainer(provider) {
+    const url = `${this.generateAzureSasUrl(provider, null, { permissions: 'l', expiry: 300 })}&comp=list&maxresults=1`;
+    const response = await axios.get(url, { responseType: 'text', validateStatus: () => true });
+
+    if (response.status >= 400) {
+      const error = new Error(`Azure container request failed with status ${response.status}`);
+      error.$metadata = { httpStatusCode: response.status };
+      throw error;
+    }
+
+    return response.headers;
+  }
+
+  /**
+   * Get the metadata of an object with a HEAD request
+   * 
+   * Azure responses are mapped to the shape of an S3 HeadObject response, and a missing
+   * object throws an error recognised by isNotFoundError for every provider type.
+   * 
+   * @param {Object} provider - The storage provider configuration
+   * @param {String} key - The object key
+   * @param {Object} options - Options (optional)
+   * @param {Boolean} options.checksum - Ask S3 providers to return the stored checksum
+   * @returns {Promise<Object>} The object metadata (ContentLength, ContentType, ETag, LastModified, ...)
+   */
+  async headObject(provider, key, options = {}) {
+    if (provider.type === 'local') {
+      return this.headLocalObject(provider, key);
+    }
+
+    if (provider.type !== 'azure') {
+      return this.getClient(provider).send(new HeadObjectCommand({
+        Bucket: provider.bucket,
+        Key: key,
+        ...(options.checksum ? { ChecksumMode: 'ENABLED' } : {}),
+      }));
+    }
+
+    const url = this.generateAzureSasUrl(provider, key, { permissions: 'r', expiry: 300 });
+    const response = await axios.head(url, { validateStatus: () => true });
+
+    if (response.status >= 400) {
+      const error = new Error(response.status === 404 ? 'NotFound' : `Azure HEAD request failed with status ${response.status}`);
+      error.name = response.status === 404 ? 'NotFound' : 'AzureError';
+      error.$metadata = { httpStatusCode: response.status };
+      throw error;
+    }
+
+    return {
+      ContentLength: Number(response.headers['content-length']),
+      ContentType: response.headers['content-type'],
+      ETag: response.headers.etag,
+      LastModified: response.headers['last-modified'] ? new Date(response.headers['last-modified']) : undefined
+    };
+  }
+
+  /**
+   * Get the file paths of an object stored by a local provider
+   * 
+   * Objects live in `<directory>/<bucket>/<key>`, with their metadata in a separate tree
+   * so it can never collide with an object key.
+   * 
+   * @param {Object} provider - The storage provider configuration
+   * @param {String} key - The object key
+   * @returns {Object} The absolute `filePath` and `metadataPath`
+   */
+  getLocalObjectPaths(provider, key) {
+    if (!provider.directory) {
+      throw new Error(`Provider ${provider.id} of type local requires a directory`);
+    }
+
+    if (!key || key.split('/').some(segment => segment === '..' || segment === '.') || key.includes('\0')) {
+      throw new Error(`Invalid object key: ${key}`);
+    }
+
+    const root = path.resolve(provider.directory);
+    const filePath = path.resolve(root, provider.bucket, key);
+    const metadataPath = path.resolve(root, LOCAL_METADATA_DIR, provider.bucket, `${key}.json`);
+
+    // Refuse keys escaping the bucket directory, e.g. absolute paths
+    if (!filePath.startsWith(path.join(root, provider.bucket) + path.sep)) {
+      throw new Error(`Invalid object key: ${key}`);
+    }
+
+    return { filePath, metadataPath };
+  }
+
+  /**
+   * Sign a request to a local provider
+   * 
+   * @param {Object} provider - The storage provider configuration
+   * @param {Array} fields - The signed fields: method, key, expiry and the content type or disposition
+   * @returns {String} The hex HMAC-SHA256 signature
+   */
+  signLocalRequest(provider, fields) {
+    return crypto
+      .createHmac('sha256', provider.secret || this.localSigningSecret)
+      .update([provider.id, ...fields].join('\n'))
+      .digest('hex');
+  }
+
+  /**
+   * Generate a signed, expiring URL to the local storage routes mounted by createServer
+   * 
+   * @param {Object} provider - The storage provider configuration
+   * @param {String} key - The object key
+   * @param {Object} options - URL options
+   * @param {String} options.method - 'PUT' for uploads or 'GET' for reads
+   * @param {Number} options.expiry - Expiry time in seconds
+   * @param {String} options.contentType - Content type the upload must have (PUT)
+   * @param {String} options.contentDisposition - Content-Disposition returned on reads (GET)
+   * @returns {String} The signed URL
+   */
+  generateLocalUrl(provider, key, options) {
+    // Validate the key before handing out a URL for it
+    this.getLocalObjectPaths(provider, key);
+
+    const expires = Math.floor(Date.now() / 1000) + options.expiry;
+    const detail = options.method === 'PUT' ? (options.contentType || '') : (options.contentDisposition || '');
+    const signature = this.signLocalRequest(provider, [options.method, key, expires, detail]);
+    const baseUrl = (provider.baseUrl || `http://localhost:${this.serverPort || 3000}`).replace(/\/$/, '');
+
+    const query = new URLSearchParams({
+      expires: String(expires),
+      ...(options.method === 'PUT' && options.contentType ? { contentType: options.contentType } : {}),
+      ...(options.method === 'GET' && options.contentDisposition ? { disposition: options.contentDisposition } : {}),
+      signature
+    });
+
+    const encodedKey = key.split('/').map(encodeURIComponent).join('/');
+    return `${baseUrl}/local/${encodeURIComponent(provider.id)}/${encodedKey}?${query}`;
+  }
+
+  /**
+   * Check the signature and expiry of a request to the local storage routes
+   * 
+   * @param {Object} provider - The storage provider configuration
+   * @param {String} method - 'PUT' or 'GET'
+   * @param {String} key - The object key
+   * @param {Object} query - The request query parameters
+   * @returns {String|null} The reason the request is rejected, or null if it is valid
+   */
+  verifyLocalRequest(provider, method, key, query) {
+    const expires = Number(query.expires);
+
+    if (!query.signature || !Number.isInteger(expires)) {
+      return 'Missing signature';
+    }
+
+    const detail = method === 'PUT' ? (query.contentType || '') : (query.disposition || '');
+    const expected = Buffer.from(this.signLocalRequest(provider, [method, key, expires, detail]));
+    const actual = Buffer.from(String(query.signature));
+
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return 'The request signature does not match';
+    }
+
+    if (expires < Math.floor(Date.now() / 1000)) {
+      return 'Request has expired';
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the metadata of an object stored by a local provider, in the shape of an S3 HeadObject response
+   * 
+   * @param {Object} provider - The storage provider configuration
+   * @param {String} key - The object key
+   * @returns {Promise<Object>} The object metadata
+   */
+  async headLocalObject(provider, key) {
+    const { filePath, metadataPath } = this.getLocalObjectPaths(provider, key);
+    let stats;
+
+    try {
+      stats = await fs.promises.stat(filePath);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        const notFound = new Error('NotFound');
+        notFound.name = 'NotFound';
+        notFound.$metadata = { httpStatusCode: 404 };
+        throw notFound;
+      }
+      throw error;
+    }
+
+    let metadata = {};
+    try {
+      metadata = JSON.parse(await fs.promises.readFile(metadataPath, 'utf8'));
+    } catch (error) {
+      // Objects copied in by hand have no metadata
+    }
+
+    return {
+      ContentLength: stats.size,
+      ContentType: metadata.contentType,
+      ETag: metadata.etag,
+      ChecksumSHA256: metadata.checksumSHA256,
+      LastModified: stats.mtime
+    };
+  }
+
+  /**
+   * Create the Express router serving signed uploads and downloads for local providers
+   * 
+   * PUT requests must carry the signed content type, like presigned S3 PUT URLs.
+   * 
+   * @returns {Object} The Express router, mounted on /local by createServer
+   */
+  createLocalStorageRouter() {
+    const router = express.Router();
+
+    // Resolve the provider and key of a request, answering 404/403 if it can't be served
+    const authorize = (req, res, method) => {
+      const provider = this.providers.find(p => p.id === req.params.providerId && p.type === 'local');
+
+      if (!provider) {
+        res.status(404).json({ error: 'Provider not found' });
+        return null;
+      }
+
+      const key = req.params.key.join('/');
+      const reason = this.verifyLocalRequest(provider, method, key, req.query);
+
+      if (reason) {
+        res.status(403).json({ error: reason });
+        return null;
+      }
+
+      try {
+        return { provider, key, ...this.getLocalObjectPaths(provider, key) };
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+        return null;
+      }
+    };
+
+    router.put('/:providerId/*key', async (req, res, next) => {
+      const request = authorize(req, res, 'PUT');
+
+      if (!request) {
+        return;
+      }
+
+      const contentType = req.headers['content-type'] || '';
+      if (req.query.contentType && contentType !== req.query.contentType) {
+        return res.status(403).json({ error: 'The Content-Type header does not match the signed content type' });
+      }
+
+      const tempPath = `${request.filePath}.${crypto.randomUUID()}.tmp`;
+
+      try {
+        await fs.promises.mkdir(path.dirname(request.filePath), { recursive: true });
+        await fs.promises.mkdir(path.dirname(request.metadataPath), { recursive: true });
+
+        // Stream the body to a temporary file, hashing it on the way
+        const md5 = crypto.createHash('md5');
+        const sha256 = crypto.createHash('sha256');
+        await new Promise((resolve, reject) => {
+          const file = fs.createWriteStream(tempPath);
+          req.on('data', chunk => {
+            md5.update(chunk);
+            sha256.update(chunk);
+          });
+          req.on('error', reject);
+          file.on('error', reject);
+          file.on('finish', resolve);
+          req.pipe(file);
+        });
+
+        const etag = `"${md5.digest('hex')}"`;
+        await fs.promises.rename(tempPath, request.filePath);
+        await fs.promises.writeFile(request.metadataPath, JSON.stringify({
+          contentType: contentType || 'application/octet-stream',
+          etag,
+          checksumSHA256: sha256.digest('base64')
+        }));
+
+        res.set('ETag', etag).status(200).end();
+      } catch (error) {
+        fs.promises.unlink(tempPath).catch(() => {});
+        next(error);
+      }
+    });
+
+    router.get('/:providerId/*key', async (req, res, next) => {
+      const request = authorize(req, res, 'GET');
+
+      if (!request) {
+        return;
+      }
+
+      try {
+        const head = await this.headLocalObject(request.provider, request.key);
+
+        // setHeader keeps the stored content type as is, without Express adding a charset
+        res.setHeader('Content-Type', head.ContentType || 'application/octet-stream');
+        res.setHeader('Content-Length', String(head.ContentLength));
+        res.setHeader('Last-Modified', head.LastModified.toUTCString());
+        if (head.ETag) {
+          res.setHeader('ETag', head.ETag);
+        }
+        if (req.query.disposition) {
+          res.setHeader('Content-Disposition', req.query.disposition);
+        }
+
+        if (req.method === 'HEAD') {
+          return res.status(200).end();
+        }
+
+        fs.createReadStream(request.filePath).on('error', next).pipe(res);
+      } catch (error) {
+        if (isNotFoundError(error)) {
+          return res.status(404).json({ error: 'The specified key does not exist' });
+        }
+        next(error);
+      }
+    });
+
+    return router;
+  }
+
+  /**
+   * Build the object key for a new upload
+   * 
+   * Keys come from the provider's keyTemplate, or the instance's. Placeholders:
+   * {path}, {uuid}, {ulid}, {yyyy}, {mm}, {dd} (UTC), {slug} and {ext} (the slugified filename and
+   * its extension with the dot), {filename} (without directories), {sha256-prefix} (first 8 hex
+   * characters of the declared checksum) and {tenant}. Tenant keys always start with the tenant prefix.
+   * 
+   * @param {Object} options - Upload options
+   * @param {String} options.filename - The original filename ('${filename}' for presigned POSTs naming the file on upload)
+   * @param {String} options.path - Custom path within the bucket (optional)
+   * @param {String} options.keySpecified - key specified by user (optional)
+   * @param {Object} provider - The provider the upload goes to (optional)
+   * @returns {String} The object key
+   * @throws {RequestValidationError} If {sha256-prefix} is used without a valid checksumSHA256
+   * @throws {Error} If the path has dot segments, a placeholder has no value or the key is over 1024 bytes
+   */
+  buildObjectKey(options, provider) {
+    let key = options.keySpecified;
+
+    if (!key) {
+      const uploadPath = (options.path || '').replace(/^\/+|\/+$/g, '');
+
+      if (hasDotSegment(uploadPath)) {
+        throw new Error(`Path ${options.path} must not contain . or .. segments`);
+      }
+
+      // The browser's filename is substituted by the provider, so it can't be slugified here
+      const browserFilename = options.filename === '${filename}';
+      const { name, slug, ext } = browserFilename
+        ? { name: options.filename, slug: options.filename, ext: '' }
+        : parseFilename(options.filename);
+      const now = new Date();
+      const template = (provider && provider.keyTemplate) || this.keyTemplate;
+
+      const values = {
+        path: uploadPath,
+        uuid: () => crypto.randomUUID(),
+        ulid: () => generateUlid(now.getTime()),
+        yyyy: String(now.getUTCFullYear()),
+        mm: String(now.getUTCMonth() + 1).padStart(2, '0'),
+        dd: String(now.getUTCDate()).padStart(2, '0'),
+        slug,
+        ext,
+        filename: name,
+        'sha256-prefix': () => {
+          if (!options.checksumSHA256) {
+            throw new RequestValidationError([{ path: 'checksumSHA256', message: 'is required by the {sha256-prefix} key template placeholder' }]);
+          }
+          if (!isBase64Sha256(options.checksumSHA256)) {
+            throw new RequestValidationError([{ path: 'checksumSHA256', message: 'must be a base64-encoded SHA-256 digest' }]);
+          }
+          return Buffer.from(options.checksumSHA256, 'base64').toString('hex').slice(0, 8);
+        },
+        tenant: options.tenant ? options.tenant.id : ''
+      };
+
+      const rendered = template
+        .replace(/\{([a-z0-9-]+)\}/g, (placeholder, field) => {
+          const value = values[field];
+          return typeof value === 'function' ? value() : value;
+        })
+        // Empty placeholders, such as {path} without a path, leave no empty segments behind
+        .replace(/\/{2,}/g, '/')
+        .replace(/^\//, '');
+
+      if (browserFilename && !rendered.endsWith('${filename}')) {
+        throw new Error('Presigned POSTs without a filename need a key template ending in {slug}{ext} or {filename}');
+      }
+
+      key = `${options.tenant ? options.tenant.prefix : ''}${rendered}`;
+    }
+
+    const bytes = Buffer.byteLength(key, 'utf8');
+    if (bytes > MAX_KEY_BYTES) {
+      throw new Error(`Object key is ${bytes} bytes long, over the ${MAX_KEY_BYTES}-byte limit`);
+    }
+
+    return key;
+  }
+
+  /**
+   * Get the public URL of an object on the given provider
+   * 
+   * @param {Object} provider - The storage provider configuration
+   * @param {String} key - The object key
+   * @returns {String|null} The public URL, or null if the provider has none
+   */
+  getPublicUrl(provider, key) {
+    // If a custom domain is specified, use that
+    if (provider.publicUrlBase) {
+      return `${provider.publicUrlBase.replace(/\/$/g, '')}/${key}`;
+    }
+
+    // Local objects are only served through signed URLs
+    if (provider.type === 'local') {
+      return null;
+    }
+
+    if (provider.type === 'azure') {
+      return renderTemplate(provider.publicUrlTemplate || '{endpoint}/{bucket}/{key}', {
+        bucket: provider.bucket,
+        endpoint: this.getAzureEndpoint(provider),
+        key
+      }, `the public URL of provider ${provider.id}`);
+    }
+
+    // Otherwise use the provider's own template or the one of its type
+    const preset = MultiBucket.getProviderPreset(provider.type);
+    const template = provider.publicUrlTemplate
+      || (typeof preset.publicUrl === 'function' ? preset.publicUrl(provider) : preset.publicUrl);
+
+    if (!template) {
+      return null;
+    }
+
+    return renderTemplate(template, {
+      bucket: provider.bucket,
+      region: provider.region || preset.region,
+      accountId: provider.accountId,
+      endpoint: template.includes('{endpoint}') ? this.getProviderEndpoint(provider) : undefined,
+      key
+    }, `the public URL of provider ${provider.id}`);
+  }
+
+  /**
+   * Throw if a built key is outside the prefixes the caller may upload to.
+   * Keys come from templates, so only the built key shows where an upload really goes.
+   * 
+   * @param {String} key - The object key (for presigned POSTs, the key prefix)
+   * @param {Array} prefixes - The allowed key prefixes (optional, every key is allowed without)
+   * @throws {AuthError} If the key starts with none of the prefixes (403)
+   */
+  assertKeyAllowed(key, prefixes) {
+    if (prefixes && !prefixes.some(prefix => key.startsWith(prefix))) {
+      throw new AuthError(`Path not allowed: ${key}`, 403);
+    }
+  }
+
+  /**
+   * Generate a presigned URL for uploading a file
+   * 
+   * @param {Object} options - Options for generating the presigned URL
+   * @param {String} options.filename - The original filename
+   * @param {String} options.contentType - The content type of the file
+   * @param {Number} options.expiry - Expiry time in seconds (optional, defaults to constructor value)
+   * @param {String} options.path - Custom path within the bucket (optional)
+   * @param {String} options.providerId - Specific provider ID to use (optional)
+   * @param {String} options.routingKey - Routing key for the 'consistent-hash' strategy (optional, defaults to options.path)
+   * @param {Array} options.allowedProviders - Only load balance among these provider IDs (optional)
+   * @param {Array} options.allowedKeyPrefixes - Only allow keys starting with one of these prefixes, checked on the built key (optional)
+   * @param {String} options.tenantId - Tenant to upload for, see applyTenant (optional)
+   * @param {String} options.keySpecified - key specified by user (optional)
+   * @param {Number} options.size - Declared file size in bytes, checked by confirmUpload (optional)
+   * @param {String} options.checksumSHA256 - Declared base64 SHA-256 of the file, signed into the URL and checked by confirmUpload (optional)
+   * @param {Number} options.expectedReads - Expected number of downloads, a hint for the 'lowest-cost' strategy (optional, default: 1)
+   * @param {Number} options.retentionMonths - Expected storage duration in months, a hint for the 'lowest-cost' strategy (optional, default: 1)
+   * @returns {Promise<Object>} An object containing the presigned URL and related information
+   */
+  async generateUploadUrl(options) {
+    let provider;
+    let result;
+
+    try {
+      options = this.applyTenant(options);
+
+      if (options.tenant && !this.hasTenantQuota(options.tenant, options.size)) {
+        throw new TenantError(`Tenant ${options.tenant.id} is over its storage quota`, 507);
+      }
+
+      options = this.restrictDangerousUpload(options);
+
+      // Get a provider based on load balancing strategy or use the specified one
+      const selected = options.providerId
+        ? this.providers.find(p => p.id === options.providerId)
+        : await this.acquireStorageProvider(options);
+
+      if (!selected) {
+        throw new Error(`Provider not found: ${options.providerId}`);
+      }
+
+      const key = this.buildObjectKey(options, selected);
+
+      // Policy violations are the caller's fault, so they are checked before failures count against the provider
+      this.assertKeyAllowed(key, options.allowedKeyPrefixes);
+      this.assertUploadPolicy({ ...options, key, provider: selected });
+      provider = selected;
+
+      const expiry = options.expiry || this.defaultExpiry;
+      const isAzure = provider.type === 'azure';
+      const signingStart = process.hrtime.bigint();
+      let signedUrl;
+
+      if (isAzure) {
+        // Put Block Blob with a SAS allowing to create and write the blob
+        signedUrl = this.generateAzureSasUrl(provider, key, { permissions: 'cw', expiry });
+      } else if (provider.type === 'local') {
+        // Served by the local storage routes of createServer
+        signedUrl = this.generateLocalUrl(provider, key, { method: 'PUT', expiry, contentType: options.contentType });
+      } else {
+        const client = this.getClient(provider);
+
+        // Create a command for putting the object
+        const command = new PutObjectCommand({
+          Bucket: provider.bucket,
+          Key: key,
+          ContentType: options.contentType,
+          ...(options.checksumSHA256 ? { ChecksumSHA256: options.checksumSHA256 } : {}),
+          ...(options.filename ? { Metadata: { 'original-filename': encodeURIComponent(options.filename) } } : {}),
+        });
+
+        // Sign the content type as a header, so the PUT fails unless it sends the declared one
+        signedUrl = await getSignedUrl(client, command, {
+          expiresIn: expiry,
+          signableHeaders: new Set(['content-type'])
+        });
+      }
+
+      this.observeSigningDuration(provider.id, 'upload', signingStart);
+      this.recordProviderSuccess(provider.id);
+
+      // Remember what was declared so the upload can be confirmed later.
+      // Azure doesn't store SHA-256 checksums, so they can't be checked there.
+      this.trackPendingUpload(key, {
+        providerId: provider.id,
+        contentType: options.contentType,
+        size: options.size !== undefined ? Number(options.size) : undefined,
+        checksumSHA256: isAzure ? undefined : options.checksumSHA256,
+        expiresAt: Date.now() + expiry * 1000 + PENDING_UPLOAD_GRACE_PERIOD
+      });
+
+      result = {
+        uploadUrl: signedUrl,
+        publicUrl: this.getPublicUrl(provider, key),
+        key,
+        bucket: provider.bucket,
+        provider: provider.id,
+        expires: new Date(Date.now() + expiry * 1000).toISOString(),
+        // The headers the PUT must be sent with; Azure also needs the blob type
+        uploadHeaders: isAzure ? {
+          'x-ms-blob-type': 'BlockBlob',
+          'x-ms-blob-content-type': options.contentType,
+          // Azure metadata names must be valid C# identifiers, so no hyphen here
+          ...(options.filename ? { 'x-ms-meta-original_filename': encodeURIComponent(options.filename) } : {})
+        } : {
+          'Content-Type': options.contentType,
+          ...(options.checksumSHA256 && provider.type !== 'local' ? { 'x-amz-checksum-sha256': options.checksumSHA256 } : {})
+        },
+      };
+    } catch (error) {
+      // Count the failure against the provider it happened on
+      if (provider) {
+        this.recordProviderFailure(provider.id, error);
+      }
+
+      throw wrapError('Failed to generate upload URL', error);
+    }
+
+    // Record where the object lives so reads can find it by key alone
+    await this.recordObjectLocation(result.key, provider);
+
+    // The URL itself is left out: it grants access and listeners may log the event
+    this.emit('uploadUrlIssued', {
+      method: 'PUT',
+      key: result.key,
+      bucket: result.bucket,
+      provider: result.provider,
+      contentType: options.contentType,
+      expires: result.expires
+    });
+
+    return result;
+  }
+
+  /**
+   * Generate presigned upload URLs for a batch of files
+   * 
+   * URLs are signed with bounded concurrency. A failing item doesn't fail the batch: its result
+   * carries the `error`, with the `status`, `code` and `violations` the single upload route would return.
+   * With `sameProvider`, the first item to get a URL picks the provider of the whole batch. Pinned items
+   * still go through load balancing restricted to that provider, so its circuit breaker, capacity and
+   * rate limit apply to each of them.
+   * 
+   * @param {Array<Object>} items - Options of each upload, as for generateUploadUrl
+   * @param {Object} options - Batch options (optional)
+   * @param {Boolean} options.sameProvider - Keep the batch on the provider selected for its first item (optional)
+   * @param {String} options.providerId - Keep the batch on this provider (optional)
+   * @param {Number} options.concurrency - Maximum number of URLs signed at once (optional, default: 10)
+   * @returns {Promise<Array<Object>>} One result per item, in order, each with its `index`
+   */
+  async generateUploadUrls(items, options = {}) {
+    this.validateBatch(items, options);
+
+    const concurrency = options.concurrency || DEFAULT_BATCH_CONCURRENCY;
+    const results = [];
+    let pinnedId = options.providerId;
+    let start = 0;
+
+    const generate = async (item, index) => {
+      try {
+        const errors = validateRequestBody(item, ['filename', 'contentType'], ['filename', 'contentType']);
+        if (errors.length > 0) {
+          throw new RequestValidationError(errors);
+        }
+
+        const result = await this.generateUploadUrl(pinnedId ? this.pinBatchItem(item, pinnedId) : item);
+        return { index, ...result };
+      } catch (error) {
+        return { index, ...describeError(error) };
+      }
+    };
+
+    // Items are signed one by one until a provider is picked, then side by side on it
+    if (options.sameProvider && !pinnedId) {
+      while (start < items.length && !pinnedId) {
+        results.push(await generate(items[start], start));
+        pinnedId = results[start].error ? undefined : results[start].provider;
+        start++;
+      }
+    }
+
+    const rest = await mapWithConcurrency(items.slice(start), concurrency, (item, i) => generate(item, start + i));
+    return results.concat(rest);
+  }
+
+  /**
+   * Restrict the load balancing of a batch item to the provider of its batch
+   * 
+   * @param {Object} item - The item's generateUploadUrl options
+   * @param {String} pinnedId - The provider of the batch
+   * @returns {Object} The options to call generateUploadUrl with
+   * @throws {RequestValidationError} If the item asks for another provider
+   */
+  pinBatchItem(item, pinnedId) {
+    if (item.providerId && item.providerId !== pinnedId) {
+      throw new RequestValidationError([{ path: 'providerId', message: `must be ${pinnedId}, the provider of the batch` }]);
+    }
+
+    if (item.allowedProviders && !item.allowedProviders.includes(pinnedId)) {
+      throw new RequestValidationError([{ path: 'allowedProviders', message: `must include ${pinnedId}, the provider of the batch` }]);
+    }
+
+    const { providerId, ...rest } = item;
+    return { ...rest, allowedProviders: [pinnedId] };
+  }
+
+  /**
+   * Check the items and options of a batch
+   * 
+   * @param {Array<Object>} items - The batch items
+   * @param {Object} options - The batch options
+   * @throws {Error} If the items aren't a non-empty array of objects or the concurrency isn't a positive integer
+   */
+  validateBatch(items, options) {
+    if (!Array.isArray(items) || items.length === 0) {
+      throw new Error('A batch needs a non-empty array of items');
+    }
+
+    if (items.some(item => !item || typeof item !== 'object')) {
+      throw new Error('Every batch item must be an object');
+    }
+
+    if (options.concurrency !== undefined && !(Number.isInteger(options.concurrency) && options.concurrency > 0)) {
+      throw new Error('Batch concurrency must be a positive integer');
+    }
+  }
+
+  /**
+   * Remember an issued upload until it is confirmed or its URL has long expired
+   * 
+   * @param {String} key - The object key
+   * @param {Object} upload - The provider ID and the declared size, content type and checksum
+   */
+  trackPendingUpload(key, upload) {
+    this.sweepExpiredUploads();
+
+    // A new URL for the same key replaces the previous reservation
+    const previous = this.pendingUploads.get(key);
+    if (previous) {
+      this.releaseCapacity(previous.providerId, previous.size, key);
+    }
+
+    this.pendingUploads.set(key, upload);
+    this.reserveCapacity(upload.providerId, upload.size, key);
+  }
+
+  /**
+   * Get the provider an upload went to: the given one, the one its upload URL was issued for,
+   * or the one in its recorded location
+   * 
+   * @param {Object} options - The confirmUpload options (key, provider)
+   * @returns {Promise<String>} The provider ID
+   * @throws {RequestValidationError} If the key is neither pending nor recorded and no provider is given
+   */
+  async resolveUploadProviderId(options) {
+    const pending = this.pendingUploads.get(options.key);
+    let providerId = options.provider || options.providerId || (pending && pending.providerId);
+
+    if (!providerId) {
+      const location = await this.getObjectLocation(options.key);
+      providerId = location && location.providerId;
+    }
+
+    if (!providerId) {
+      throw new RequestValidationError([
+        { path: 'provider', message: `is required, since ${options.key} is not a pending or recorded upload` }
+      ]);
+    }
+
+    return providerId;
+  }
+
+  /**
+   * Confirm that an upload happened and matches what was declared
+   * 
+   * The object is looked up with a HEAD request on the provider the upload URL was issued for.
+   * A missing object or a mismatch is counted in the provider's error stats. Only the first successful
+   * confirmation of an issued upload URL records the stored object and queues its replication.
+   * 
+   * @param {Object} options - Options for confirming the upload
+   * @param {String} options.key - The object key
+   * @param {String} options.provider - The provider ID the upload URL was issued for (optional if the key has a recorded location)
+   * @param {Number} options.size - Expected size in bytes (optional, defaults to the declared size)
+   * @param {String} options.contentType - Expected content type (optional, defaults to the declared content type)
+   * @param {String} options.checksumSHA256 - Expected base64 SHA-256 (optional, defaults to the declared checksum)
+   * @returns {Promise<Object>} The canonical object metadata, with `confirmed` and the list of `mismatches`
+   */
+  async confirmUpload(options) {
+    let provider;
+
+    try {
+      if (!options.key) {
+        throw new Error('key is required');
+      }
+
+      const pending = this.pendingUploads.get(options.key) || {};
+      const providerId = await this.resolveUploadProviderId(options);
+
+      provider = this.providers.find(p => p.id === providerId);
+
+      if (!provider) {
+        throw new Error(`Provider not found: ${providerId}`);
+      }
+
+      const expected = {
+        size: options.size !== undefined ? Number(options.size) : pending.size,
+        contentType: options.contentType || pending.contentType,
+        checksumSHA256: options.checksumSHA256 || pending.checksumSHA256
+      };
+
+      let head;
+
+      try {
+        head = await this.headObject(provider, options.key, { checksum: Boolean(expected.checksumSHA256) });
+      } catch (error) {
+        if (!isNotFoundError(error)) {
+          throw error;
+        }
+      }
+
+      // The provider answered, so it is reachable
+      this.recordProviderSuccess(provider.id);
+
+      const result = {
+        confirmed: false,
+        exists: Boolean(head),
+        mismatches: [],
+        key: options.key,
+        bucket: provider.bucket,
+        provider: provider.id,
+        publicUrl: this.getPublicUrl(provider, options.key),
+        size: head ? head.ContentLength : null,
+        contentType: head ? head.ContentType : null,
+        etag: head ? head.ETag : null,
+        checksumSHA256: head && head.ChecksumSHA256 ? head.ChecksumSHA256 : null,
+        lastModified: head && head.LastModified ? new Date(head.LastModified).toISOString() : null,
+        replicationJobs: []
+      };
+
+      if (head) {
+        ['size', 'contentType', 'checksumSHA256'].forEach(field => {
+          if (expected[field] !== undefined && expected[field] !== null && expected[field] !== result[field]) {
+            result.mismatches.push({ field, expected: expected[field], actual: result[field] });
+          }
+        });
+      }
+
+      result.confirmed = result.exists && result.mismatches.length === 0;
+
+      // Confirmations can be retried, so only the one settling the issued upload counts the object
+      if (result.confirmed && this.pendingUploads.has(options.key)) {
+        this.pendingUploads.delete(options.key);
+        this.releaseCapacity(pending.providerId, pending.size, options.key);
+        this.recordStoredObject(provider.id, result.size, options.key);
+
+        // Copy the object to the providers named by the replication policy
+        result.replicationJobs = this.replicateObject(options.key, provider).map(job => job.id);
+      } else if (!result.confirmed) {
+        const usage = this.providerUsage[provider.id];
+        usage.errorCount++;
+        usage.recent.record('errors');
+        usage.failedConfirmations++;
+      }
+
+      return result;
+    } catch (error) {
+      // Count the failure against the provider it happened on
+      if (provider) {
+        this.recordProviderFailure(provider.id, error);
+      }
+
+      throw wrapError('Failed to confirm upload', error);
+    }
+  }
+
+  /**
+   * Generate a presigned POST policy for uploading a file with an HTML form
+   * 
+   * Unlike a presigned PUT, the policy is enforced by the storage provider: uploads
+   * outside the size range, with another content type or outside the key prefix are rejected.
+   * 
+   * @param {Object} options - Options for generating the presigned POST
+   * @param {String} options.filename - The original filename (optional, the browser-supplied filename is used if omitted)
+   * @param {String} options.contentType - The exact content type the upload must have
+   * @param {String} options.contentTypePrefix - A content type prefix the upload must match, e.g. 'image/' (instead of contentType)
+   * @param {Number} options.minSize - Minimum file size in bytes (optional, default: 0)
+   * @param {Number} options.maxSize - Maximum file size in bytes (optional, defaults to constructor value)
+   * @param {Number} options.expiry - Expiry time in seconds (optional, defaults to constructor value)
+   * @param {String} options.path - Custom path within the bucket (optional)
+   * @param {String} options.providerId - Specific provider ID to use (optional)
+   * @param {String} options.routingKey - Routing key for the 'consistent-hash' strategy (optional, defaults to options.path)
+   * @param {Array} options.allowedProviders - Only load balance among these provider IDs (optional)
+   * @param {Array} options.allowedKeyPrefixes - Only allow keys starting with one of these prefixes, checked on the built key (optional)
+   * @param {String} options.tenantId - Tenant to upload for, see applyTenant (optional)
+   * @param {String} options.keySpecified - key specified by user (optional)
+   * @returns {Promise<Object>} An object containing the form URL, the form fields and related information
+   */
+  async generateUploadPost(options) {
+    let provider;
+    let result;
+
+    try {
+      if (!options.contentType && !options.contentTypePrefix) {
+        throw new Error('contentType or contentTypePrefix is required');
+      }
+
+      const minSize = options.minSize || 0;
+      let maxSize = options.maxSize || this.maxUploadSize;
+
+      if (minSize < 0 || maxSize < minSize) {
+        throw new Error('maxSize must be greater than or equal to minSize');
+      }
+
+      if (maxSize > this.maxUploadSize) {
+        throw new Error(`maxSize cannot exceed ${this.maxUploadSize} bytes`);
+      }
+
+      options = this.applyTenant(options);
+
+      if (options.tenant && !this.hasTenantQuota(options.tenant, options.size)) {
+        throw new TenantError(`Tenant ${options.tenant.id} is over its storage quota`, 507);
+      }
+
+      options = this.restrictDangerousUpload(options);
+
+      // Get a provider based on load balancing strategy or use the specified one
+      const selected = options.providerId
+        ? this.providers.find(p => p.id === options.providerId)
+        : await this.acquireStorageProvider(options, 'post');
+
+      if (!selected) {
+        throw new Error(`Provider not found: ${options.providerId}`);
+      }
+
+      if (!supportsCapability(selected, 'post')) {
+        throw new Error(`Provider ${selected.id} of type ${selected.type} does not support presigned POST uploads`);
+      }
+
+      // Without a filename, let the provider substitute the one sent by the browser.
+      // Keys ending in ${filename} are signed with a starts-with condition on the key prefix.
+      const key = this.buildObjectKey({
+        ...options,
+        filename: options.filename || '${filename}'
+      }, selected);
+
+      // Without a declared maxSize, the upload is capped by the upload policy
+      if (!options.maxSize) {
+        maxSize = Math.min(maxSize, this.getUploadPolicyMaxSize(key));
+      }
+
+      this.assertKeyAllowed(key, options.allowedKeyPrefixes);
+      this.assertUploadPolicy({ ...options, key, size: Math.max(minSize, maxSize), provider: selected });
+      provider = selected;
+
+      const client = this.getClient(provider);
+
+      const conditions = [['content-length-range', minSize, maxSize]];
+      const fields = {};
+
+      if (options.contentType) {
+        fields['Content-Type'] = options.contentType;
+      } else {
+        conditions.push(['starts-with', '$Content-Type', options.contentTypePrefix]);
+      }
+
+      if (options.filename) {
+        fields['x-amz-meta-original-filename'] = encodeURIComponent(options.filename);
+      }
+
+      const expiry = options.expiry || this.defaultExpiry;
+      const signingStart = process.hrtime.bigint();
+      const { url, fields: signedFields } = await createPresignedPost(client, {
+        Bucket: provider.bucket,
+        Key: key,
+        Conditions: conditions,
+        Fields: fields,
+        Expires: expiry,
+      });
+      this.observeSigningDuration(provider.id, 'post', signingStart);
+      this.recordProviderSuccess(provider.id);
+
+      result = {
+        url,
+        fields: signedFields,
+        publicUrl: key.endsWith('${filename}') ? null : this.getPublicUrl(provider, key),
+        key,
+        bucket: provider.bucket,
+        provider: provider.id,
+        minSize,
+        maxSize,
+        expires: new Date(Date.now() + expiry * 1000).toISOString(),
+      };
+    } catch (error) {
+      // Count the failure against the provider it happened on
+      if (provider) {
+        this.recordProviderFailure(provider.id, error);
+      }
+
+      throw wrapError('Failed to generate upload POST', error);
+    }
+
+    // Keys chosen by the browser are not known until the upload happens
+    if (!result.key.endsWith('${filename}')) {
+      await this.recordObjectLocation(result.key, provider);
+    }
+
+    this.emit('uploadUrlIssued', {
+      method: 'POST',
+      key: result.key,
+      bucket: result.bucket,
+      provider: result.provider,
+      contentType: options.contentType || null,
+      expires: result.expires
+    });
+
+    return result;
+  }
+
+  /**
+   * Record which provider an object was uploaded to
+   * 
+   * @param {String} key - The object key
+   * @param {Object} provider - The storage provider configuration
+   * @returns {Promise<void>}
+   */
+  async recordObjectLocation(key, provider) {
+    try {
+      await this.locationStore.set(key, {
+        providerId: provider.id,
+        bucket: provider.bucket,
+        createdAt: new Date().toISOString()
+      });
+    } catch (error) {
+      throw new Error(`Failed to record object location: ${error.message}`);
+    }
+  }
+
+  /**
+   * Record that a replica of an object exists on another provider
+   * 
+   * Updates are serialized so concurrent replicas of the same key don't overwrite each other.
+   * A key without a location (evicted from the store, or lost on restart) is recorded
+   * again with the source provider as its primary location.
+   * 
+   * @param {String} key - The object key
+   * @param {Object} provider - The provider holding the replica
+   * @param {Object} sourceProvider - The provider the replica was copied from
+   * @returns {Promise<void>}
+   */
+  recordReplicaLocation(key, provider, sourceProvider) {
+    this.locationUpdates = this.locationUpdates.catch(() => {}).then(async () => {
+      const location = await this.getObjectLocation(key);
+
+      if (!location) {
+        await this.locationStore.set(key, {
+          providerId: sourceProvider.id,
+          bucket: sourceProvider.bucket,
+          createdAt: new Date().toISOString(),
+          replicas: [provider.id]
+        });
+        return;
+      }
+
+      const replicas = location.replicas || [];
+
+      if (!replicas.includes(provider.id)) {
+        await this.locationStore.set(key, { ...location, replicas: [...replicas, provider.id] });
+      }
+    });
+
+    return this.locationUpdates;
+  }
+
   /**
-   * Constructor for MultiBucket
+   * Get the recorded location of an object
    * 
-   * @param {Object} options - Configuration options
-   * @param {Array} options.providers - Initial array of storage provider configurations
-   * @param {String} options.configSource - Path or URL to a config file (optional)
-   * @param {Object} options.loadBalanceStrategy - Strategy for load balancing (default: 'round-robin')
-   * @param {Number} options.defaultExpiry - Default expiry time in seconds for presigned URLs (default: 3600)
+   * @param {String} key - The object key
+   * @returns {Promise<Object|null>} The location ({ providerId, bucket, createdAt, replicas }) or null if unknown
    */
-  constructor(options = {}) {
-    this.providers = options.providers || [];
-    this.configSource = options.configSource;
-    this.loadBalanceStrategy = options.loadBalanceStrategy || 'round-robin';
-    this.defaultExpiry = options.defaultExpiry || 3600;
-    this.currentProviderIndex = 0;
-    this.providerUsage = {};
-    this.app = null;
+  async getObjectLocation(key) {
+    return (await this.locationStore.get(key)) || null;
+  }
 
-    // Initialize provider usage metrics
-    this.providers.forEach(provider => {
-      this.providerUsage[provider.id] = {
-        requestCount: 0,
-        errorCount: 0,
-        lastUsed: 0,
-        rateLimit: provider.rateLimit || 1000
+  /**
+   * Resolve the provider to read an object from
+   * 
+   * An explicit providerId wins, then the recorded location of the key, then the bucket name.
+   * 
+   * @param {Object} options - The read options (key, providerId, bucket)
+   * @returns {Promise<Object>} The provider configuration
+   */
+  async resolveReadProvider(options) {
+    if (options.providerId) {
+      const provider = this.providers.find(p => p.id === options.providerId);
+
+      if (!provider) {
+        throw new Error(`Provider not found: ${options.providerId}`);
+      }
+
+      return provider;
+    }
+
+    const location = options.key ? await this.getObjectLocation(options.key) : null;
+
+    if (location) {
+      const provider = this.providers.find(p => p.id === location.providerId);
+
+      if (provider && this.isProviderAvailable(provider)) {
+        this.startProviderTrial(provider);
+        return provider;
+      }
+
+      // Fall back to a replica when the original provider is gone or its circuit is open
+      const replica = (location.replicas || [])
+        .map(replicaId => this.providers.find(p => p.id === replicaId))
+        .find(p => p && this.isProviderAvailable(p));
+
+      if (replica) {
+        this.startProviderTrial(replica);
+        return replica;
+      }
+
+      if (!provider) {
+        throw new Error(`Provider ${location.providerId} recorded for key ${options.key} is no longer configured`);
+      }
+
+      return provider;
+    }
+
+    if (options.bucket) {
+      const matches = this.providers.filter(p => p.bucket === options.bucket);
+
+      if (matches.length > 1) {
+        throw new Error(`Bucket ${options.bucket} is used by several providers (${matches.map(p => p.id).join(', ')}). Please specify a providerId`);
+      }
+
+      if (matches.length === 1) {
+        return matches[0];
+      }
+    }
+
+    throw new Error('Provider not found. Please specify a valid providerId or bucket, or a key uploaded through MultiBucket');
+  }
+
+  /**
+   * Get the providers to try for a failover read, healthiest first
+   * 
+   * @param {Object} options - The read options (key, providerId, candidates, allowedProviders)
+   * @returns {Promise<Array>} The candidate provider configurations
+   */
+  async getReadCandidates(options) {
+    let ids;
+
+    if (options.candidates && options.candidates.length > 0) {
+      ids = options.candidates;
+    } else {
+      // Prefer the providers known to hold the object, then try everything else
+      const location = await this.getObjectLocation(options.key);
+      ids = [
+        ...(options.providerId ? [options.providerId] : []),
+        ...(location ? [location.providerId, ...(location.replicas || [])] : []),
+        ...this.providers.map(p => p.id)
+      ];
+    }
+
+    const candidates = [...new Set(ids)]
+      .map(id => this.providers.find(p => p.id === id))
+      .filter(p => p && (!options.allowedProviders || options.allowedProviders.includes(p.id)));
+
+    // Array.prototype.sort is stable, so the preference order is kept within each health state
+    return candidates.sort((a, b) =>
+      HEALTH_ORDER.indexOf(this.providerUsage[a.id].health) - HEALTH_ORDER.indexOf(this.providerUsage[b.id].health)
+    );
+  }
+
+  /**
+   * Find the first candidate provider that has the object, checking each with a HEAD request
+   * 
+   * @param {Object} options - The read options (key, providerId, candidates)
+   * @returns {Promise<Object>} The provider that has the object and the list of providers tried
+   */
+  async findReadProvider(options) {
+    const candidates = await this.getReadCandidates(options);
+    const tried = [];
+
+    if (candidates.length === 0) {
+      throw new Error('No candidate providers to read from');
+    }
+
+    for (const candidate of candidates) {
+      try {
+        await this.headObject(candidate, options.key);
+        this.recordProviderSuccess(candidate.id);
+        tried.push({ provider: candidate.id, result: 'found' });
+
+        return { provider: candidate, tried };
+      } catch (error) {
+        if (isNotFoundError(error)) {
+          // The provider answered, it just doesn't have the object
+          this.recordProviderSuccess(candidate.id);
+          tried.push({ provider: candidate.id, result: 'missing' });
+        } else {
+          this.recordProviderFailure(candidate.id, error);
+          tried.push({ provider: candidate.id, result: 'error', error: error.message });
+        }
+      }
+    }
+
+    throw new Error(`Object ${options.key} not found on any of ${tried.length} candidate providers (${tried.map(t => `${t.provider}: ${t.result}`).join(', ')})`);
+  }
+
+  /**
+   * Generate a presigned URL for reading/downloading a file
+   * 
+   * @param {Object} options - Options for generating the presigned URL
+   * @param {String} options.key - The object key
+   * @param {String} options.filename - The download filename (optional)
+   * @param {String} options.bucket - The bucket name (optional, only used when the key has no recorded location)
+   * @param {String} options.providerId - Specific provider ID to use (optional if the key has a recorded location)
+   * @param {Number} options.expiry - Expiry time in seconds (optional, defaults to constructor value)
+   * @param {Boolean} options.failover - Check that the object exists and fail over to other providers (optional)
+   * @param {Array} options.candidates - Provider IDs to try in failover mode (optional, defaults to the recorded location, its replicas, then all providers)
+   * @param {Number} options.size - Object size in bytes, used to estimate egress spend (optional, defaults to the provider's average object size)
+   * @param {String} options.tenantId - Tenant to read for; the key must be under its prefix and stored on its providers (optional)
+   * @returns {Promise<Object>} An object containing the presigned URL
+   */
+  async generateReadUrl(options) {
+    let provider;
+    let failover;
+    let result;
+
+    try {
+      options = this.applyTenant(options);
+
+      let selected;
+
+      if (options.failover) {
+        // Find the first provider, in health order, that actually has the object
+        failover = await this.findReadProvider(options);
+        selected = failover.provider;
+      } else {
+        // Find the provider based on the provided ID, the recorded location or the bucket
+        selected = await this.resolveReadProvider(options);
+      }
+
+      // Reading from another tenant's provider is the caller's fault, so it isn't counted against the provider
+      if (options.allowedProviders && !options.allowedProviders.includes(selected.id)) {
+        throw new TenantError(`Object ${options.key} is stored on provider ${selected.id}, which is not one of the allowed providers`, 403);
+      }
+      provider = selected;
+
+      const contentDisposition = `attachment; filename="${options.filename || options.key.split('/').pop()}"`;
+      const expiry = options.expiry || this.defaultExpiry;
+      const signingStart = process.hrtime.bigint();
+      let signedUrl;
+
+      if (provider.type === 'azure') {
+        // Azure SAS URLs are signed locally with the account or user delegation key
+        signedUrl = this.generateAzureSasUrl(provider, options.key, { permissions: 'r', expiry, contentDisposition });
+      } else if (provider.type === 'local') {
+        signedUrl = this.generateLocalUrl(provider, options.key, { method: 'GET', expiry, contentDisposition });
+      } else {
+        const client = this.getClient(provider);
+
+        // Create a command for getting the object
+        const command = new GetObjectCommand({
+          Bucket: provider.bucket,
+          Key: options.key,
+          ResponseContentDisposition: contentDisposition,
+        });
+
+        // Generate the presigned URL
+        signedUrl = await getSignedUrl(client, command, { expiresIn: expiry });
+      }
+
+      this.observeSigningDuration(provider.id, 'read', signingStart);
+      this.recordProviderSuccess(provider.id);
+
+      // Without a size hint, assume a download of the provider's average object size
+      const capacity = this.providerUsage[provider.id].capacity;
+      this.recordDownload(provider.id, options.size !== undefined
+        ? options.size
+        : (capacity.usedObjects > 0 ? capacity.usedBytes / capacity.usedObjects : 0));
+
+      result = {
+        readUrl: signedUrl,
+        key: options.key,
+        bucket: provider.bucket,
+        provider: provider.id,
+        expires: new Date(Date.now() + expiry * 1000).toISOString(),
+        ...(failover ? { failover: { attempts: failover.tried.length, tried: failover.tried } } : {}),
       };
+    } catch (error) {
+      // Count the failure against the provider it happened on
+      if (provider) {
+        this.recordProviderFailure(provider.id, error);
+      }
+
+      throw wrapError('Failed to generate read URL', error);
+    }
+
+    this.emit('readUrlIssued', {
+      key: result.key,
+      bucket: result.bucket,
+      provider: result.provider,
+      expires: result.expires,
+      failover: Boolean(failover)
+    });
+
+    return result;
+  }
+
+  /**
+   * Generate presigned read URLs for a batch of objects
+   * 
+   * URLs are signed with bounded concurrency, and a failing item only fails its own result,
+   * as in generateUploadUrls. Each read goes to the provider its object is stored on.
+   * 
+   * @param {Array<Object>} items - Options of each read, as for generateReadUrl
+   * @param {Object} options - Batch options (optional)
+   * @param {Number} options.concurrency - Maximum number of URLs signed at once (optional, default: 10)
+   * @returns {Promise<Array<Object>>} One result per item, in order, each with its `index`
+   */
+  async generateReadUrls(items, options = {}) {
+    this.validateBatch(items, options);
+
+    return mapWithConcurrency(items, options.concurrency || DEFAULT_BATCH_CONCURRENCY, async (item, index) => {
+      try {
+        const result = await this.generateReadUrl(item);
+        return { index, ...result };
+      } catch (error) {
+        return { index, ...describeError(error) };
+      }
+    });
+  }
+
+  /**
+   * Find the provider an in-progress multipart upload is pinned to
+   * 
+   * @param {Object} options - Options identifying the upload
+   * @param {String} options.uploadId - The multipart upload ID
+   * @param {String} options.key - The object key, which must be the upload's key if it is tracked
+   * @param {String} options.providerId - The provider ID returned when the upload was created (optional if tracked)
+   * @returns {Object} The provider the upload was created on
+   */
+  getMultipartProvider(options) {
+    if (!options.uploadId) {
+      throw new Error('uploadId is required');
+    }
+
+    this.sweepExpiredUploads();
+
+    const tracked = this.multipartUploads[options.uploadId];
+    const providerId = options.providerId || (tracked && tracked.providerId);
+
+    if (!providerId) {
+      throw new Error(`Unknown multipart upload: ${options.uploadId}. Please specify the providerId it was created on`);
+    }
+
+    if (tracked && tracked.providerId !== providerId) {
+      throw new Error(`Multipart upload ${options.uploadId} belongs to provider ${tracked.providerId}, not ${providerId}`);
+    }
+
+    if (tracked && tracked.key !== options.key) {
+      throw new Error(`Multipart upload ${options.uploadId} is for key ${tracked.key}, not ${options.key}`);
+    }
+
+    const provider = this.providers.find(p => p.id === providerId);
+
+    if (!provider) {
+      throw new Error(`Provider not found: ${providerId}`);
+    }
+
+    return provider;
+  }
+
+  /**
+   * Forget pending uploads past their expiry and multipart uploads older than multipartUploadTTL,
+   * releasing their reserved capacity. Every URL has its own expiry, so the whole map is swept,
+   * at most once per UPLOAD_SWEEP_INTERVAL unless forced.
+   * 
+   * @param {Boolean} force - Sweep even if the last sweep was recent (optional)
+   */
+  sweepExpiredUploads(force = false) {
+    const now = Date.now();
+
+    if (!force && now - this.lastUploadSweep < UPLOAD_SWEEP_INTERVAL) {
+      return;
+    }
+    this.lastUploadSweep = now;
+
+    for (const [key, pending] of this.pendingUploads) {
+      if (pending.expiresAt <= now) {
+        this.pendingUploads.delete(key);
+        this.releaseCapacity(pending.providerId, pending.size, key);
+      }
+    }
+
+    Object.entries(this.multipartUploads).forEach(([uploadId, tracked]) => {
+      if (tracked.createdAt + this.multipartUploadTTL <= now) {
+        delete this.multipartUploads[uploadId];
+        this.releaseCapacity(tracked.providerId, tracked.size, tracked.key);
+      }
     });
+  }
+
+  /**
+   * Start a multipart upload on a load-balanced provider
+   * 
+   * The upload stays pinned to the selected provider: every part URL, the completion
+   * and the abort must go to the same provider, since the upload ID only exists there.
+   * 
+   * @param {Object} options - Options for creating the multipart upload
+   * @param {String} options.filename - The original filename
+   * @param {String} options.contentType - The content type of the file
+   * @param {String} options.path - Custom path within the bucket (optional)
+   * @param {String} options.providerId - Specific provider ID to use (optional)
+   * @param {String} options.routingKey - Routing key for the 'consistent-hash' strategy (optional, defaults to options.path)
+   * @param {Array} options.allowedProviders - Only load balance among these provider IDs (optional)
+   * @param {Array} options.allowedKeyPrefixes - Only allow keys starting with one of these prefixes, checked on the built key (optional)
+   * @param {String} options.tenantId - Tenant to upload for, see applyTenant (optional)
+   * @param {Number} options.size - Expected total size in bytes, counted against provider quotas (optional)
+   * @param {String} options.keySpecified - key specified by user (optional)
+   * @returns {Promise<Object>} An object containing the upload ID, key and provider
+   */
+  async createMultipartUpload(options) {
+    let provider;
+    let result;
+
+    try {
+      options = this.applyTenant(options);
+
+      if (options.tenant && !this.hasTenantQuota(options.tenant, options.size)) {
+        throw new TenantError(`Tenant ${options.tenant.id} is over its storage quota`, 507);
+      }
+
+      options = this.restrictDangerousUpload(options);
+
+      // Get a provider based on load balancing strategy or use the specified one
+      const selected = options.providerId
+        ? this.providers.find(p => p.id === options.providerId)
+        : await this.acquireStorageProvider(options, 'multipart');
+
+      if (!selected) {
+        throw new Error(`Provider not found: ${options.providerId}`);
+      }
+
+      if (!supportsCapability(selected, 'multipart')) {
+        throw new Error(`Provider ${selected.id} of type ${selected.type} does not support multipart uploads`);
+      }
+
+      const key = this.buildObjectKey(options, selected);
+
+      this.assertKeyAllowed(key, options.allowedKeyPrefixes);
+      this.assertUploadPolicy({ ...options, key, provider: selected });
+      provider = selected;
+
+      const client = this.getClient(provider);
+
+      const response = await client.send(new CreateMultipartUploadCommand({
+        Bucket: provider.bucket,
+        Key: key,
+        ContentType: options.contentType,
+        ...(options.filename ? { Metadata: { 'original-filename': encodeURIComponent(options.filename) } } : {}),
+      }));
+      this.recordProviderSuccess(provider.id);
+
+      this.sweepExpiredUploads();
+      this.multipartUploads[response.UploadId] = {
+        providerId: provider.id,
+        key,
+        size: options.size !== undefined ? Number(options.size) : undefined,
+        createdAt: Date.now()
+      };
+      this.reserveCapacity(provider.id, options.size, key);
+
+      result = {
+        uploadId: response.UploadId,
+        publicUrl: this.getPublicUrl(provider, key),
+        key,
+        bucket: provider.bucket,
+        provider: provider.id,
+      };
+    } catch (error) {
+      // Count the failure against the provider it happened on
+      if (provider) {
+        this.recordProviderFailure(provider.id, error);
+      }
+
+      throw wrapError('Failed to create multipart upload', error);
+    }
+
+    await this.recordObjectLocation(result.key, provider);
+
+    return result;
+  }
+
+  /**
+   * Generate a presigned URL for uploading one part of a multipart upload
+   * 
+   * @param {Object} options - Options for generating the presigned URL
+   * @param {String} options.key - The object key returned by createMultipartUpload
+   * @param {String} options.uploadId - The multipart upload ID
+   * @param {Number} options.partNumber - The part number (1 to 10000)
+   * @param {String} options.providerId - The provider ID returned by createMultipartUpload (optional if tracked)
+   * @param {Number} options.expiry - Expiry time in seconds (optional, defaults to constructor value)
+   * @returns {Promise<Object>} An object containing the presigned URL for the part
+   */
+  async generateUploadPartUrl(options) {
+    let provider;
+
+    try {
+      const partNumber = Number(options.partNumber);
+
+      if (!Number.isInteger(partNumber) || partNumber < 1 || partNumber > 10000) {
+        throw new Error('partNumber must be an integer between 1 and 10000');
+      }
+
+      provider = this.getMultipartProvider(options);
+      const client = this.getClient(provider);
+
+      const command = new UploadPartCommand({
+        Bucket: provider.bucket,
+        Key: options.key,
+        UploadId: options.uploadId,
+        PartNumber: partNumber,
+      });
+
+      // Generate the presigned URL
+      const expiry = options.expiry || this.defaultExpiry;
+      const signingStart = process.hrtime.bigint();
+      const signedUrl = await getSignedUrl(client, command, { expiresIn: expiry });
+      this.observeSigningDuration(provider.id, 'upload-part', signingStart);
+      this.recordProviderSuccess(provider.id);
+
+      return {
+        uploadUrl: signedUrl,
+        partNumber,
+        uploadId: options.uploadId,
+        key: options.key,
+        bucket: provider.bucket,
+        provider: provider.id,
+        expires: new Date(Date.now() + expiry * 1000).toISOString(),
+      };
+    } catch (error) {
+      // Count the failure against the provider it happened on
+      if (provider) {
+        this.recordProviderFailure(provider.id, error);
+      }
+
+      throw new Error(`Failed to generate upload part URL: ${error.message}`);
+    }
+  }
+
+  /**
+   * Complete a multipart upload from the list of uploaded parts
+   * 
+   * @param {Object} options - Options for completing the multipart upload
+   * @param {String} options.key - The object key returned by createMultipartUpload
+   * @param {String} options.uploadId - The multipart upload ID
+   * @param {Array} options.parts - The uploaded parts as { partNumber, etag } objects
+   * @param {String} options.providerId - The provider ID returned by createMultipartUpload (optional if tracked)
+   * @returns {Promise<Object>} An object describing the completed object
+   */
+  async completeMultipartUpload(options) {
+    let provider;
+
+    try {
+      if (!Array.isArray(options.parts) || options.parts.length === 0) {
+        throw new Error('parts must be a non-empty array');
+      }
+
+      provider = this.getMultipartProvider(options);
+      const client = this.getClient(provider);
+
+      // S3 requires the parts in ascending order
+      const parts = options.parts
+        .map(part => ({
+          PartNumber: Number(part.partNumber || part.PartNumber),
+          ETag: part.etag || part.ETag
+        }))
+        .sort((a, b) => a.PartNumber - b.PartNumber);
+
+      const response = await client.send(new CompleteMultipartUploadCommand({
+        Bucket: provider.bucket,
+        Key: options.key,
+        UploadId: options.uploadId,
+        MultipartUpload: { Parts: parts },
+      }));
+      this.recordProviderSuccess(provider.id);
+
+      const tracked = this.multipartUploads[options.uploadId];
+      if (tracked) {
+        this.releaseCapacity(tracked.providerId, tracked.size, tracked.key);
+        delete this.multipartUploads[options.uploadId];
+      }
+      this.recordStoredObject(provider.id, tracked && tracked.size, options.key);
+
+      // A completed multipart upload is confirmed by the provider, so replicate it right away
+      const replicationJobs = this.replicateObject(options.key, provider).map(job => job.id);
+
+      return {
+        publicUrl: this.getPublicUrl(provider, options.key),
+        key: options.key,
+        bucket: provider.bucket,
+        provider: provider.id,
+        etag: response.ETag,
+        replicationJobs,
+      };
+    } catch (error) {
+      // Count the failure against the provider it happened on
+      if (provider) {
+        this.recordProviderFailure(provider.id, error);
+      }
 
-    // Load external configuration if provided
-    if (this.configSource) {
-      this.loadExternalConfig();
+      throw new Error(`Failed to complete multipart upload: ${error.message}`);
     }
   }
 
   /**
-   * Load configuration from an external source (file or URL)
+   * Abort a multipart upload and discard its uploaded parts
+   * 
+   * @param {Object} options - Options for aborting the multipart upload
+   * @param {String} options.key - The object key returned by createMultipartUpload
+   * @param {String} options.uploadId - The multipart upload ID
+   * @param {String} options.providerId - The provider ID returned by createMultipartUpload (optional if tracked)
+   * @returns {Promise<Object>} An object confirming the abort
    */
-  async loadExternalConfig() {
-    try {
-      let configData;
+  async abortMultipartUpload(options) {
+    let provider;
 
-      if (this.configSource.startsWith('http://') || this.configSource.startsWith('https://')) {
-        // Load from URL
-        const response = await axios.get(this.configSource);
-        configData = response.data;
-        console.log('Config loaded from URL:', this.configSource);
+    try {
+      provider = this.getMultipartProvider(options);
+      const client = this.getClient(provider);
 
-        // Set up polling for remote config changes
-        setInterval(async () => {
-          try {
-            const response = await axios.get(this.configSource);
-            this.updateConfig(response.data);
-          } catch (error) {
-            console.error('Error polling remote config:', error.message);
-          }
-        }, 60000); // Poll every minute
-      } else {
-        // Load from local file
-        configData = JSON.parse(fs.readFileSync(this.configSource, 'utf8'));
-        console.log('Config loaded from file:', this.configSource);
+      await client.send(new AbortMultipartUploadCommand({
+        Bucket: provider.bucket,
+        Key: options.key,
+        UploadId: options.uploadId,
+      }));
+      this.recordProviderSuccess(provider.id);
 
-        // Watch for local file changes
-        chokidar.watch(this.configSource).on('change', (path) => {
-          try {
-            const updatedConfig = JSON.parse(fs.readFileSync(path, 'utf8'));
-            this.updateConfig(updatedConfig);
-            console.log('Config file updated:', path);
-          } catch (error) {
-            console.error('Error reading updated config file:', error.message);
-          }
-        });
+      const tracked = this.multipartUploads[options.uploadId];
+      if (tracked) {
+        this.releaseCapacity(tracked.providerId, tracked.size, tracked.key);
+        delete this.multipartUploads[options.uploadId];
       }
 
-      this.updateConfig(configData);
+      return {
+        aborted: true,
+        uploadId: options.uploadId,
+        key: options.key,
+        provider: provider.id,
+      };
     } catch (error) {
-      console.error('Error loading external configuration:', error.message);
+      // Count the failure against the provider it happened on
+      if (provider) {
+        this.recordProviderFailure(provider.id, error);
+      }
+
+      throw new Error(`Failed to abort multipart upload: ${error.message}`);
     }
   }
 
   /**
-   * Update configuration with new data
+   * Get the providers an object should be replicated to, according to the source provider's policy
    * 
-   * @param {Object} configData - The new configuration data
+   * A provider's `replication` is a list of rules. A rule applies to keys starting with its
+   * `prefix` (or to every key) and either names `targets` explicitly or asks for `copies`
+   * other providers, picked by consistent hashing of the key so they spread evenly.
+   * 
+   * @param {String} key - The object key
+   * @param {Object} sourceProvider - The provider the object was uploaded to
+   * @returns {Array} The target provider configurations
    */
-  updateConfig(configData) {
-    if (configData.providers) {
-      // Add new providers
-      configData.providers.forEach(newProvider => {
-        const existingProviderIndex = this.providers.findIndex(p => p.id === newProvider.id);
+  getReplicationTargets(key, sourceProvider) {
+    if (!supportsCapability(sourceProvider, 'replication')) {
+      return [];
+    }
 
-        if (existingProviderIndex >= 0) {
-          // Update existing provider
-          this.providers[existingProviderIndex] = { ...this.providers[existingProviderIndex], ...newProvider };
-        } else {
-          // Add new provider
-          this.providers.push(newProvider);
-          this.providerUsage[newProvider.id] = {
-            requestCount: 0,
-            errorCount: 0,
-            lastUsed: 0,
-            rateLimit: newProvider.rateLimit || 1000
-          };
+    const rules = [].concat(sourceProvider.replication || []);
+    const targets = [];
+
+    rules.forEach(rule => {
+      if (rule.prefix && !key.startsWith(rule.prefix.replace(/^\//, ''))) {
+        return;
+      }
+
+      if (rule.targets) {
+        rule.targets.forEach(targetId => {
+          const target = this.providers.find(p => p.id === targetId);
+
+          if (!target) {
+            console.error(`Replication target not found: ${targetId} (from provider ${sourceProvider.id})`);
+          } else if (!supportsCapability(target, 'replication')) {
+            console.error(`Replication target ${targetId} of type ${target.type} does not support replication`);
+          } else if (target.id !== sourceProvider.id && !targets.includes(target)) {
+            targets.push(target);
+          }
+        });
+      }
+
+      for (let i = 0; i < (rule.copies || 0); i++) {
+        const candidates = this.providers.filter(p =>
+          p.id !== sourceProvider.id && !targets.includes(p) && supportsCapability(p, 'replication') &&
+          this.isProviderAvailable(p) && this.hasFreeCapacity(p)
+        );
+
+        if (candidates.length === 0) {
+          break;
         }
-      });
 
-      // Remove providers that no longer exist in the new config
-      if (configData.removeStaleProviders) {
-        const newProviderIds = configData.providers.map(p => p.id);
-        this.providers = this.providers.filter(p => newProviderIds.includes(p.id));
+        targets.push(this.selectByConsistentHash(`${key}#${i}`, candidates));
       }
-    }
+    });
 
-    // Update other configuration options
-    if (configData.loadBalanceStrategy) {
-      this.loadBalanceStrategy = configData.loadBalanceStrategy;
-    }
+    return targets;
+  }
 
-    if (configData.defaultExpiry) {
-      this.defaultExpiry = configData.defaultExpiry;
-    }
+  /**
+   * Queue copies of an object to every provider named by the replication policy
+   * 
+   * @param {String} key - The object key
+   * @param {Object} sourceProvider - The provider the object was uploaded to
+   * @returns {Array} The queued replication jobs
+   */
+  replicateObject(key, sourceProvider) {
+    return this.getReplicationTargets(key, sourceProvider)
+      .map(target => this.enqueueReplication(key, sourceProvider.id, target.id));
   }
 
   /**
-   * Get a storage provider based on the load balancing strategy
+   * Queue a copy of an object from one provider to another
    * 
-   * @returns {Object} The selected provider
+   * @param {String} key - The object key
+   * @param {String} sourceProviderId - The provider to copy from
+   * @param {String} targetProviderId - The provider to copy to
+   * @returns {Object} The replication job
    */
-  getStorageProvider() {
-    if (this.providers.length === 0) {
-      throw new Error('No storage providers configured');
-    }
+  enqueueReplication(key, sourceProviderId, targetProviderId) {
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      key,
+      sourceProviderId,
+      targetProviderId,
+      status: 'pending',
+      attempts: 0,
+      error: null,
+      createdAt: now,
+      updatedAt: now
+    };
 
-    let selectedProvider;
+    this.replicationJobs.set(job.id, job);
+    this.replicationQueue.push(job);
+    this.processReplicationQueue();
 
-    switch (this.loadBalanceStrategy) {
-      case 'round-robin':
-        selectedProvider = this.providers[this.currentProviderIndex];
-        this.currentProviderIndex = (this.currentProviderIndex + 1) % this.providers.length;
-        break;
+    return job;
+  }
 
-      case 'least-used':
-        selectedProvider = this.providers.reduce((least, current) => {
-          return (this.providerUsage[current.id].requestCount < this.providerUsage[least.id].requestCount)
-            ? current : least;
-        }, this.providers[0]);
-        break;
+  /**
+   * Start queued replication jobs up to the concurrency limit
+   */
+  processReplicationQueue() {
+    while (this.activeReplications < this.replication.concurrency && this.replicationQueue.length > 0) {
+      const job = this.replicationQueue.shift();
+      this.activeReplications++;
 
-      case 'least-errors':
-        // Select provider with the least errors
-        selectedProvider = this.providers.reduce((least, current) => {
-          const leastErrorRate = this.providerUsage[least.id].errorCount / (this.providerUsage[least.id].requestCount || 1);
-          const currentErrorRate = this.providerUsage[current.id].errorCount / (this.providerUsage[current.id].requestCount || 1);
-          return (currentErrorRate < leastErrorRate) ? current : least;
-        }, this.providers[0]);
-        break;
+      this.runReplicationJob(job).finally(() => {
+        this.activeReplications--;
+        this.processReplicationQueue();
+      });
+    }
+  }
 
-      case 'weighted-random':
-        // Providers with higher weight are more likely to be selected
-        const totalWeight = this.providers.reduce((sum, provider) => sum + (provider.weight || 1), 0);
-        let random = Math.random() * totalWeight;
+  /**
+   * Run one attempt of a replication job, scheduling a retry if it fails
+   * 
+   * @param {Object} job - The replication job
+   * @returns {Promise<void>}
+   */
+  async runReplicationJob(job) {
+    job.status = 'running';
+    job.attempts++;
+    job.updatedAt = new Date().toISOString();
 
-        for (const provider of this.providers) {
-          const weight = provider.weight || 1;
-          if (random < weight) {
-            selectedProvider = provider;
-            break;
-          }
-          random -= weight;
-        }
+    try {
+      await this.copyObject(job.key, job.sourceProviderId, job.targetProviderId);
+      await this.recordReplicaLocation(
+        job.key,
+        this.providers.find(p => p.id === job.targetProviderId),
+        this.providers.find(p => p.id === job.sourceProviderId)
+      );
 
-        // Fallback in case of precision errors
-        if (!selectedProvider) {
-          selectedProvider = this.providers[0];
+      job.status = 'completed';
+      job.error = null;
+    } catch (error) {
+      job.error = error.message;
+
+      if (job.attempts < this.replication.maxAttempts) {
+        // Back off exponentially before trying again
+        job.status = 'retrying';
+        const timer = setTimeout(() => {
+          job.status = 'pending';
+          this.replicationQueue.push(job);
+          this.processReplicationQueue();
+        }, this.replication.retryDelay * Math.pow(2, job.attempts - 1));
+
+        if (timer.unref) {
+          timer.unref();
         }
-        break;
+      } else {
+        job.status = 'failed';
+        console.error(`Replication of ${job.key} from ${job.sourceProviderId} to ${job.targetProviderId} failed:`, error.message);
+      }
+    } finally {
+      job.updatedAt = new Date().toISOString();
+      this.pruneReplicationJobs();
+    }
+  }
 
-      default:
-        selectedProvider = this.providers[0];
+  /**
+   * Copy an object between providers by streaming GetObject into PutObject
+   * 
+   * @param {String} key - The object key
+   * @param {String} sourceProviderId - The provider to copy from
+   * @param {String} targetProviderId - The provider to copy to
+   * @returns {Promise<void>}
+   */
+  async copyObject(key, sourceProviderId, targetProviderId) {
+    const source = this.providers.find(p => p.id === sourceProviderId);
+    const target = this.providers.find(p => p.id === targetProviderId);
+
+    if (!source || !target) {
+      throw new Error(`Provider not found: ${!source ? sourceProviderId : targetProviderId}`);
     }
 
-    // Check if the selected provider is rate limited
-    const now = Date.now();
-    const providerUsage = this.providerUsage[selectedProvider.id];
+    let object;
 
-    if (now - providerUsage.lastUsed < (1000 / providerUsage.rateLimit)) {
-      // Provider is rate limited, try to find another one
-      const availableProvider = this.providers.find(p => {
-        const usage = this.providerUsage[p.id];
-        return now - usage.lastUsed >= (1000 / usage.rateLimit);
-      });
+    try {
+      object = await this.getClient(source).send(new GetObjectCommand({
+        Bucket: source.bucket,
+        Key: key,
+      }));
+      this.recordProviderSuccess(source.id);
+      this.recordDownload(source.id, object.ContentLength);
+    } catch (error) {
+      this.recordProviderFailure(source.id, error);
+      throw error;
+    }
 
-      if (availableProvider) {
-        selectedProvider = availableProvider;
+    try {
+      await this.getClient(target).send(new PutObjectCommand({
+        Bucket: target.bucket,
+        Key: key,
+        Body: object.Body,
+        ContentLength: object.ContentLength,
+        ContentType: object.ContentType,
+        ContentDisposition: object.ContentDisposition,
+        CacheControl: object.CacheControl,
+        Metadata: object.Metadata,
+      }));
+      this.recordProviderSuccess(target.id);
+      this.recordStoredObject(target.id, object.ContentLength, key);
+    } catch (error) {
+      // Release the source connection if the body was not consumed
+      if (object.Body && typeof object.Body.destroy === 'function') {
+        object.Body.destroy();
       }
-      // If no available provider is found, we'll use the originally selected one despite rate limiting
+
+      this.recordProviderFailure(target.id, error);
+      throw error;
     }
+  }
 
-    // Update provider usage metrics
-    providerUsage.requestCount++;
-    providerUsage.lastUsed = now;
+  /**
+   * Drop the oldest finished replication jobs once there are too many
+   */
+  pruneReplicationJobs() {
+    let finished = 0;
+    this.replicationJobs.forEach(job => {
+      if (job.status === 'completed' || job.status === 'failed') {
+        finished++;
+      }
+    });
 
-    return selectedProvider;
+    for (const [id, job] of this.replicationJobs) {
+      if (finished <= MAX_FINISHED_REPLICATION_JOBS) {
+        break;
+      }
+
+      if (job.status === 'completed' || job.status === 'failed') {
+        this.replicationJobs.delete(id);
+        finished--;
+      }
+    }
   }
 
   /**
-   * Create a client for the given provider
+   * Get a replication job by ID
+   * 
+   * @param {String} id - The job ID
+   * @returns {Object|null} The job, or null if unknown
+   */
+  getReplicationJob(id) {
+    return this.replicationJobs.get(id) || null;
+  }
+
+  /**
+   * List replication jobs
+   * 
+   * @param {Object} filter - Filter options (optional)
+   * @param {String} filter.status - Only jobs with this status ('pending', 'running', 'retrying', 'completed' or 'failed')
+   * @param {String} filter.key - Only jobs for this object key
+   * @returns {Array} The matching jobs
+   */
+  getReplicationJobs(filter = {}) {
+    return [...this.replicationJobs.values()].filter(job =>
+      (!filter.status || job.status === filter.status) && (!filter.key || job.key === filter.key)
+    );
+  }
+
+  /**
+   * Get stats about the storage providers
+   * 
+   * @returns {Object} Stats about usage and errors
+   */
+  getStats() {
+    return {
+      providerCount: this.providers.length,
+      totalRequests: Object.values(this.providerUsage).reduce((sum, usage) => sum + usage.requestCount, 0),
+      providerStats: this.providers.map(provider => ({
+        id: provider.id,
+        type: provider.type,
+        requestCount: this.providerUsage[provider.id].requestCount,
+        errorCount: this.providerUsage[provider.id].errorCount,
+        failedConfirmations: this.providerUsage[provider.id].failedConfirmations,
+        errorRate: this.providerUsage[provider.id].requestCount > 0
+          ? (this.providerUsage[provider.id].errorCount / this.providerUsage[provider.id].requestCount).toFixed(4)
+          : 0,
+        health: this.providerUsage[provider.id].health,
+        consecutiveFailures: this.providerUsage[provider.id].consecutiveFailures,
+        lastError: this.providerUsage[provider.id].lastError,
+        windows: this.getWindowStats(provider),
+        capacity: this.getCapacityStats(provider),
+        spend: this.getSpendStats(provider)
+      })),
+      tenantStats: [...this.tenants.values()].map(tenant => ({
+        id: tenant.id,
+        prefix: tenant.prefix,
+        providers: tenant.providers || this.providers.map(p => p.id),
+        usage: { ...this.tenantUsage[tenant.id] },
+        quotas: { maxBytes: null, maxObjects: null, ...tenant.quotas },
+        acceptingUploads: this.hasTenantQuota(tenant)
+      }))
+    };
+  }
+
+  /**
+   * Get a provider's storage usage against its quotas
    * 
    * @param {Object} provider - The storage provider configuration
-   * @returns {Object} A client for the provider
+   * @returns {Object} Used and pending bytes and objects, the quotas and the utilization (0-1, null without quotas)
    */
-  createClient(provider) {
-    if (provider.type === 's3') {
-      return new S3Client({
-        region: provider.region,
-        endpoint: provider.endpoint,
-        credentials: {
-          accessKeyId: provider.accessKeyId,
-          secretAccessKey: provider.secretAccessKey
-        },
-        forcePathStyle: provider.forcePathStyle || false
-      });
-    } else if (provider.type === 'r2') {
-      // Cloudflare R2 uses the same S3 API client but with different endpoint
-      return new S3Client({
-        region: 'auto',
-        endpoint: provider.endpoint,
-        credentials: {
-          accessKeyId: provider.accessKeyId,
-          secretAccessKey: provider.secretAccessKey
-        },
-        forcePathStyle: true
-      });
-    } else {
-      throw new Error(`Unsupported provider type: ${provider.type}`);
+  getCapacityStats(provider) {
+    const capacity = this.providerUsage[provider.id].capacity;
+    const ratios = [];
+
+    if (provider.maxBytes) {
+      ratios.push((capacity.usedBytes + capacity.pendingBytes) / provider.maxBytes);
+    }
+    if (provider.maxObjects) {
+      ratios.push((capacity.usedObjects + capacity.pendingObjects) / provider.maxObjects);
     }
+
+    return {
+      usedBytes: capacity.usedBytes,
+      usedObjects: capacity.usedObjects,
+      pendingBytes: capacity.pendingBytes,
+      pendingObjects: capacity.pendingObjects,
+      maxBytes: provider.maxBytes || null,
+      maxObjects: provider.maxObjects || null,
+      utilization: ratios.length > 0 ? Number(Math.max(...ratios).toFixed(4)) : null,
+      acceptingUploads: this.hasFreeCapacity(provider),
+      reconciledAt: capacity.reconciledAt
+    };
   }
 
   /**
-   * Generate a presigned URL for uploading a file
+   * Estimate a provider's accumulated spend from its pricing block
    * 
-   * @param {Object} options - Options for generating the presigned URL
-   * @param {String} options.filename - The original filename
-   * @param {String} options.contentType - The content type of the file
-   * @param {Number} options.expiry - Expiry time in seconds (optional, defaults to constructor value)
-   * @param {String} options.path - Custom path within the bucket (optional)
-   * @param {String} options.providerId - Specific provider ID to use (optional)
-   * @param {String} options.keySpecified - key specified by user (optional)
-   * @returns {Promise<Object>} An object containing the presigned URL and related information
+   * Storage is billed for the tracked usage over time, PUTs per stored object and GETs and
+   * egress per issued read URL (at the provider's average object size without a size hint).
+   * 
+   * @param {Object} provider - The storage provider configuration
+   * @returns {Object|null} Spend per category and in total, or null without a pricing block
    */
-  async generateUploadUrl(options) {
-    try {
-      // Get a provider based on load balancing strategy or use the specified one
-      const provider = options.providerId
-        ? this.providers.find(p => p.id === options.providerId)
-        : this.getStorageProvider();
+  getSpendStats(provider) {
+    if (!provider.pricing) {
+      return null;
+    }
 
-      if (!provider) {
-        throw new Error(`Provider not found: ${options.providerId}`);
+    const pricing = provider.pricing;
+    const spend = this.accrueStorage(provider.id);
+    const round = amount => Number(amount.toFixed(6));
+
+    const storage = spend.storageGBMonths * (pricing.storagePerGBMonth || 0);
+    const egress = (spend.egressBytes / BYTES_PER_GB) * (pricing.egressPerGB || 0);
+    const requests = spend.puts * (pricing.perPut || 0) + spend.gets * (pricing.perGet || 0);
+
+    return {
+      currency: pricing.currency || 'USD',
+      storage: round(storage),
+      egress: round(egress),
+      requests: round(requests),
+      total: round(storage + egress + requests),
+      monthlyStorageRate: round((this.providerUsage[provider.id].capacity.usedBytes / BYTES_PER_GB) * (pricing.storagePerGBMonth || 0))
+    };
+  }
+
+  /**
+   * Get a provider's request and error rates over each configured stats window
+   * 
+   * @param {Object} provider - The storage provider configuration
+   * @returns {Object} Stats keyed by window, e.g. '300s'
+   */
+  getWindowStats(provider) {
+    const now = Date.now();
+    const windows = {};
+
+    this.stats.windows.forEach(window => {
+      const { requests, errors } = this.providerUsage[provider.id].recent.sum(window, now);
+      windows[`${window}s`] = {
+        requests,
+        errors,
+        requestsPerSecond: Number((requests / window).toFixed(4)),
+        errorRate: requests > 0 ? Number((errors / requests).toFixed(4)) : 0
+      };
+    });
+
+    return windows;
+  }
+
+  /**
+   * Record how long signing a URL took, in the provider's latency histogram
+   * 
+   * @param {String} providerId - The provider ID
+   * @param {String} operation - 'upload', 'post', 'read' or 'upload-part'
+   * @param {BigInt} start - process.hrtime.bigint() taken before signing
+   */
+  observeSigningDuration(providerId, operation, start) {
+    const usage = this.providerUsage[providerId];
+
+    if (!usage) {
+      return;
+    }
+
+    const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+
+    if (!usage.signingDurations[operation]) {
+      usage.signingDurations[operation] = {
+        buckets: SIGNING_DURATION_BUCKETS.map(() => 0),
+        sum: 0,
+        count: 0
+      };
+    }
+
+    const histogram = usage.signingDurations[operation];
+    SIGNING_DURATION_BUCKETS.forEach((bound, index) => {
+      if (seconds <= bound) {
+        histogram.buckets[index]++;
       }
+    });
+    histogram.sum += seconds;
+    histogram.count++;
+  }
+
+  /**
+   * Get usage metrics in the Prometheus text exposition format
+   * 
+   * Per-provider series are labelled with the provider ID and type.
+   * 
+   * @returns {String} The metrics
+   */
+  getMetrics() {
+    const lines = [];
+    const metric = (name, type, help) => {
+      lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+    };
+    const providerLabels = provider => ({ provider: provider.id, type: provider.type });
+
+    metric('multibucket_provider_requests_total', 'counter', 'Requests routed to the provider by load balancing.');
+    this.providers.forEach(provider => {
+      lines.push(`multibucket_provider_requests_total${formatLabels(providerLabels(provider))} ${this.providerUsage[provider.id].requestCount}`);
+    });
 
-      const client = this.createClient(provider);
+    metric('multibucket_provider_errors_total', 'counter', 'Failed operations on the provider.');
+    this.providers.forEach(provider => {
+      lines.push(`multibucket_provider_errors_total${formatLabels(providerLabels(provider))} ${this.providerUsage[provider.id].errorCount}`);
+    });
 
-      // Generate a unique key for the file
-      const uniqueId = crypto.randomUUID();
+    metric('multibucket_rate_limit_fallbacks_total', 'counter', 'Requests moved to another provider because the selected one was rate limited.');
+    this.providers.forEach(provider => {
+      lines.push(`multibucket_rate_limit_fallbacks_total${formatLabels(providerLabels(provider))} ${this.providerUsage[provider.id].rateLimitFallbacks}`);
+    });
 
-      // Use the specified key if provided
-      const key = options.keySpecified || (options.path
-        ? `${options.path.replace(/^\/|\/$/g, '')}/${uniqueId}-${options.filename}`
-        : `${uniqueId}-${options.filename}`);
+    metric('multibucket_rate_limited_total', 'counter', 'Selections of the provider that found it out of rate limit tokens.');
+    this.providers.forEach(provider => {
+      lines.push(`multibucket_rate_limited_total${formatLabels(providerLabels(provider))} ${this.providerUsage[provider.id].rateLimited}`);
+    });
 
-      // Create a command for putting the object
-      const command = new PutObjectCommand({
-        Bucket: provider.bucket,
-        Key: key,
-        ContentType: options.contentType,
+    metric('multibucket_provider_health', 'gauge', 'Provider health state, 1 for the current state and 0 for the others.');
+    this.providers.forEach(provider => {
+      HEALTH_ORDER.forEach(state => {
+        const value = this.providerUsage[provider.id].health === state ? 1 : 0;
+        lines.push(`multibucket_provider_health${formatLabels({ ...providerLabels(provider), state })} ${value}`);
       });
+    });
 
-      // Generate the presigned URL
-      const expiry = options.expiry || this.defaultExpiry;
-      const signedUrl = await getSignedUrl(client, command, { expiresIn: expiry });
+    metric('multibucket_signing_duration_seconds', 'histogram', 'Time taken to sign a URL.');
+    this.providers.forEach(provider => {
+      Object.entries(this.providerUsage[provider.id].signingDurations).forEach(([operation, histogram]) => {
+        const labels = { ...providerLabels(provider), operation };
 
-      // Generate the public URL for future reference
-      let publicUrl;
-      if (provider.type === 's3') {
-        publicUrl = `https://${provider.bucket}.s3.${provider.region}.amazonaws.com/${key}`;
-        // If a custom domain is specified, use that instead
-        if (provider.publicUrlBase) {
-          publicUrl = `${provider.publicUrlBase.replace(/\/$/g, '')}/${key}`;
-        }
-      } else if (provider.type === 'r2') {
-        // For R2, we need the custom domain (Cloudflare doesn't provide default public URLs)
-        if (provider.publicUrlBase) {
-          publicUrl = `${provider.publicUrlBase.replace(/\/$/g, '')}/${key}`;
-        } else {
-          publicUrl = null; // No public URL available without a custom domain
-        }
-      }
+        SIGNING_DURATION_BUCKETS.forEach((bound, index) => {
+          lines.push(`multibucket_signing_duration_seconds_bucket${formatLabels({ ...labels, le: bound })} ${histogram.buckets[index]}`);
+        });
+        lines.push(`multibucket_signing_duration_seconds_bucket${formatLabels({ ...labels, le: '+Inf' })} ${histogram.count}`);
+        lines.push(`multibucket_signing_duration_seconds_sum${formatLabels(labels)} ${histogram.sum}`);
+        lines.push(`multibucket_signing_duration_seconds_count${formatLabels(labels)} ${histogram.count}`);
+      });
+    });
 
-      return {
-        uploadUrl: signedUrl,
-        publicUrl,
-        key,
-        bucket: provider.bucket,
-        provider: provider.id,
-        expires: new Date(Date.now() + expiry * 1000).toISOString(),
-      };
-    } catch (error) {
-      // Update error count for the provider
-      if (error.providerInfo && this.providerUsage[error.providerInfo.id]) {
-        this.providerUsage[error.providerInfo.id].errorCount++;
-      }
+    metric('multibucket_config_reloads_total', 'counter', 'Configuration updates, by result.');
+    lines.push(`multibucket_config_reloads_total{result="success"} ${this.configReloads.success}`);
+    lines.push(`multibucket_config_reloads_total{result="failure"} ${this.configReloads.failure}`);
 
-      throw new Error(`Failed to generate upload URL: ${error.message}`);
-    }
+    return `${lines.join('\n')}\n`;
   }
 
   /**
-   * Generate a presigned URL for reading/downloading a file
+   * Authenticate a server request with an API key, a JWT or the custom verifier, in that order.
+   * Credentials are read from the `X-API-Key` header or an `Authorization: Bearer` header.
    * 
-   * @param {Object} options - Options for generating the presigned URL
-   * @param {String} options.key - The object key
-   * @param {String} options.filename - The download filename (optional)
-   * @param {String} options.bucket - The bucket name (optional if the key already includes provider info)
-   * @param {String} options.providerId - Specific provider ID to use
-   * @param {Number} options.expiry - Expiry time in seconds (optional, defaults to constructor value)
-   * @returns {Promise<Object>} An object containing the presigned URL
+   * @param {Object} req - The Express request
+   * @param {Object} auth - The normalized auth options of createServer
+   * @returns {Promise<Object>} The authenticated principal (scopes, pathPrefixes, providers)
+   * @throws {AuthError} If the request carries no valid credentials
    */
-  async generateReadUrl(options) {
-    try {
-      // Find the provider based on the provided ID or try to match bucket
-      let provider;
+  async authenticateRequest(req, auth) {
+    const authorization = req.get('Authorization') || '';
+    const bearer = /^Bearer\s+(.+)$/i.exec(authorization);
+    const credential = req.get('X-API-Key') || (bearer && bearer[1].trim());
 
-      if (options.providerId) {
-        provider = this.providers.find(p => p.id === options.providerId);
-      } else if (options.bucket) {
-        provider = this.providers.find(p => p.bucket === options.bucket);
+    if (credential && auth.apiKeys.length > 0) {
+      // Compare digests so the lookup takes the same time whatever the key length
+      const digest = crypto.createHash('sha256').update(credential).digest();
+      const entry = auth.apiKeys.find(apiKey => crypto.timingSafeEqual(apiKey.digest, digest));
+
+      if (entry) {
+        return normalizePrincipal({ type: 'apiKey', ...entry });
       }
+    }
 
-      if (!provider) {
-        throw new Error('Provider not found. Please specify a valid providerId or bucket');
+    if (bearer && auth.jwt && credential.split('.').length === 3) {
+      const claims = verifyJwt(credential, auth.jwt);
+
+      return normalizePrincipal({
+        type: 'jwt',
+        id: claims.sub,
+        scopes: claims.scopes,
+        scope: claims.scope,
+        pathPrefixes: claims.pathPrefixes,
+        providers: claims.providers,
+        tenantId: claims.tenantId,
+        claims
+      });
+    }
+
+    if (auth.verify) {
+      const principal = await auth.verify(req);
+
+      if (principal) {
+        return normalizePrincipal({ type: 'custom', ...principal });
       }
+    }
 
-      const client = this.createClient(provider);
+    throw new AuthError(credential ? 'Invalid credentials' : 'Authentication required');
+  }
 
-      // Create a command for getting the object
-      const command = new GetObjectCommand({
-        Bucket: provider.bucket,
-        Key: options.key,
-        ResponseContentDisposition: `attachment; filename="${options.filename || options.key.split('/').pop()}"`,
+  /**
+   * Check that a principal may perform a request. Only the given parts are checked.
+   * 
+   * @param {Object} principal - The authenticated principal (none when the server has no auth)
+   * @param {Object} request - What the request does
+   * @param {String} request.scope - The scope the route requires (optional)
+   * @param {String} request.key - The object key, or the key prefix of an upload (optional)
+   * @param {String} request.providerId - The provider the request targets (optional)
+   * @param {String} request.tenantId - The tenant the request asks for (optional)
+   * @throws {AuthError} If the scope, key, provider or tenant is not allowed
+   */
+  authorizeRequest(principal, request) {
+    if (!principal) {
+      return;
+    }
 
-      });
+    if (request.scope && !principal.scopes.includes(request.scope)) {
+      throw new AuthError(`Missing scope: ${request.scope}`, 403);
+    }
 
-      // Generate the presigned URL
-      const expiry = options.expiry || this.defaultExpiry;
-      const signedUrl = await getSignedUrl(client, command, { expiresIn: expiry });
+    if (request.key !== undefined && principal.pathPrefixes &&
+        !principal.pathPrefixes.some(prefix => request.key.startsWith(prefix))) {
+      throw new AuthError(`Path not allowed: ${request.key}`, 403);
+    }
 
-      return {
-        readUrl: signedUrl,
-        key: options.key,
-        bucket: provider.bucket,
-        provider: provider.id,
-        expires: new Date(Date.now() + expiry * 1000).toISOString(),
-      };
-    } catch (error) {
-      throw new Error(`Failed to generate read URL: ${error.message}`);
+    if (request.providerId && principal.providers && !principal.providers.includes(request.providerId)) {
+      throw new AuthError(`Provider not allowed: ${request.providerId}`, 403);
+    }
+
+    if (request.tenantId !== undefined && principal.tenantId !== undefined && request.tenantId !== principal.tenantId) {
+      throw new AuthError(`Tenant not allowed: ${request.tenantId}`, 403);
     }
   }
 
   /**
-   * Get stats about the storage providers
+   * Restrict the options of generateReadUrl to the providers a principal may read from.
+   * The provider is resolved up front, or the failover candidates are filtered.
    * 
-   * @returns {Object} Stats about usage and errors
+   * @param {Object} principal - The authenticated principal
+   * @param {Object} options - The generateReadUrl options
+   * @returns {Promise<Object>} The options to call generateReadUrl with
+   * @throws {AuthError} If the object would be read from a provider that is not allowed
    */
-  getStats() {
-    return {
-      providerCount: this.providers.length,
-      totalRequests: Object.values(this.providerUsage).reduce((sum, usage) => sum + usage.requestCount, 0),
-      providerStats: this.providers.map(provider => ({
-        id: provider.id,
-        type: provider.type,
-        requestCount: this.providerUsage[provider.id].requestCount,
-        errorCount: this.providerUsage[provider.id].errorCount,
-        errorRate: this.providerUsage[provider.id].requestCount > 0
-          ? (this.providerUsage[provider.id].errorCount / this.providerUsage[provider.id].requestCount).toFixed(4)
-          : 0
-      }))
-    };
+  async restrictReadOptions(principal, options) {
+    if (!principal || !principal.providers) {
+      return options;
+    }
+
+    if (options.failover) {
+      const candidates = (await this.getReadCandidates(options))
+        .map(provider => provider.id)
+        .filter(id => principal.providers.includes(id));
+
+      if (candidates.length === 0) {
+        throw new AuthError(`No allowed provider can serve ${options.key}`, 403);
+      }
+
+      return { ...options, candidates };
+    }
+
+    const provider = await this.resolveReadProvider(options);
+    this.authorizeRequest(principal, { providerId: provider.id });
+
+    return { ...options, providerId: provider.id };
   }
 
   /**
    * Create an Express.js server to expose the presigned URL generation as APIs
    * 
    * @param {Number} port - The port to listen on (default: 3000)
+   * @param {Object} options - Server options (optional)
+   * @param {Object} options.auth - Require authentication on every route but /health and /local (optional)
+   * @param {Array} options.auth.apiKeys - Static API keys: { key, scopes, pathPrefixes, providers } (optional)
+   * @param {Object} options.auth.jwt - JWT verification: { algorithm: 'HS256'|'RS256', secret|publicKey, issuer, audience, clockTolerance } (optional)
+   * @param {Function} options.auth.verify - Custom verifier receiving the request and resolving to a principal or null (optional)
    * @returns {Object} The Express app instance
    */
-  createServer(port = 3000) {
+  createServer(port = 3000, options = {}) {
     const app = express();
+    this.serverPort = port;
+
+    const auth = options.auth ? normalizeAuthOptions(options.auth) : null;
+
+    // Authenticate the request and check the scope of the route. Without auth every request is allowed.
+    const requireScope = scope => async (req, res, next) => {
+      if (!auth) {
+        return next();
+      }
+
+      try {
+        req.principal = await this.authenticateRequest(req, auth);
+        this.authorizeRequest(req.principal, { scope });
+        next();
+      } catch (error) {
+        next(error);
+      }
+    };
+
+    const allowedProviders = req => (req.principal ? req.principal.providers || undefined : undefined);
+    // Upload keys come from templates, so the path prefixes of a principal are checked on the built key
+    const allowedKeyPrefixes = req => (req.principal ? req.principal.pathPrefixes || undefined : undefined);
+    // Principals bound to a tenant always act for it
+    const tenantFor = (req, body = req.body) => (req.principal && req.principal.tenantId !== undefined ? req.principal.tenantId : body.tenantId);
+    // Routes acting on an existing key don't go through applyTenant, so tenant-bound principals are checked here
+    const authorizeTenantKey = (req, key) => {
+      if (req.principal && req.principal.tenantId !== undefined) {
+        this.assertTenantKey(this.getTenant(req.principal.tenantId), key);
+      }
+    };
+
+    // Local provider uploads stream the raw body, so they are mounted before the JSON parser
+    app.use('/local', this.createLocalStorageRouter());
     app.use(express.json());
 
     // Middleware to handle errors
     const errorHandler = (err, req, res, next) => {
-      console.error('API Error:', err.message);
-      res.status(500).json({ error: err.message });
+      const { status, ...body } = describeError(err);
+
+      // Rate limited requests can be retried once a token is available
+      if (err instanceof RateLimitError) {
+        res.setHeader('Retry-After', String(Math.max(1, Math.ceil(err.retryAfter / 1000))));
+      }
+
+      if (status === 401) {
+        res.setHeader('WWW-Authenticate', 'Bearer');
+      }
+
+      if (status === 500) {
+        console.error('API Error:', err.message);
+      }
+
+      res.status(status).json(body);
+    };
+
+    // Request bodies are checked against REQUEST_SCHEMA before anything is authorized or signed
+    const validateBody = (fields, required) => (req, res, next) => {
+      // Requests without a JSON body have no fields
+      if (req.body === undefined) {
+        req.body = {};
+      }
+
+      const errors = validateRequestBody(req.body, fields, required);
+      next(errors.length > 0 ? new RequestValidationError(errors) : undefined);
     };
+    const uploadUrlFields = ['filename', 'contentType', 'expiry', 'path', 'providerId', 'routingKey', 'size', 'checksumSHA256', 'expectedReads', 'retentionMonths', 'tenantId'];
+    const readUrlFields = ['key', 'bucket', 'providerId', 'expiry', 'failover', 'candidates', 'size', 'tenantId'];
 
     // Generate upload URL endpoint
-    app.post('/generate-upload-url', async (req, res, next) => {
+    app.post('/generate-upload-url', requireScope('upload'), validateBody(uploadUrlFields, ['filename', 'contentType']), async (req, res, next) => {
       try {
-        const { filename, contentType, expiry, path, providerId } = req.body;
+        const { filename, contentType, expiry, path, providerId, routingKey, size, checksumSHA256, expectedReads, retentionMonths, tenantId } = req.body;
 
-        if (!filename || !contentType) {
-          return res.status(400).json({ error: 'filename and contentType are required' });
-        }
+        this.authorizeRequest(req.principal, { providerId, tenantId });
 
         const result = await this.generateUploadUrl({
           filename,
           contentType,
           expiry,
           path,
-          providerId
+          providerId,
+          allowedProviders: allowedProviders(req),
+          allowedKeyPrefixes: allowedKeyPrefixes(req),
+          tenantId: tenantFor(req),
+          routingKey,
+          size,
+          checksumSHA256,
+          expectedReads,
+          retentionMonths
         });
 
         res.json(result);
@@ -441,18 +5835,218 @@ class MultiBucket {
     });
 
     // Generate read URL endpoint
-    app.post('/generate-read-url', async (req, res, next) => {
+    app.post('/generate-read-url', requireScope('read'), validateBody(readUrlFields, ['key']), async (req, res, next) => {
       try {
-        const { key, bucket, providerId, expiry } = req.body;
+        const { key, bucket, providerId, expiry, failover, candidates, size, tenantId } = req.body;
 
-        if (!key) {
-          return res.status(400).json({ error: 'key is required' });
-        }
+        this.authorizeRequest(req.principal, { key, providerId, tenantId });
 
-        const result = await this.generateReadUrl({
+        const result = await this.generateReadUrl(await this.restrictReadOptions(req.principal, {
           key,
           bucket,
           providerId,
+          expiry,
+          failover,
+          candidates,
+          size,
+          tenantId: tenantFor(req)
+        }));
+
+        res.json(result);
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    // Batch items are checked and authorized one by one; items failing the checks are
+    // reported in their result and the others are still signed
+    const runBatch = async (items, fields, required, prepare, generate) => {
+      if (!Array.isArray(items) || items.length === 0 || items.length > MAX_BATCH_ITEMS) {
+        throw new RequestValidationError([{ path: 'items', message: `must be an array of 1 to ${MAX_BATCH_ITEMS} objects` }]);
+      }
+
+      const prepared = await mapWithConcurrency(items, DEFAULT_BATCH_CONCURRENCY, async item => {
+        try {
+          const errors = validateRequestBody(item, fields, required);
+          if (errors.length > 0) {
+            throw new RequestValidationError(errors);
+          }
+          return { options: await prepare(item) };
+        } catch (error) {
+          return { error };
+        }
+      });
+
+      const accepted = prepared.filter(entry => !entry.error);
+      const generated = accepted.length > 0 ? await generate(accepted.map(entry => entry.options)) : [];
+      let next = 0;
+
+      return prepared.map((entry, index) => (entry.error
+        ? { index, ...describeError(entry.error) }
+        : { ...generated[next++], index }));
+    };
+
+    // Generate upload URLs for a batch of files
+    app.post('/generate-upload-urls', requireScope('upload'), validateBody(['providerId', 'sameProvider']), async (req, res, next) => {
+      try {
+        const { items, sameProvider, providerId } = req.body;
+
+        this.authorizeRequest(req.principal, { providerId });
+
+        const results = await runBatch(items, uploadUrlFields, ['filename', 'contentType'], item => {
+          const { filename, contentType, expiry, path, routingKey, size, checksumSHA256, expectedReads, retentionMonths, tenantId } = item;
+
+          this.authorizeRequest(req.principal, { providerId: item.providerId, tenantId });
+
+          return {
+            filename,
+            contentType,
+            expiry,
+            path,
+            providerId: item.providerId,
+            allowedProviders: allowedProviders(req),
+            allowedKeyPrefixes: allowedKeyPrefixes(req),
+            tenantId: tenantFor(req, item),
+            routingKey,
+            size,
+            checksumSHA256,
+            expectedReads,
+            retentionMonths
+          };
+        }, options => this.generateUploadUrls(options, { sameProvider, providerId }));
+
+        res.json({ results });
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    // Generate read URLs for a batch of objects
+    app.post('/generate-read-urls', requireScope('read'), validateBody([]), async (req, res, next) => {
+      try {
+        const results = await runBatch(req.body.items, readUrlFields, ['key'], item => {
+          const { key, bucket, providerId, expiry, failover, candidates, size, tenantId } = item;
+
+          this.authorizeRequest(req.principal, { key, providerId, tenantId });
+
+          return this.restrictReadOptions(req.principal, {
+            key,
+            bucket,
+            providerId,
+            expiry,
+            failover,
+            candidates,
+            size,
+            tenantId: tenantFor(req, item)
+          });
+        }, options => this.generateReadUrls(options));
+
+        res.json({ results });
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    // Generate upload POST endpoint
+    app.post('/generate-upload-post', requireScope('upload'), validateBody(['filename', 'contentType', 'contentTypePrefix', 'minSize', 'maxSize', 'expiry', 'path', 'providerId', 'routingKey', 'tenantId']), async (req, res, next) => {
+      try {
+        const { filename, contentType, contentTypePrefix, minSize, maxSize, expiry, path, providerId, routingKey, tenantId } = req.body;
+
+        if (!contentType && !contentTypePrefix) {
+          throw new RequestValidationError([{ path: 'contentType', message: 'or contentTypePrefix is required' }]);
+        }
+
+        this.authorizeRequest(req.principal, { providerId, tenantId });
+
+        const result = await this.generateUploadPost({
+          filename,
+          contentType,
+          contentTypePrefix,
+          minSize,
+          maxSize,
+          expiry,
+          path,
+          providerId,
+          allowedProviders: allowedProviders(req),
+          allowedKeyPrefixes: allowedKeyPrefixes(req),
+          tenantId: tenantFor(req),
+          routingKey
+        });
+
+        res.json(result);
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    // Confirm upload endpoint
+    app.post('/confirm-upload', requireScope('upload'), validateBody(['key', 'provider', 'size', 'contentType', 'checksumSHA256'], ['key']), async (req, res, next) => {
+      try {
+        const { key, size, contentType, checksumSHA256 } = req.body;
+
+        authorizeTenantKey(req, key);
+
+        // Resolve the provider the way confirmUpload does, so its restriction is always checked
+        const provider = await this.resolveUploadProviderId(req.body);
+        this.authorizeRequest(req.principal, { key, providerId: provider });
+
+        const result = await this.confirmUpload({
+          key,
+          provider,
+          size,
+          contentType,
+          checksumSHA256
+        });
+
+        res.status(result.confirmed ? 200 : 422).json(result);
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    // Create multipart upload endpoint
+    app.post('/create-multipart-upload', requireScope('upload'), validateBody(['filename', 'contentType', 'path', 'providerId', 'routingKey', 'size', 'expectedReads', 'retentionMonths', 'tenantId'], ['filename', 'contentType']), async (req, res, next) => {
+      try {
+        const { filename, contentType, path, providerId, routingKey, size, expectedReads, retentionMonths, tenantId } = req.body;
+
+        this.authorizeRequest(req.principal, { providerId, tenantId });
+
+        const result = await this.createMultipartUpload({
+          filename,
+          contentType,
+          path,
+          providerId,
+          allowedProviders: allowedProviders(req),
+          allowedKeyPrefixes: allowedKeyPrefixes(req),
+          tenantId: tenantFor(req),
+          routingKey,
+          size,
+          expectedReads,
+          retentionMonths
+        });
+
+        res.json(result);
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    // Generate upload part URL endpoint
+    app.post('/generate-upload-part-url', requireScope('upload'), validateBody(['key', 'uploadId', 'partNumber', 'providerId', 'expiry'], ['key', 'uploadId', 'partNumber']), async (req, res, next) => {
+      try {
+        const { key, uploadId, partNumber, providerId, expiry } = req.body;
+
+        authorizeTenantKey(req, key);
+        this.authorizeRequest(req.principal, {
+          key,
+          providerId: providerId || (this.multipartUploads[uploadId] || {}).providerId
+        });
+
+        const result = await this.generateUploadPartUrl({
+          key,
+          uploadId,
+          partNumber,
+          providerId,
           expiry
         });
 
@@ -462,16 +6056,123 @@ class MultiBucket {
       }
     });
 
+    // Complete multipart upload endpoint
+    app.post('/complete-multipart-upload', requireScope('upload'), validateBody(['key', 'uploadId', 'parts', 'providerId'], ['key', 'uploadId', 'parts']), async (req, res, next) => {
+      try {
+        const { key, uploadId, parts, providerId } = req.body;
+
+        authorizeTenantKey(req, key);
+        this.authorizeRequest(req.principal, {
+          key,
+          providerId: providerId || (this.multipartUploads[uploadId] || {}).providerId
+        });
+
+        const result = await this.completeMultipartUpload({
+          key,
+          uploadId,
+          parts,
+          providerId
+        });
+
+        res.json(result);
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    // Abort multipart upload endpoint
+    app.post('/abort-multipart-upload', requireScope('upload'), validateBody(['key', 'uploadId', 'providerId'], ['key', 'uploadId']), async (req, res, next) => {
+      try {
+        const { key, uploadId, providerId } = req.body;
+
+        authorizeTenantKey(req, key);
+        this.authorizeRequest(req.principal, {
+          key,
+          providerId: providerId || (this.multipartUploads[uploadId] || {}).providerId
+        });
+
+        const result = await this.abortMultipartUpload({
+          key,
+          uploadId,
+          providerId
+        });
+
+        res.json(result);
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    // Replication job status endpoints
+    app.get('/replication-jobs', requireScope('stats'), (req, res) => {
+      res.json(this.getReplicationJobs({
+        status: req.query.status,
+        key: req.query.key
+      }));
+    });
+
+    app.get('/replication-jobs/:id', requireScope('stats'), (req, res) => {
+      const job = this.getReplicationJob(req.params.id);
+
+      if (!job) {
+        return res.status(404).json({ error: 'Replication job not found' });
+      }
+
+      res.json(job);
+    });
+
     // Stats endpoint
-    app.get('/stats', (req, res) => {
+    app.get('/stats', requireScope('stats'), (req, res) => {
       res.json(this.getStats());
     });
 
+    // Recount stored bytes and objects of one provider, or of all of them
+    app.post('/reconcile-usage', requireScope('stats'), validateBody(['providerId']), async (req, res, next) => {
+      try {
+        this.authorizeRequest(req.principal, { providerId: req.body.providerId });
+
+        const providerIds = req.body.providerId
+          ? [req.body.providerId]
+          : this.providers.map(p => p.id).filter(id => !allowedProviders(req) || allowedProviders(req).includes(id));
+        const results = [];
+
+        for (const providerId of providerIds) {
+          results.push(await this.reconcileProviderUsage(providerId));
+        }
+
+        res.json(results);
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    // Prometheus metrics endpoint
+    app.get('/metrics', requireScope('stats'), (req, res) => {
+      res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+      res.send(this.getMetrics());
+    });
+
     // Health check endpoint
     app.get('/health', (req, res) => {
-      res.json({
-        status: 'ok',
+      const providerHealth = this.providers.map(provider => ({
+        id: provider.id,
+        health: this.providerUsage[provider.id].health,
+        available: this.isProviderAvailable(provider)
+      }));
+      const availableCount = providerHealth.filter(p => p.available).length;
+
+      let status = 'ok';
+      if (availableCount === 0) {
+        status = 'unavailable';
+      } else if (providerHealth.some(p => p.health !== 'healthy')) {
+        status = 'degraded';
+      }
+
+      res.status(status === 'unavailable' ? 503 : 200).json({
+        status,
         providers: this.providers.length,
+        availableProviders: availableCount,
+        providerHealth,
         timestamp: new Date().toISOString()
       });
     });
@@ -488,4 +6189,12 @@ class MultiBucket {
   }
 }
 
+MultiBucket.MemoryLocationStore = MemoryLocationStore;
+MultiBucket.JsonFileLocationStore = JsonFileLocationStore;
+MultiBucket.RateLimitError = RateLimitError;
+MultiBucket.AuthError = AuthError;
+MultiBucket.UploadPolicyError = UploadPolicyError;
+MultiBucket.RequestValidationError = RequestValidationError;
+MultiBucket.TenantError = TenantError;
+
 module.exports = MultiBucket;
\ No newline at end of file
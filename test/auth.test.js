@@ -0,0 +1,153 @@
+const crypto = require('crypto');
+const supertest = require('supertest');
+const MultiBucket = require('../index');
+const { s3Provider } = require('./helpers');
+
+const SECRET = 'jwt-test-secret';
+const NOW = Math.floor(Date.now() / 1000);
+
+const base64url = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+// Sign a compact HS256 token, or leave it unsigned for other algorithms
+const token = (claims, header = { alg: 'HS256', typ: 'JWT' }, secret = SECRET) => {
+  const data = `${base64url(header)}.${base64url(claims)}`;
+  const signature = header.alg === 'HS256' ? crypto.createHmac('sha256', secret).update(data).digest('base64url') : '';
+  return `${data}.${signature}`;
+};
+
+describe('authentication', () => {
+  let presigner;
+  let app;
+  let server;
+  let request;
+
+  const upload = (credentials, body = {}) => credentials(request.post('/generate-upload-url'))
+    .send({ filename: 'a.txt', contentType: 'text/plain', ...body });
+  const bearer = value => req => req.set('Authorization', `Bearer ${value}`);
+  const apiKey = value => req => req.set('X-API-Key', value);
+
+  beforeEach(() => {
+    presigner = new MultiBucket({ providers: [s3Provider('a'), s3Provider('b')] });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    ({ app, server } = presigner.createServer(0, {
+      auth: {
+        apiKeys: [
+          { key: 'uploader-key', scopes: ['upload'], pathPrefixes: ['user-1/'], providers: ['a'] },
+          { key: 'reader-key', scopes: ['read'] }
+        ],
+        jwt: { algorithm: 'HS256', secret: SECRET, issuer: 'https://auth.example.com', audience: 'multibucket' }
+      }
+    }));
+    request = supertest(app);
+  });
+
+  afterEach(() => {
+    server.close();
+    jest.restoreAllMocks();
+  });
+
+  describe('API keys', () => {
+    test('should require credentials on every route but /health', async () => {
+      const response = await upload(req => req);
+
+      expect(response.status).toBe(401);
+      expect(response.headers['www-authenticate']).toBe('Bearer');
+      expect(response.body.error).toBe('Authentication required');
+      expect((await request.get('/health')).status).toBe(200);
+      expect((await upload(apiKey('wrong-key'))).body.error).toBe('Invalid credentials');
+    });
+
+    test('should check the scopes, path prefixes and providers of the key', async () => {
+      const allowed = await upload(apiKey('uploader-key'), { path: 'user-1/docs' });
+      expect(allowed.status).toBe(200);
+      expect(allowed.body.provider).toBe('a');
+
+      const otherPath = await upload(apiKey('uploader-key'), { path: 'user-2' });
+      expect(otherPath.status).toBe(403);
+      expect(otherPath.body.error).toMatch(/^Failed to generate upload URL: Path not allowed: user-2\//);
+      expect(presigner.providerUsage.a.consecutiveFailures).toBe(0);
+
+      const otherProvider = await upload(apiKey('uploader-key'), { path: 'user-1', providerId: 'b' });
+      expect(otherProvider.body.error).toBe('Provider not allowed: b');
+
+      const wrongScope = await upload(apiKey('reader-key'));
+      expect(wrongScope.status).toBe(403);
+      expect(wrongScope.body.error).toBe('Missing scope: upload');
+    });
+
+    test('should restrict confirmations to the providers of the key', async () => {
+      const pending = await presigner.generateUploadUrl({ filename: 'a.txt', contentType: 'text/plain', path: 'user-1', providerId: 'b' });
+      presigner.headObject = jest.fn();
+
+      const response = await request.post('/confirm-upload').set('X-API-Key', 'uploader-key').send({ key: pending.key });
+
+      expect(response.status).toBe(403);
+      expect(response.body.error).toBe('Provider not allowed: b');
+      expect(presigner.headObject).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('JWT', () => {
+    const claims = extra => ({
+      sub: 'user-1',
+      iss: 'https://auth.example.com',
+      aud: 'multibucket',
+      scope: 'upload read',
+      exp: NOW + 60,
+      ...extra
+    });
+
+    test('should accept a valid token and read its scopes', async () => {
+      const response = await upload(bearer(token(claims())));
+
+      expect(response.status).toBe(200);
+    });
+
+    test.each([
+      ['an expired token', claims({ exp: NOW - 1 }), 'Token has expired'],
+      ['a token not valid yet', claims({ nbf: NOW + 60 }), 'Token is not valid yet'],
+      ['another issuer', claims({ iss: 'https://evil.example.com' }), 'Unexpected token issuer'],
+      ['another audience', claims({ aud: ['other-service'] }), 'Unexpected token audience']
+    ])('should reject %s', async (description, tokenClaims, message) => {
+      const response = await upload(bearer(token(tokenClaims)));
+
+      expect(response.status).toBe(401);
+      expect(response.body.error).toBe(message);
+    });
+
+    test('should reject bad signatures and other algorithms', async () => {
+      expect((await upload(bearer(token(claims(), undefined, 'other-secret')))).body.error).toBe('Invalid token signature');
+      expect((await upload(bearer(token(claims(), { alg: 'none' })))).body.error).toBe('Unexpected token algorithm: none');
+      expect((await upload(bearer(token(claims(), { alg: 'RS256' })))).body.error).toBe('Unexpected token algorithm: RS256');
+
+      const [header, , signature] = token(claims()).split('.');
+      const tampered = `${header}.${base64url(claims({ scope: 'upload read stats' }))}.${signature}`;
+      expect((await upload(bearer(tampered))).body.error).toBe('Invalid token signature');
+    });
+
+    test('should apply the path prefixes and providers claims', async () => {
+      const restricted = bearer(token(claims({ pathPrefixes: ['user-1/'], providers: ['b'] })));
+
+      expect((await upload(restricted, { path: 'user-1' })).body.provider).toBe('b');
+      expect((await upload(restricted, { path: 'user-2' })).status).toBe(403);
+    });
+  });
+
+  test('should use a custom verifier for other credentials', async () => {
+    server.close();
+    ({ app, server } = presigner.createServer(0, {
+      auth: { verify: async req => (req.get('X-Session') === 'valid' ? { id: 'session', scopes: ['stats'] } : null) }
+    }));
+
+    expect((await supertest(app).get('/stats').set('X-Session', 'valid')).status).toBe(200);
+    expect((await supertest(app).get('/stats').set('X-Session', 'invalid')).status).toBe(401);
+  });
+
+  test('should reject invalid auth options', () => {
+    expect(() => presigner.createServer(0, { auth: {} })).toThrow('auth requires apiKeys, jwt or verify');
+    expect(() => presigner.createServer(0, { auth: { jwt: { algorithm: 'none' } } }))
+      .toThrow('auth.jwt.algorithm must be one of: HS256, RS256');
+    expect(() => presigner.createServer(0, { auth: { apiKeys: [{ key: 'k', scopes: ['admin'] }] } }))
+      .toThrow('auth.apiKeys[0].scopes has unknown scopes: admin');
+  });
+});
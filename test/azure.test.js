@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const MultiBucket = require('../index');
+
+// The Azurite development account
+const ACCOUNT_NAME = 'devstoreaccount1';
+const ACCOUNT_KEY = 'Eby8vdM02xNOcqFlqUwJPLlmEtlCDXJ1OUzFT50uSRZ6IFsuFq2UVErCz4I6tq/K1SZFPTOtr/KBHBeksoGMGw==';
+
+const NOW = Date.parse('2024-01-01T00:00:00Z');
+
+const sign = (stringToSign, key) => crypto.createHmac('sha256', Buffer.from(key, 'base64')).update(stringToSign, 'utf8').digest('base64');
+
+describe('azure provider', () => {
+  let presigner;
+  let azure;
+
+  beforeEach(() => {
+    jest.spyOn(Date, 'now').mockReturnValue(NOW);
+    presigner = new MultiBucket({
+      providers: [{ id: 'azure', type: 'azure', accountName: ACCOUNT_NAME, accountKey: ACCOUNT_KEY, bucket: 'uploads' }]
+    });
+    azure = presigner.providers[0];
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should sign a blob SAS against a known vector', () => {
+    const url = new URL(presigner.generateAzureSasUrl(azure, 'docs/a b.txt', {
+      permissions: 'r',
+      expiry: 3600,
+      contentDisposition: 'attachment; filename="a b.txt"'
+    }));
+
+    // Service SAS string-to-sign of version 2022-11-02: sp, st, se, canonicalized resource, si, sip,
+    // spr, sv, sr, snapshot time, encryption scope, rscc, rscd, rsce, rscl and rsct
+    const stringToSign = [
+      'r', '', '2024-01-01T01:00:00Z', '/blob/devstoreaccount1/uploads/docs/a b.txt', '', '',
+      'https', '2022-11-02', 'b', '', '', '', 'attachment; filename="a b.txt"', '', '', ''
+    ].join('\n');
+
+    expect(url.origin + url.pathname).toBe('https://devstoreaccount1.blob.core.windows.net/uploads/docs/a%20b.txt');
+    expect(Object.fromEntries(url.searchParams)).toEqual({
+      sv: '2022-11-02',
+      spr: 'https',
+      se: '2024-01-01T01:00:00Z',
+      sr: 'b',
+      sp: 'r',
+      rscd: 'attachment; filename="a b.txt"',
+      sig: 'ocd7yYcinPTsf4ImY7gc0XenRT98f6gFSS9iUe+w/+E='
+    });
+    expect(url.searchParams.get('sig')).toBe(sign(stringToSign, ACCOUNT_KEY));
+  });
+
+  test('should sign a container SAS without a key', () => {
+    const url = new URL(presigner.generateAzureSasUrl(azure, null, { permissions: 'l', expiry: 300 }));
+
+    expect(url.pathname).toBe('/uploads');
+    expect(url.searchParams.get('restype')).toBe('container');
+    expect(url.searchParams.get('sr')).toBe('c');
+    expect(url.searchParams.get('sig')).toBe(sign([
+      'l', '', '2024-01-01T00:05:00Z', '/blob/devstoreaccount1/uploads', '', '',
+      'https', '2022-11-02', 'c', '', '', '', '', '', '', ''
+    ].join('\n'), ACCOUNT_KEY));
+  });
+
+  test('should sign a user delegation SAS with the delegation key', () => {
+    const userDelegationKey = {
+      signedObjectId: 'object-id',
+      signedTenantId: 'tenant-id',
+      signedStartsOn: '2024-01-01T00:00:00Z',
+      signedExpiresOn: '2024-01-02T00:00:00Z',
+      signedService: 'b',
+      signedVersion: '2022-11-02',
+      value: Buffer.from('delegation-key').toString('base64')
+    };
+    azure = { id: 'azure', type: 'azure', accountName: ACCOUNT_NAME, userDelegationKey, bucket: 'uploads' };
+
+    const url = new URL(presigner.generateAzureSasUrl(azure, 'a.txt', { permissions: 'cw', expiry: 60 }));
+
+    expect(url.searchParams.get('skoid')).toBe('object-id');
+    expect(url.searchParams.get('sktid')).toBe('tenant-id');
+    expect(url.searchParams.get('skv')).toBe('2022-11-02');
+    expect(url.searchParams.get('sig')).toBe(sign([
+      'cw', '', '2024-01-01T00:01:00Z', '/blob/devstoreaccount1/uploads/a.txt',
+      'object-id', 'tenant-id', '2024-01-01T00:00:00Z', '2024-01-02T00:00:00Z', 'b', '2022-11-02',
+      '', '', '', '', 'https', '2022-11-02', 'b', '', '', '', '', '', '', ''
+    ].join('\n'), userDelegationKey.value));
+  });
+
+  test('should use a custom endpoint and refuse providers without credentials', () => {
+    const url = presigner.generateAzureSasUrl({ ...azure, endpoint: 'http://127.0.0.1:10000/devstoreaccount1/' }, 'a.txt', {
+      permissions: 'r',
+      expiry: 60
+    });
+
+    expect(url.startsWith('http://127.0.0.1:10000/devstoreaccount1/uploads/a.txt?sv=')).toBe(true);
+    expect(() => presigner.generateAzureSasUrl({ id: 'bare', type: 'azure', accountName: ACCOUNT_NAME, bucket: 'uploads' }, 'a.txt', {
+      permissions: 'r',
+      expiry: 60
+    })).toThrow('Provider bare of type azure requires an accountName and an accountKey or userDelegationKey');
+  });
+
+  test('should issue upload URLs with the blob headers', async () => {
+    const result = await presigner.generateUploadUrl({ filename: 'a.txt', contentType: 'text/plain' });
+
+    expect(new URL(result.uploadUrl).searchParams.get('sp')).toBe('cw');
+    expect(result.uploadHeaders).toMatchObject({
+      'x-ms-blob-type': 'BlockBlob',
+      'x-ms-blob-content-type': 'text/plain'
+    });
+    expect(result.publicUrl).toBe(`https://devstoreaccount1.blob.core.windows.net/uploads/${result.key}`);
+  });
+
+  test('should probe the container by listing one blob', async () => {
+    const get = jest.spyOn(axios, 'get').mockResolvedValue({ status: 200, headers: {} });
+
+    expect(await presigner.probeProvider(azure)).toBe(true);
+
+    const url = new URL(get.mock.calls[0][0]);
+    expect(url.searchParams.get('comp')).toBe('list');
+    expect(url.searchParams.get('maxresults')).toBe('1');
+    expect(url.searchParams.get('sp')).toBe('l');
+
+    get.mockResolvedValue({ status: 403, headers: {} });
+    expect(await presigner.probeProvider(azure)).toBe(false);
+    expect(presigner.providerUsage.azure.lastError).toBe('Azure container request failed with status 403');
+  });
+
+  test('should map HEAD responses to the S3 shape', async () => {
+    const head = jest.spyOn(axios, 'head').mockResolvedValue({
+      status: 200,
+      headers: { 'content-length': '12', 'content-type': 'text/plain', etag: '"abc"' }
+    });
+
+    expect(await presigner.headObject(azure, 'a.txt')).toMatchObject({ ContentLength: 12, ContentType: 'text/plain', ETag: '"abc"' });
+
+    head.mockResolvedValue({ status: 404, headers: {} });
+    await expect(presigner.headObject(azure, 'a.txt')).rejects.toMatchObject({
+      name: 'NotFound',
+      $metadata: { httpStatusCode: 404 }
+    });
+  });
+});
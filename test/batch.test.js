@@ -0,0 +1,187 @@
+const supertest = require('supertest');
+const MultiBucket = require('../index');
+const { s3Provider } = require('./helpers');
+
+const file = name => ({ filename: name, contentType: 'image/jpeg' });
+
+describe('batches', () => {
+  let presigner;
+
+  beforeEach(() => {
+    presigner = new MultiBucket({
+      providers: [s3Provider('a'), s3Provider('b'), s3Provider('c')],
+      loadBalanceStrategy: 'round-robin',
+      uploadPolicy: { rules: [{ pathPrefix: 'gallery/', allowTypes: ['image/*'] }] }
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('generateUploadUrls', () => {
+    test('should report results per item, in order, without failing the batch', async () => {
+      const results = await presigner.generateUploadUrls([
+        { ...file('one.jpg'), path: 'gallery' },
+        { filename: 'two.txt' },
+        { ...file('three.jpg'), path: 'gallery', contentType: 'text/html' },
+        { ...file('four.jpg'), path: 'gallery/../secrets' },
+        { ...file('five.jpg'), providerId: 'missing' },
+        file('six.jpg')
+      ]);
+
+      expect(results.map(r => r.index)).toEqual([0, 1, 2, 3, 4, 5]);
+      expect(results[0]).toMatchObject({ provider: 'a', key: expect.stringMatching(/^gallery\/.*-one\.jpg$/) });
+      expect(results[1]).toEqual({ index: 1, status: 400, error: 'Invalid request: contentType is required', errors: [{ path: 'contentType', message: 'is required' }] });
+      expect(results[2]).toMatchObject({ status: 400, code: 'type_not_allowed', violations: [expect.objectContaining({ rule: 0 })] });
+      expect(results[3]).toMatchObject({ status: 500, error: 'Failed to generate upload URL: Path gallery/../secrets must not contain . or .. segments' });
+      expect(results[4].error).toBe('Failed to generate upload URL: Provider not found: missing');
+      expect(results[5].uploadUrl).toContain('six.jpg');
+    });
+
+    test('should keep a batch on the provider of its first signed item', async () => {
+      const results = await presigner.generateUploadUrls(
+        [{ filename: 'bad.jpg' }, file('1.jpg'), file('2.jpg'), file('3.jpg')],
+        { sameProvider: true }
+      );
+
+      expect(results[0].status).toBe(400);
+      expect(results.slice(1).map(r => r.provider)).toEqual(['a', 'a', 'a']);
+    });
+
+    test('should pin a batch to the given provider', async () => {
+      const results = await presigner.generateUploadUrls([
+        file('1.jpg'),
+        { ...file('2.jpg'), providerId: 'b' },
+        { ...file('3.jpg'), providerId: 'c' },
+        { ...file('4.jpg'), allowedProviders: ['a', 'c'] }
+      ], { providerId: 'b' });
+
+      expect(results.map(r => r.provider)).toEqual(['b', 'b', undefined, undefined]);
+      expect(results[2]).toMatchObject({ status: 400, errors: [{ path: 'providerId', message: 'must be b, the provider of the batch' }] });
+      expect(results[3]).toMatchObject({ status: 400, errors: [{ path: 'allowedProviders', message: 'must include b, the provider of the batch' }] });
+    });
+
+    test('should still apply the rate limit of the pinned provider to each item', async () => {
+      presigner = new MultiBucket({ providers: [s3Provider('a', { rateLimit: 1, burst: 2 }), s3Provider('b')] });
+
+      const results = await presigner.generateUploadUrls([file('1.jpg'), file('2.jpg'), file('3.jpg')], { providerId: 'a', concurrency: 1 });
+
+      expect(results.map(r => r.provider)).toEqual(['a', 'a', undefined]);
+      expect(results[2]).toMatchObject({ status: 429, error: 'Failed to generate upload URL: All storage providers are rate limited' });
+      expect(results[2].retryAfter).toBeGreaterThan(0);
+      expect(presigner.providerUsage.b.requestCount).toBe(0);
+    });
+
+    test('should not pin a batch to a provider whose circuit is open', async () => {
+      for (let i = 0; i < presigner.circuitBreaker.failureThreshold; i++) {
+        presigner.recordProviderFailure('b');
+      }
+
+      const results = await presigner.generateUploadUrls([file('1.jpg'), file('2.jpg')], { providerId: 'b' });
+
+      expect(results).toEqual([0, 1].map(index => ({
+        index,
+        status: 500,
+        error: 'Failed to generate upload URL: No healthy storage providers available'
+      })));
+    });
+
+    test('should sign with bounded concurrency', async () => {
+      let inFlight = 0;
+      let maxInFlight = 0;
+      presigner.generateUploadUrl = jest.fn(async options => {
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        await new Promise(resolve => setImmediate(resolve));
+        inFlight--;
+        return { key: options.filename };
+      });
+
+      const items = Array.from({ length: 25 }, (_, i) => file(`${i}.jpg`));
+      const results = await presigner.generateUploadUrls(items, { concurrency: 4 });
+
+      expect(maxInFlight).toBe(4);
+      expect(results.map(r => r.key)).toEqual(items.map(item => item.filename));
+    });
+
+    test('should reject invalid batches as a whole', async () => {
+      await expect(presigner.generateUploadUrls([])).rejects.toThrow('A batch needs a non-empty array of items');
+      await expect(presigner.generateUploadUrls([file('a.jpg'), null])).rejects.toThrow('Every batch item must be an object');
+      await expect(presigner.generateUploadUrls([file('a.jpg')], { concurrency: 0 })).rejects.toThrow('Batch concurrency must be a positive integer');
+    });
+  });
+
+  describe('generateReadUrls', () => {
+    test('should read each object from its own provider and report failures per item', async () => {
+      const uploads = await presigner.generateUploadUrls([file('1.jpg'), file('2.jpg')]);
+
+      const results = await presigner.generateReadUrls([
+        { key: uploads[0].key },
+        { key: 'never-uploaded.jpg' },
+        { key: uploads[1].key }
+      ]);
+
+      expect(results.map(r => r.provider)).toEqual(['a', undefined, 'b']);
+      expect(results[1]).toMatchObject({ index: 1, status: 500 });
+      expect(results[1].error).toMatch(/^Failed to generate read URL: Provider not found/);
+    });
+  });
+
+  describe('routes', () => {
+    let app;
+    let server;
+    let request;
+
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      ({ app, server } = presigner.createServer(0));
+      request = supertest(app);
+    });
+
+    afterEach(() => {
+      server.close();
+    });
+
+    test('should sign the valid items and report the invalid ones', async () => {
+      const response = await request.post('/generate-upload-urls').send({
+        items: [file('1.jpg'), { ...file('2.jpg'), size: -1 }, { ...file('3.jpg'), expiry: 0 }, file('4.jpg')],
+        sameProvider: true
+      });
+
+      expect(response.status).toBe(200);
+      expect(response.body.results.map(r => r.index)).toEqual([0, 1, 2, 3]);
+      expect(response.body.results.map(r => r.provider)).toEqual(['a', undefined, undefined, 'a']);
+      expect(response.body.results[1].errors).toEqual([{ path: 'size', message: 'must be a non-negative integer' }]);
+      expect(response.body.results[2]).toMatchObject({ status: 400, errors: [{ path: 'expiry', message: expect.stringMatching(/^must be an integer between 1 and /) }] });
+    });
+
+    test('should sign read URLs in a batch', async () => {
+      const uploaded = await presigner.generateUploadUrl(file('1.jpg'));
+
+      const response = await request.post('/generate-read-urls').send({ items: [{ key: uploaded.key }, { bucket: 'a-bucket' }] });
+
+      expect(response.status).toBe(200);
+      expect(response.body.results[0]).toMatchObject({ index: 0, provider: 'a' });
+      expect(response.body.results[1]).toMatchObject({ index: 1, status: 400, errors: [{ path: 'key', message: 'is required' }] });
+    });
+
+    test('should accept at most 500 items', async () => {
+      const items = Array.from({ length: 501 }, (_, i) => file(`${i}.jpg`));
+
+      const tooMany = await request.post('/generate-upload-urls').send({ items });
+      expect(tooMany.status).toBe(400);
+      expect(tooMany.body.errors).toEqual([{ path: 'items', message: 'must be an array of 1 to 500 objects' }]);
+
+      expect((await request.post('/generate-read-urls').send({ items: [] })).status).toBe(400);
+      expect((await request.post('/generate-upload-urls').send({ items: items.slice(0, 500) })).body.results).toHaveLength(500);
+    });
+
+    test('should check the batch options', async () => {
+      const response = await request.post('/generate-upload-urls').send({ items: [file('1.jpg')], sameProvider: 'yes' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.errors).toEqual([{ path: 'sameProvider', message: 'must be a boolean' }]);
+    });
+  });
+});
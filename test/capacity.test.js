@@ -0,0 +1,171 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const supertest = require('supertest');
+const MultiBucket = require('../index');
+const { s3Provider } = require('./helpers');
+
+const upload = (presigner, options = {}) => presigner.generateUploadUrl({ filename: 'a.bin', contentType: 'application/octet-stream', ...options });
+
+describe('capacity', () => {
+  let presigner;
+
+  beforeEach(() => {
+    presigner = new MultiBucket({
+      providers: [s3Provider('small', { maxBytes: 1000 }), s3Provider('large', { maxBytes: 10000 })],
+      loadBalanceStrategy: 'round-robin'
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should reserve the declared size of issued uploads and count confirmed objects', async () => {
+    const result = await upload(presigner, { size: 400, providerId: 'small' });
+
+    expect(presigner.getCapacityStats(presigner.providers[0])).toMatchObject({
+      usedBytes: 0,
+      pendingBytes: 400,
+      pendingObjects: 1,
+      utilization: 0.4,
+      acceptingUploads: true
+    });
+
+    presigner.headObject = jest.fn().mockResolvedValue({ ContentLength: 400, ContentType: 'application/octet-stream' });
+    await presigner.confirmUpload({ key: result.key });
+
+    expect(presigner.getCapacityStats(presigner.providers[0])).toMatchObject({
+      usedBytes: 400,
+      usedObjects: 1,
+      pendingBytes: 0,
+      pendingObjects: 0
+    });
+  });
+
+  test('should count a confirmed object once when its confirmation is repeated', async () => {
+    const result = await upload(presigner, { size: 100, providerId: 'small' });
+    presigner.headObject = jest.fn().mockResolvedValue({ ContentLength: 100, ContentType: 'application/octet-stream' });
+
+    for (let i = 0; i < 3; i++) {
+      expect((await presigner.confirmUpload({ key: result.key })).confirmed).toBe(true);
+    }
+
+    expect(presigner.headObject).toHaveBeenCalledTimes(3);
+    expect(presigner.getCapacityStats(presigner.providers[0])).toMatchObject({
+      usedBytes: 100,
+      usedObjects: 1,
+      pendingBytes: 0,
+      pendingObjects: 0
+    });
+  });
+
+  test('should skip providers that would go over their high-water mark', async () => {
+    presigner.recordStoredObject('small', 850);
+
+    // 850 + 100 is above 90% of 1000, while smaller uploads still fit
+    const results = await Promise.all([upload(presigner, { size: 100 }), upload(presigner, { size: 100 })]);
+
+    expect(results.map(r => r.provider)).toEqual(['large', 'large']);
+    expect(presigner.hasFreeCapacity(presigner.providers[0], 100)).toBe(false);
+    expect(presigner.hasFreeCapacity(presigner.providers[0], 50)).toBe(true);
+  });
+
+  test('should use the high-water mark of the provider over the global one', () => {
+    presigner.providers[0].highWaterMark = 0.5;
+    presigner.recordStoredObject('small', 450);
+
+    expect(presigner.hasFreeCapacity(presigner.providers[0], 40)).toBe(true);
+    expect(presigner.hasFreeCapacity(presigner.providers[0], 60)).toBe(false);
+  });
+
+  test('should count objects against maxObjects', () => {
+    presigner.updateConfig({ providers: [{ id: 'small', maxObjects: 10 }] });
+    for (let i = 0; i < 8; i++) {
+      presigner.recordStoredObject('small', 0);
+    }
+
+    expect(presigner.hasFreeCapacity(presigner.providers[0])).toBe(true);
+    presigner.reserveCapacity('small', 0);
+    expect(presigner.hasFreeCapacity(presigner.providers[0])).toBe(false);
+  });
+
+  test('should fail when no provider has room', async () => {
+    presigner.recordStoredObject('small', 1000);
+    presigner.recordStoredObject('large', 10000);
+
+    await expect(upload(presigner)).rejects.toThrow('No storage providers with free capacity available');
+  });
+
+  test('should pick the provider with the most free space', () => {
+    presigner = new MultiBucket({
+      providers: [s3Provider('a', { maxBytes: 1000 }), s3Provider('b', { maxBytes: 2000 }), s3Provider('c', { maxBytes: 2000 })],
+      loadBalanceStrategy: 'most-free-space'
+    });
+    presigner.recordStoredObject('b', 500);
+
+    expect(presigner.getStorageProvider().id).toBe('c');
+
+    // Ties go to the provider with less recent traffic; c was just selected once
+    presigner.recordStoredObject('c', 500);
+    presigner.providerUsage.b.recent.record('requests');
+    presigner.providerUsage.b.recent.record('requests');
+    expect(presigner.getStorageProvider().id).toBe('c');
+  });
+
+  describe('reconcile', () => {
+    test('should replace tracked usage with a paginated bucket listing', async () => {
+      const send = jest.fn()
+        .mockResolvedValueOnce({ Contents: [{ Size: 100 }, { Size: 200 }], IsTruncated: true, NextContinuationToken: 'next' })
+        .mockResolvedValueOnce({ Contents: [{ Size: 50 }], IsTruncated: false });
+      presigner.getClient(presigner.providers[1]).send = send;
+      presigner.recordStoredObject('large', 9999);
+
+      const result = await presigner.reconcileProviderUsage('large');
+
+      expect(result).toMatchObject({ provider: 'large', usedBytes: 350, usedObjects: 3 });
+      expect(send.mock.calls[1][0].input).toEqual({ Bucket: 'large-bucket', ContinuationToken: 'next' });
+      expect(presigner.getCapacityStats(presigner.providers[1]).reconciledAt).toBe(result.reconciledAt);
+    });
+
+    test('should count a failed listing against the provider', async () => {
+      presigner.getClient(presigner.providers[1]).send = jest.fn().mockRejectedValue(new Error('AccessDenied'));
+
+      await expect(presigner.reconcileProviderUsage('large')).rejects.toThrow('Failed to reconcile usage: AccessDenied');
+      expect(presigner.providerUsage.large.consecutiveFailures).toBe(1);
+      await expect(presigner.reconcileProviderUsage('missing')).rejects.toThrow('Provider not found: missing');
+    });
+
+    test('should walk the directory of a local provider, without its metadata', async () => {
+      const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'multibucket-capacity-'));
+
+      try {
+        fs.mkdirSync(path.join(directory, 'files', 'nested'), { recursive: true });
+        fs.mkdirSync(path.join(directory, '.multibucket-meta', 'files'), { recursive: true });
+        fs.writeFileSync(path.join(directory, 'files', 'a.txt'), 'abc');
+        fs.writeFileSync(path.join(directory, 'files', 'nested', 'b.txt'), 'defgh');
+        fs.writeFileSync(path.join(directory, '.multibucket-meta', 'files', 'a.txt.json'), '{}');
+        presigner = new MultiBucket({ providers: [{ id: 'disk', type: 'local', directory, bucket: 'files' }] });
+
+        expect(await presigner.reconcileProviderUsage('disk')).toMatchObject({ usedBytes: 8, usedObjects: 2 });
+      } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+      }
+    });
+
+    test('should reconcile through the route', async () => {
+      presigner.getClient(presigner.providers[0]).send = jest.fn().mockResolvedValue({ Contents: [{ Size: 10 }] });
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      const { app, server } = presigner.createServer(0);
+
+      try {
+        const response = await supertest(app).post('/reconcile-usage').send({ providerId: 'small' });
+
+        expect(response.status).toBe(200);
+        expect(response.body).toEqual([expect.objectContaining({ provider: 'small', usedBytes: 10, usedObjects: 1 })]);
+      } finally {
+        server.close();
+      }
+    });
+  });
+});
@@ -0,0 +1,129 @@
+const MultiBucket = require('../index');
+const { s3Provider } = require('./helpers');
+
+describe('provider health and circuit breaker', () => {
+  let presigner;
+  let now;
+
+  const pick = count => Array.from({ length: count }, () => presigner.getStorageProvider().id);
+
+  beforeEach(() => {
+    now = 1700000000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+
+    presigner = new MultiBucket({
+      providers: [s3Provider('a'), s3Provider('b'), s3Provider('c')],
+      loadBalanceStrategy: 'round-robin',
+      circuitBreaker: { failureThreshold: 2, cooldown: 1000 }
+    });
+  });
+
+  afterEach(() => {
+    Date.now.mockRestore();
+  });
+
+  test('should degrade a provider, then open its circuit at the failure threshold', () => {
+    const events = [];
+    presigner.on('providerError', event => events.push(event));
+
+    presigner.recordProviderFailure('b', new Error('timeout'));
+    expect(presigner.providerUsage.b.health).toBe('degraded');
+    expect(presigner.isProviderAvailable(presigner.providers[1])).toBe(true);
+
+    presigner.recordProviderFailure('b', new Error('timeout'));
+    expect(presigner.providerUsage.b.health).toBe('open');
+    expect(presigner.isProviderAvailable(presigner.providers[1])).toBe(false);
+
+    expect(events.map(event => event.health)).toEqual(['degraded', 'open']);
+    expect(events[1]).toMatchObject({ provider: 'b', consecutiveFailures: 2 });
+  });
+
+  test('should keep the round-robin rotation stable while a circuit is open', () => {
+    expect(pick(3)).toEqual(['a', 'b', 'c']);
+
+    presigner.recordProviderFailure('b');
+    presigner.recordProviderFailure('b');
+    expect(pick(4)).toEqual(['a', 'c', 'a', 'c']);
+
+    // Once b is healthy again it takes its old place in the rotation
+    presigner.recordProviderSuccess('b');
+    expect(pick(3)).toEqual(['a', 'b', 'c']);
+  });
+
+  test('should send a single trial request to a provider after its cooldown', () => {
+    presigner.recordProviderFailure('a');
+    presigner.recordProviderFailure('a');
+    expect(pick(2)).toEqual(['b', 'c']);
+
+    now += 1000;
+    expect(pick(1)).toEqual(['a']);
+    expect(presigner.providerUsage.a.health).toBe('half-open');
+
+    // While the trial is pending, a gets no other request
+    expect(pick(3)).toEqual(['b', 'c', 'b']);
+
+    presigner.recordProviderSuccess('a');
+    expect(presigner.providerUsage.a.health).toBe('healthy');
+    expect(pick(3)).toEqual(['c', 'a', 'b']);
+  });
+
+  test('should open the circuit again when the trial request fails', () => {
+    presigner.recordProviderFailure('a');
+    presigner.recordProviderFailure('a');
+    now += 1000;
+    presigner.startProviderTrial(presigner.providers[0]);
+
+    presigner.recordProviderFailure('a');
+
+    expect(presigner.providerUsage.a.health).toBe('open');
+    expect(presigner.providerUsage.a.circuitOpenedAt).toBe(now);
+    expect(presigner.isProviderAvailable(presigner.providers[0])).toBe(false);
+  });
+
+  test('should allow a new trial when the outcome of the last one is never recorded', () => {
+    presigner.recordProviderFailure('a');
+    presigner.recordProviderFailure('a');
+    now += 1000;
+    presigner.startProviderTrial(presigner.providers[0]);
+    expect(presigner.isProviderAvailable(presigner.providers[0])).toBe(false);
+
+    now += 1000;
+    expect(presigner.isProviderAvailable(presigner.providers[0])).toBe(true);
+  });
+
+  test('should fail when every circuit is open', () => {
+    ['a', 'b', 'c'].forEach(id => {
+      presigner.recordProviderFailure(id);
+      presigner.recordProviderFailure(id);
+    });
+
+    expect(() => presigner.getStorageProvider()).toThrow('No healthy storage providers available');
+  });
+
+  test('should close the circuit of a provider that signs a URL', async () => {
+    presigner.recordProviderFailure('a');
+    presigner.recordProviderFailure('a');
+    now += 1000;
+
+    const result = await presigner.generateUploadUrl({ filename: 'a.txt', contentType: 'text/plain' });
+
+    expect(result.provider).toBe('a');
+    expect(presigner.providerUsage.a.health).toBe('healthy');
+    expect(presigner.providerUsage.a.consecutiveFailures).toBe(0);
+  });
+
+  test('should update the health of probed providers', async () => {
+    const send = jest.fn()
+      .mockRejectedValueOnce(new Error('connection refused'))
+      .mockResolvedValue({});
+    presigner.getClient(presigner.providers[0]).send = send;
+
+    await expect(presigner.probeProvider(presigner.providers[0])).resolves.toBe(false);
+    expect(presigner.providerUsage.a.health).toBe('degraded');
+    expect(presigner.providerUsage.a.lastError).toBe('connection refused');
+
+    await expect(presigner.probeProvider(presigner.providers[0])).resolves.toBe(true);
+    expect(presigner.providerUsage.a.health).toBe('healthy');
+    expect(send.mock.calls[0][0].constructor.name).toBe('HeadBucketCommand');
+  });
+});
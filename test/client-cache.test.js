@@ -0,0 +1,93 @@
+const { HeadBucketCommand } = require('@aws-sdk/client-s3');
+const MultiBucket = require('../index');
+const { s3Provider } = require('./helpers');
+
+// Answer the client's requests locally, holding each one until release is called
+const holdRequests = client => {
+  const releases = [];
+  client.middlewareStack.add(() => () => new Promise(resolve => {
+    releases.push(() => resolve({ output: { $metadata: {} }, response: {} }));
+  }), { step: 'build', name: 'heldRequest' });
+  return () => releases.splice(0).forEach(release => release());
+};
+
+describe('client cache', () => {
+  let presigner;
+
+  beforeEach(() => {
+    presigner = new MultiBucket({ providers: [s3Provider('a'), s3Provider('b')] });
+  });
+
+  test('should reuse the client of a provider', async () => {
+    const client = presigner.getClient(presigner.providers[0]);
+
+    await presigner.generateUploadUrl({ filename: 'a.txt', contentType: 'text/plain', providerId: 'a' });
+    await presigner.generateReadUrl({ key: 'a.txt', providerId: 'a' });
+
+    expect(presigner.getClient(presigner.providers[0])).toBe(client);
+    expect(presigner.getClient(presigner.providers[1])).not.toBe(client);
+  });
+
+  test('should keep the client when only non-connection fields change', () => {
+    const client = presigner.getClient(presigner.providers[0]);
+    const destroy = jest.spyOn(client, 'destroy');
+
+    presigner.updateConfig({ providers: [s3Provider('a', { weight: 5, publicUrlBase: 'https://cdn.example.com' })] });
+
+    expect(presigner.getClient(presigner.providers[0])).toBe(client);
+    expect(destroy).not.toHaveBeenCalled();
+  });
+
+  test('should replace and destroy the client when the credentials change', () => {
+    const client = presigner.getClient(presigner.providers[0]);
+    const destroy = jest.spyOn(client, 'destroy');
+
+    presigner.updateConfig({ providers: [s3Provider('a', { secretAccessKey: 'rotated-secret-key' })] });
+
+    const replacement = presigner.getClient(presigner.providers[0]);
+    expect(replacement).not.toBe(client);
+    expect(destroy).toHaveBeenCalledTimes(1);
+  });
+
+  test('should rebuild the client of a provider changed outside updateConfig', () => {
+    const client = presigner.getClient(presigner.providers[0]);
+    const destroy = jest.spyOn(client, 'destroy');
+
+    presigner.providers[0].region = 'eu-west-1';
+
+    expect(presigner.getClient(presigner.providers[0])).not.toBe(client);
+    expect(destroy).toHaveBeenCalledTimes(1);
+  });
+
+  test('should destroy the clients of removed providers', () => {
+    const client = presigner.getClient(presigner.providers[1]);
+    const destroy = jest.spyOn(client, 'destroy');
+
+    presigner.updateConfig({ providers: [s3Provider('a')], removeStaleProviders: true });
+
+    expect(presigner.providers.map(p => p.id)).toEqual(['a']);
+    expect(presigner.clients.has('b')).toBe(false);
+    expect(destroy).toHaveBeenCalledTimes(1);
+  });
+
+  test('should only destroy a disposed client once its requests have settled', async () => {
+    const client = presigner.getClient(presigner.providers[0]);
+    const release = holdRequests(client);
+    const destroy = jest.spyOn(client, 'destroy');
+
+    const requests = [
+      client.send(new HeadBucketCommand({ Bucket: 'a-bucket' })),
+      client.send(new HeadBucketCommand({ Bucket: 'a-bucket' }))
+    ];
+    await new Promise(resolve => setImmediate(resolve));
+    expect(presigner.clients.get('a').pending).toBe(2);
+
+    presigner.disposeClient('a');
+    expect(destroy).not.toHaveBeenCalled();
+    expect(presigner.clients.has('a')).toBe(false);
+
+    release();
+    await Promise.all(requests);
+    expect(destroy).toHaveBeenCalledTimes(1);
+  });
+});
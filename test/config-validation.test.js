@@ -0,0 +1,164 @@
+const supertest = require('supertest');
+const MultiBucket = require('../index');
+const { s3Provider } = require('./helpers');
+
+describe('configuration validation', () => {
+  let error;
+
+  beforeEach(() => {
+    error = jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete process.env.MULTIBUCKET_TEST_SECRET;
+  });
+
+  test('should reject unknown and invalid constructor options', () => {
+    expect(() => new MultiBucket({ providers: [], defaultExpiry: 0, loadBalancing: 'random' }))
+      .toThrow('Invalid options: defaultExpiry must be an integer between 1 and 604800; loadBalancing is not a known field');
+    expect(() => new MultiBucket({ providers: [], circuitBreaker: { failureThreshold: -1 } }))
+      .toThrow('Invalid options: circuitBreaker.failureThreshold must be a positive integer');
+    expect(() => new MultiBucket({ providers: [], rateLimitPolicy: { mode: 'queue' } }))
+      .toThrow('Invalid options: rateLimitPolicy.mode must be overflow, wait or fail');
+  });
+
+  test('should replace environment variable references', () => {
+    process.env.MULTIBUCKET_TEST_SECRET = 'secret-from-env';
+    const presigner = new MultiBucket({
+      providers: [s3Provider('a', { secretAccessKey: '${MULTIBUCKET_TEST_SECRET}' })]
+    });
+
+    expect(presigner.providers[0].secretAccessKey).toBe('secret-from-env');
+  });
+
+  test('should reject a provider referencing an unset environment variable', () => {
+    const presigner = new MultiBucket({
+      providers: [s3Provider('a', { secretAccessKey: '${MULTIBUCKET_TEST_SECRET}' }), s3Provider('b')]
+    });
+
+    expect(presigner.providers.map(p => p.id)).toEqual(['b']);
+    expect(presigner.configErrors).toEqual([
+      { path: 'providers[0].secretAccessKey', message: 'environment variable MULTIBUCKET_TEST_SECRET is not set' }
+    ]);
+  });
+
+  test('should report invalid fields by path and apply the valid rest', () => {
+    const presigner = new MultiBucket({ providers: [s3Provider('a')] });
+    const configError = jest.fn();
+    presigner.on('configError', configError);
+
+    const result = presigner.updateConfig({
+      defaultExpiry: 'soon',
+      loadBalanceStrategy: 'fastest',
+      keyTemplate: '{path}/{uuid}',
+      providers: [
+        s3Provider('b', { weight: -1, bukcet: 'typo' }),
+        s3Provider('c'),
+        s3Provider('c')
+      ]
+    });
+
+    expect(result.applied).toEqual(['c']);
+    expect(result.errors).toEqual([
+      { path: 'defaultExpiry', message: 'must be an integer between 1 and 604800' },
+      { path: 'loadBalanceStrategy', message: 'is not a known strategy: fastest' },
+      { path: 'providers[0].weight', message: 'must be a non-negative number' },
+      { path: 'providers[0].bukcet', message: 'is not a known provider field' },
+      { path: 'providers[2].id', message: 'duplicate provider ID c' }
+    ]);
+    expect(presigner.defaultExpiry).toBe(3600);
+    expect(presigner.loadBalanceStrategy).toBe('round-robin');
+    expect(presigner.keyTemplate).toBe('{path}/{uuid}');
+    expect(presigner.providers.map(p => p.id)).toEqual(['a', 'c']);
+    expect(configError).toHaveBeenCalledWith({ errors: result.errors });
+    expect(error).toHaveBeenCalledWith('Invalid configuration at loadBalanceStrategy: is not a known strategy: fastest');
+  });
+
+  test('should keep the previous configuration of a provider whose update is invalid', () => {
+    const presigner = new MultiBucket({ providers: [s3Provider('a')] });
+
+    presigner.updateConfig({ providers: [{ id: 'a', region: 42 }] });
+    expect(presigner.providers[0].region).toBe('us-east-1');
+
+    presigner.updateConfig({ providers: [{ id: 'a', region: 'eu-west-1' }] });
+    expect(presigner.providers[0]).toMatchObject({ region: 'eu-west-1', bucket: 'a-bucket' });
+  });
+
+  test('should reject rate limits that are not finite', () => {
+    const presigner = new MultiBucket({ providers: [s3Provider('a')] });
+
+    const { errors } = presigner.updateConfig({ providers: [{ id: 'a', rateLimit: Infinity }, s3Provider('b', { rateLimit: 'fast' })] });
+
+    expect(errors).toEqual([
+      { path: 'providers[0].rateLimit', message: 'must be a positive number' },
+      { path: 'providers[1].rateLimit', message: 'must be a positive number' }
+    ]);
+    expect(presigner.providers.map(p => p.id)).toEqual(['a']);
+  });
+
+  test('should forget the usage of removed providers', () => {
+    const presigner = new MultiBucket({ providers: [s3Provider('a'), s3Provider('b')] });
+    presigner.providerUsage.b.requestCount = 5;
+
+    const { errors } = presigner.updateConfig({ providers: [{ id: 'a' }], removeStaleProviders: true });
+
+    expect(errors).toEqual([]);
+    expect(Object.keys(presigner.providerUsage)).toEqual(['a']);
+    expect(presigner.getStats().totalRequests).toBe(0);
+  });
+
+  test('should reject a configuration that is not an object', () => {
+    const presigner = new MultiBucket({ providers: [s3Provider('a')] });
+
+    expect(presigner.updateConfig([])).toEqual({ applied: [], errors: [{ path: '', message: 'configuration must be an object' }] });
+    expect(presigner.updateConfig({ providers: {} }).errors).toEqual([{ path: 'providers', message: 'must be an array' }]);
+    expect(presigner.configReloads.failure).toBe(2);
+  });
+
+  describe('request bodies', () => {
+    let presigner;
+    let app;
+    let server;
+
+    beforeEach(() => {
+      presigner = new MultiBucket({ providers: [s3Provider('a')] });
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      ({ app, server } = presigner.createServer(0));
+    });
+
+    afterEach(() => {
+      server.close();
+    });
+
+    test('should answer 400 with every invalid field', async () => {
+      const response = await supertest(app).post('/generate-upload-url').send({ contentType: 7, expiry: 0, size: -1 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.errors).toEqual([
+        { path: 'filename', message: 'is required' },
+        { path: 'contentType', message: 'must be a non-empty string' },
+        { path: 'expiry', message: 'must be an integer between 1 and 604800' },
+        { path: 'size', message: 'must be a non-negative integer' }
+      ]);
+      expect(response.body.error).toBe('Invalid request: filename is required; contentType must be a non-empty string; expiry must be an integer between 1 and 604800; size must be a non-negative integer');
+    });
+
+    test('should validate before signing anything', async () => {
+      const generateReadUrl = jest.spyOn(presigner, 'generateReadUrl');
+
+      const response = await supertest(app).post('/generate-read-url').send({ key: 'a.txt', failover: 'yes', candidates: 'a' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.errors.map(e => e.path)).toEqual(['failover', 'candidates']);
+      expect(generateReadUrl).not.toHaveBeenCalled();
+    });
+
+    test('should reject a body that is not an object', async () => {
+      const response = await supertest(app).post('/confirm-upload').set('Content-Type', 'application/json').send('[1]');
+
+      expect(response.status).toBe(400);
+      expect(response.body.errors).toEqual([{ path: '', message: 'must be an object' }]);
+    });
+  });
+});
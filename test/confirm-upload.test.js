@@ -0,0 +1,133 @@
+const supertest = require('supertest');
+const MultiBucket = require('../index');
+const { s3Provider } = require('./helpers');
+
+const CHECKSUM = 'n4bQgYhMfWWaL+qgxVrQFaO/TxsrC4Is0V1sFbDwCgg=';
+
+describe('upload confirmation', () => {
+  let presigner;
+
+  beforeEach(() => {
+    presigner = new MultiBucket({ providers: [s3Provider('s3-main')] });
+  });
+
+  test('should confirm an upload matching what was declared', async () => {
+    const upload = await presigner.generateUploadUrl({ filename: 'a.txt', contentType: 'text/plain', size: '4', checksumSHA256: CHECKSUM });
+    presigner.headObject = jest.fn().mockResolvedValue({
+      ContentLength: 4,
+      ContentType: 'text/plain',
+      ETag: '"etag"',
+      ChecksumSHA256: CHECKSUM,
+      LastModified: new Date('2024-01-01T00:00:00Z')
+    });
+
+    const result = await presigner.confirmUpload({ key: upload.key });
+
+    expect(presigner.headObject).toHaveBeenCalledWith(presigner.providers[0], upload.key, { checksum: true });
+    expect(result).toMatchObject({
+      confirmed: true,
+      exists: true,
+      mismatches: [],
+      provider: 's3-main',
+      size: 4,
+      etag: '"etag"',
+      lastModified: '2024-01-01T00:00:00.000Z'
+    });
+    expect(presigner.pendingUploads.has(upload.key)).toBe(false);
+
+    const capacity = presigner.providerUsage['s3-main'].capacity;
+    expect(capacity).toMatchObject({ usedBytes: 4, usedObjects: 1, pendingBytes: 0, pendingObjects: 0 });
+  });
+
+  test('should report every mismatch and count the failed confirmation', async () => {
+    const upload = await presigner.generateUploadUrl({ filename: 'a.txt', contentType: 'text/plain', size: 4 });
+    presigner.headObject = jest.fn().mockResolvedValue({ ContentLength: 5000, ContentType: 'text/html' });
+
+    const result = await presigner.confirmUpload({ key: upload.key });
+
+    expect(result.confirmed).toBe(false);
+    expect(result.mismatches).toEqual([
+      { field: 'size', expected: 4, actual: 5000 },
+      { field: 'contentType', expected: 'text/plain', actual: 'text/html' }
+    ]);
+    expect(presigner.providerUsage['s3-main'].failedConfirmations).toBe(1);
+    expect(presigner.pendingUploads.has(upload.key)).toBe(true);
+  });
+
+  test('should report a missing object without failing', async () => {
+    const upload = await presigner.generateUploadUrl({ filename: 'a.txt', contentType: 'text/plain' });
+    const notFound = Object.assign(new Error('NotFound'), { name: 'NotFound', $metadata: { httpStatusCode: 404 } });
+    presigner.headObject = jest.fn().mockRejectedValue(notFound);
+
+    const result = await presigner.confirmUpload({ key: upload.key });
+
+    expect(result).toMatchObject({ confirmed: false, exists: false, size: null });
+    expect(presigner.providerUsage['s3-main'].health).toBe('healthy');
+  });
+
+  test('should count provider errors against the provider', async () => {
+    const upload = await presigner.generateUploadUrl({ filename: 'a.txt', contentType: 'text/plain' });
+    presigner.headObject = jest.fn().mockRejectedValue(new Error('socket hang up'));
+
+    await expect(presigner.confirmUpload({ key: upload.key })).rejects.toThrow('Failed to confirm upload: socket hang up');
+    expect(presigner.providerUsage['s3-main'].consecutiveFailures).toBe(1);
+  });
+
+  test('should store declared sizes as numbers', async () => {
+    const upload = await presigner.generateUploadUrl({ filename: 'a.txt', contentType: 'text/plain', size: '1024' });
+
+    expect(presigner.pendingUploads.get(upload.key).size).toBe(1024);
+    expect(presigner.providerUsage['s3-main'].capacity.pendingBytes).toBe(1024);
+  });
+
+  test('should sweep every expired pending upload', () => {
+    const now = Date.now();
+    presigner.trackPendingUpload('live', { providerId: 's3-main', size: 1, expiresAt: now + 60000 });
+    presigner.trackPendingUpload('expired-1', { providerId: 's3-main', size: 2, expiresAt: now - 1 });
+    presigner.trackPendingUpload('expired-2', { providerId: 's3-main', size: 4, expiresAt: now - 1 });
+
+    presigner.sweepExpiredUploads(true);
+
+    expect([...presigner.pendingUploads.keys()]).toEqual(['live']);
+    expect(presigner.providerUsage['s3-main'].capacity.pendingBytes).toBe(1);
+  });
+
+  describe('POST /confirm-upload', () => {
+    let server;
+    let request;
+
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      const created = presigner.createServer(0);
+      server = created.server;
+      request = supertest(created.app);
+    });
+
+    afterEach(() => {
+      server.close();
+      console.log.mockRestore();
+    });
+
+    test('should answer 200 when confirmed and 422 otherwise', async () => {
+      const upload = await presigner.generateUploadUrl({ filename: 'a.txt', contentType: 'text/plain', size: 4 });
+      presigner.headObject = jest.fn()
+        .mockResolvedValueOnce({ ContentLength: 3, ContentType: 'text/plain' })
+        .mockResolvedValueOnce({ ContentLength: 4, ContentType: 'text/plain' });
+
+      const mismatch = await request.post('/confirm-upload').send({ key: upload.key });
+      expect(mismatch.status).toBe(422);
+      expect(mismatch.body.mismatches).toEqual([{ field: 'size', expected: 4, actual: 3 }]);
+
+      const confirmed = await request.post('/confirm-upload').send({ key: upload.key });
+      expect(confirmed.status).toBe(200);
+      expect(confirmed.body.confirmed).toBe(true);
+    });
+
+    test('should answer 400 without a key', async () => {
+      const response = await request.post('/confirm-upload').send({});
+
+      expect(response.status).toBe(400);
+      expect(response.body.errors).toEqual([{ path: 'key', message: 'is required' }]);
+    });
+  });
+});
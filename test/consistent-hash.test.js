@@ -0,0 +1,82 @@
+const MultiBucket = require('../index');
+const { s3Provider } = require('./helpers');
+
+const ROUTING_KEYS = Array.from({ length: 300 }, (_, i) => `tenant-${i}`);
+
+describe('consistent-hash strategy', () => {
+  let presigner;
+
+  // Provider chosen for every routing key
+  const route = () => Object.fromEntries(ROUTING_KEYS.map(routingKey => [
+    routingKey,
+    presigner.getStorageProvider({ routingKey }).id
+  ]));
+
+  beforeEach(() => {
+    presigner = new MultiBucket({
+      providers: [s3Provider('a'), s3Provider('b'), s3Provider('c')],
+      loadBalanceStrategy: 'consistent-hash'
+    });
+  });
+
+  test('should send a routing key to the same provider every time', () => {
+    const first = route();
+
+    expect(route()).toEqual(first);
+    expect(new Set(Object.values(first))).toEqual(new Set(['a', 'b', 'c']));
+  });
+
+  test('should route by path when there is no routing key', () => {
+    const byPath = presigner.getStorageProvider({ path: 'tenant-7' });
+    const byKey = presigner.getStorageProvider({ routingKey: 'tenant-7' });
+
+    expect(byPath.id).toBe(byKey.id);
+  });
+
+  test('should only move the keys of a provider whose circuit opens', () => {
+    const before = route();
+
+    for (let i = 0; i < presigner.circuitBreaker.failureThreshold; i++) {
+      presigner.recordProviderFailure('b');
+    }
+    expect(presigner.providerUsage.b.health).toBe('open');
+
+    const during = route();
+    ROUTING_KEYS.forEach(routingKey => {
+      if (before[routingKey] === 'b') {
+        expect(during[routingKey]).not.toBe('b');
+      } else {
+        expect(during[routingKey]).toBe(before[routingKey]);
+      }
+    });
+
+    // The keys go back to b once it recovers
+    presigner.recordProviderSuccess('b');
+    expect(route()).toEqual(before);
+  });
+
+  test('should only move about a share of the keys when a provider is added', () => {
+    const before = route();
+
+    presigner.updateConfig({ providers: [...presigner.providers, s3Provider('d')] });
+    const after = route();
+
+    const moved = ROUTING_KEYS.filter(routingKey => after[routingKey] !== before[routingKey]);
+    moved.forEach(routingKey => expect(after[routingKey]).toBe('d'));
+    expect(moved.length).toBeGreaterThan(ROUTING_KEYS.length * 0.1);
+    expect(moved.length).toBeLessThan(ROUTING_KEYS.length * 0.4);
+  });
+
+  test('should give weighted providers more points on the ring', () => {
+    presigner = new MultiBucket({
+      providers: [s3Provider('a', { weight: 3 }), s3Provider('b')],
+      loadBalanceStrategy: 'consistent-hash',
+      virtualNodes: 50
+    });
+
+    const points = presigner.getHashRing();
+    expect(points.filter(point => point.providerId === 'a')).toHaveLength(150);
+    expect(points.filter(point => point.providerId === 'b')).toHaveLength(50);
+    expect(points.map(point => point.position)).toEqual([...points.map(point => point.position)].sort((x, y) => x - y));
+  });
+});
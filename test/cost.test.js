@@ -0,0 +1,96 @@
+const MultiBucket = require('../index');
+const { s3Provider } = require('./helpers');
+
+const GB = 1024 * 1024 * 1024;
+const MONTH = 730 * 60 * 60 * 1000;
+const START = Date.parse('2024-01-01T00:00:00Z');
+
+describe('cost', () => {
+  let presigner;
+  let now;
+
+  beforeEach(() => {
+    now = START;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    presigner = new MultiBucket({
+      providers: [
+        s3Provider('unpriced'),
+        s3Provider('aws', { pricing: { storagePerGBMonth: 0.023, egressPerGB: 0.09, perPut: 0.000005, perGet: 0.0000004 } }),
+        s3Provider('free-egress', { pricing: { storagePerGBMonth: 0.015, egressPerGB: 0, perPut: 0.0000045, perGet: 0.00000036 } }),
+        s3Provider('cold', { pricing: { storagePerGBMonth: 0.006, egressPerGB: 0.01, perPut: 0, perGet: 0.000004, currency: 'EUR' } })
+      ],
+      loadBalanceStrategy: 'lowest-cost'
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const byId = id => presigner.providers.find(p => p.id === id);
+
+  test('should estimate the cost of storing and serving an object', () => {
+    expect(presigner.estimateObjectCost(byId('aws'), { size: GB, expectedReads: 10, retentionMonths: 2 }))
+      .toBeCloseTo(0.000005 + 0.023 * 2 + 10 * (0.0000004 + 0.09), 10);
+    expect(presigner.estimateObjectCost(byId('aws'))).toBeCloseTo(0.000005 + 0.0000004, 10);
+    expect(presigner.estimateObjectCost(byId('unpriced'), { size: GB })).toBe(Infinity);
+  });
+
+  test('should route each upload to the provider cheapest for its hints', () => {
+    expect(presigner.getStorageProvider({ size: GB, expectedReads: 100 }).id).toBe('free-egress');
+    expect(presigner.getStorageProvider({ size: GB, expectedReads: 0, retentionMonths: 12 }).id).toBe('cold');
+  });
+
+  test('should break ties by recent traffic and use unpriced providers as a last resort', () => {
+    presigner.updateConfig({ providers: [{ id: 'cold', pricing: { storagePerGBMonth: 0.015, egressPerGB: 0, perPut: 0.0000045, perGet: 0.00000036 } }] });
+
+    expect(presigner.getStorageProvider({ size: GB }).id).toBe('free-egress');
+    expect(presigner.getStorageProvider({ size: GB }).id).toBe('cold');
+
+    expect(presigner.getStorageProvider({ allowedProviders: ['unpriced', 'aws'] }).id).toBe('aws');
+    expect(presigner.getStorageProvider({ allowedProviders: ['unpriced'] }).id).toBe('unpriced');
+  });
+
+  test('should accrue storage over time and price requests and egress', async () => {
+    presigner.recordStoredObject('aws', GB);
+
+    now = START + MONTH / 2;
+    await presigner.generateReadUrl({ key: 'a.bin', providerId: 'aws', size: 2 * GB });
+
+    expect(presigner.getSpendStats(byId('aws'))).toEqual({
+      currency: 'USD',
+      storage: Number((0.5 * 0.023).toFixed(6)),
+      egress: Number((2 * 0.09).toFixed(6)),
+      requests: Number((0.000005 + 0.0000004).toFixed(6)),
+      total: Number((0.5 * 0.023 + 2 * 0.09 + 0.000005 + 0.0000004).toFixed(6)),
+      monthlyStorageRate: 0.023
+    });
+    expect(presigner.getSpendStats(byId('unpriced'))).toBeNull();
+  });
+
+  test('should assume the average object size for reads without a size hint', async () => {
+    presigner.recordStoredObject('cold', GB);
+    presigner.recordStoredObject('cold', 3 * GB);
+
+    await presigner.generateReadUrl({ key: 'a.bin', providerId: 'cold' });
+
+    expect(presigner.providerUsage.cold.spend).toMatchObject({ gets: 1, egressBytes: 2 * GB, puts: 2 });
+    expect(presigner.getSpendStats(byId('cold')).currency).toBe('EUR');
+  });
+
+  test('should reject invalid pricing blocks', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const { errors } = presigner.updateConfig({
+      providers: [
+        s3Provider('bad-price', { pricing: { egressPerGB: -1 } }),
+        s3Provider('bad-field', { pricing: { perList: 0.1 } })
+      ]
+    });
+
+    expect(errors).toEqual([
+      { path: 'providers[0].pricing', message: 'egressPerGB must be a non-negative number' },
+      { path: 'providers[1].pricing', message: 'perList is not a known price (expected storagePerGBMonth, egressPerGB, perPut, perGet or currency)' }
+    ]);
+  });
+});
@@ -0,0 +1,74 @@
+const MultiBucket = require('../index');
+const { s3Provider } = require('./helpers');
+
+describe('custom load balancing strategies', () => {
+  const providers = () => [s3Provider('a', { region: 'us-east-1' }), s3Provider('b', { region: 'eu-west-1' })];
+
+  test('should call an instance strategy with the candidates, usage and options', () => {
+    const strategy = jest.fn(function (candidates, usage, options) {
+      expect(this).toBeInstanceOf(MultiBucket);
+      expect(usage.a).toBeDefined();
+      return candidates.find(p => p.region === options.region);
+    });
+    const presigner = new MultiBucket({
+      providers: providers(),
+      loadBalanceStrategy: 'nearest',
+      strategies: { nearest: strategy }
+    });
+
+    expect(presigner.getStorageProvider({ region: 'eu-west-1' }).id).toBe('b');
+    expect(presigner.getStorageProvider({ region: 'us-east-1' }).id).toBe('a');
+    expect(strategy.mock.calls[0][0].map(p => p.id)).toEqual(['a', 'b']);
+  });
+
+  test('should accept a provider ID as the result', () => {
+    const presigner = new MultiBucket({ providers: providers() });
+    presigner.registerStrategy('always-b', () => 'b');
+    presigner.loadBalanceStrategy = 'always-b';
+
+    expect(presigner.getStorageProvider().id).toBe('b');
+  });
+
+  test('should only pass eligible providers and reject other results', () => {
+    const strategy = jest.fn(() => 'a');
+    const presigner = new MultiBucket({ providers: providers(), loadBalanceStrategy: 'stubborn', strategies: { stubborn: strategy } });
+
+    for (let i = 0; i < presigner.circuitBreaker.failureThreshold; i++) {
+      presigner.recordProviderFailure('a');
+    }
+
+    expect(() => presigner.getStorageProvider())
+      .toThrow('Load balancing strategy stubborn did not return an eligible provider');
+    expect(strategy.mock.calls[0][0].map(p => p.id)).toEqual(['b']);
+  });
+
+  test('should share globally registered strategies, with instance ones taking precedence', () => {
+    MultiBucket.registerStrategy('global-first', candidates => candidates[0]);
+
+    const presigner = new MultiBucket({ providers: providers(), loadBalanceStrategy: 'global-first' });
+    expect(presigner.getStorageProvider().id).toBe('a');
+
+    presigner.registerStrategy('global-first', candidates => candidates[candidates.length - 1]);
+    expect(presigner.getStorageProvider().id).toBe('b');
+  });
+
+  test('should let a request or tenant pick the strategy', () => {
+    const presigner = new MultiBucket({ providers: providers(), strategies: { last: candidates => candidates[1] } });
+
+    expect(presigner.getStorageProvider({ strategy: 'last' }).id).toBe('b');
+  });
+
+  test('should reject invalid registrations', () => {
+    const presigner = new MultiBucket({ providers: providers() });
+
+    expect(() => presigner.registerStrategy('round-robin', () => 'a'))
+      .toThrow('Cannot override built-in load balancing strategy: round-robin');
+    expect(() => presigner.registerStrategy('', () => 'a')).toThrow('Strategy name must be a non-empty string');
+    expect(() => MultiBucket.registerStrategy('broken', 'a')).toThrow('Load balancing strategy broken must be a function');
+  });
+
+  test('should reject unknown strategy names', () => {
+    expect(() => new MultiBucket({ providers: providers(), loadBalanceStrategy: 'missing' }))
+      .toThrow('Unknown load balancing strategy: missing');
+  });
+});
@@ -0,0 +1,92 @@
+const path = require('path');
+const MultiBucket = require('../index');
+const { s3Provider } = require('./helpers');
+
+describe('events', () => {
+  let presigner;
+  let events;
+
+  beforeEach(() => {
+    presigner = new MultiBucket({ providers: [s3Provider('a'), s3Provider('b')] });
+    events = [];
+    ['providerSelected', 'providerError', 'uploadUrlIssued', 'readUrlIssued', 'configReloaded', 'configError']
+      .forEach(name => presigner.on(name, payload => events.push({ name, payload })));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const emitted = name => events.filter(event => event.name === name).map(event => event.payload);
+
+  test('should emit providerSelected and uploadUrlIssued without the URL', async () => {
+    const result = await presigner.generateUploadUrl({ filename: 'a.txt', contentType: 'text/plain' });
+
+    expect(emitted('providerSelected')).toEqual([{
+      provider: 'a',
+      type: 's3',
+      strategy: 'round-robin',
+      capability: null,
+      candidates: ['a', 'b']
+    }]);
+    expect(emitted('uploadUrlIssued')).toEqual([{
+      method: 'PUT',
+      key: result.key,
+      bucket: 'a-bucket',
+      provider: 'a',
+      contentType: 'text/plain',
+      expires: result.expires
+    }]);
+    expect(JSON.stringify(events)).not.toContain('X-Amz-Signature');
+  });
+
+  test('should emit uploadUrlIssued for presigned POSTs', async () => {
+    const result = await presigner.generateUploadPost({ filename: 'a.txt', contentType: 'text/plain', providerId: 'b' });
+
+    expect(emitted('uploadUrlIssued')).toEqual([expect.objectContaining({ method: 'POST', key: result.key, provider: 'b' })]);
+  });
+
+  test('should emit readUrlIssued', async () => {
+    const result = await presigner.generateReadUrl({ key: 'docs/a.txt', providerId: 'b' });
+
+    expect(emitted('readUrlIssued')).toEqual([{
+      key: 'docs/a.txt',
+      bucket: 'b-bucket',
+      provider: 'b',
+      expires: result.expires,
+      failover: false
+    }]);
+  });
+
+  test('should emit providerError with the health state', () => {
+    const error = new Error('SlowDown');
+
+    presigner.recordProviderFailure('a', error);
+
+    expect(emitted('providerError')).toEqual([{ provider: 'a', error, health: 'degraded', consecutiveFailures: 1 }]);
+  });
+
+  test('should emit configReloaded with the added, changed and removed providers', () => {
+    presigner.updateConfig({
+      providers: [s3Provider('a', { region: 'eu-west-1' }), s3Provider('c')],
+      removeStaleProviders: true
+    });
+
+    expect(emitted('configReloaded')).toEqual([{ added: ['c'], changed: ['a'], removed: ['b'], errors: [] }]);
+    expect(emitted('configError')).toEqual([]);
+  });
+
+  test('should emit configError for invalid fields and unreadable configuration', async () => {
+    presigner.updateConfig({ defaultExpiry: -1 });
+    expect(emitted('configError')).toEqual([{ errors: [{ path: 'defaultExpiry', message: 'must be an integer between 1 and 604800' }] }]);
+
+    presigner.configSource = path.join(__dirname, 'missing-config.json');
+    await presigner.loadExternalConfig();
+
+    const [, loadError] = emitted('configError');
+    expect(loadError.error.code).toBe('ENOENT');
+    expect(loadError.errors).toEqual([{ path: '', message: loadError.error.message }]);
+    expect(presigner.configReloads.failure).toBe(2);
+  });
+});
@@ -0,0 +1,18 @@
+/**
+ * An S3 provider configuration for tests, with fixed test credentials
+ *
+ * @param {String} id - The provider ID, also used to name its bucket
+ * @param {Object} extra - Fields to add or override (optional)
+ * @returns {Object} The provider configuration
+ */
+const s3Provider = (id, extra = {}) => ({
+  id,
+  type: 's3',
+  bucket: `${id}-bucket`,
+  region: 'us-east-1',
+  accessKeyId: 'test-access-key',
+  secretAccessKey: 'test-secret-key',
+  ...extra
+});
+
+module.exports = { s3Provider };
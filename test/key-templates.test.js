@@ -0,0 +1,182 @@
+const supertest = require('supertest');
+const MultiBucket = require('../index');
+const { s3Provider } = require('./helpers');
+
+const { RequestValidationError } = MultiBucket;
+
+// 0xab repeated, so its first 8 hex characters are 'abababab'
+const CHECKSUM = Buffer.alloc(32, 0xab).toString('base64');
+const UUID = '[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}';
+
+describe('object keys', () => {
+  let presigner;
+
+  const build = (options, provider) => presigner.buildObjectKey({ filename: 'a.txt', ...options }, provider);
+
+  beforeEach(() => {
+    presigner = new MultiBucket({ providers: [s3Provider('a')] });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  describe('default template', () => {
+    test('should slugify the filename and keep a short lower-case extension', () => {
+      expect(build({ filename: 'Résumé Final (2).PDF', path: '/docs/' })).toMatch(new RegExp(`^docs/${UUID}-resume-final-2\\.pdf$`));
+      expect(build({ filename: '../../etc/passwd' })).toMatch(new RegExp(`^${UUID}-passwd$`));
+      expect(build({ filename: 'C:\\Users\\me\\photo.JPEG' })).toMatch(new RegExp(`^${UUID}-photo\\.jpeg$`));
+      expect(build({ filename: 'archive.tar.gz' })).toMatch(new RegExp(`^${UUID}-archive-tar\\.gz$`));
+      expect(build({ filename: 'notes.not an extension' })).toMatch(new RegExp(`^${UUID}-notes-not-an-extension$`));
+    });
+
+    test('should fall back to file when nothing is left of the name', () => {
+      expect(build({ filename: '日本語.png' })).toMatch(new RegExp(`^${UUID}-file\\.png$`));
+      expect(build({ filename: '..' })).toMatch(new RegExp(`^${UUID}-file$`));
+      expect(build({ filename: undefined })).toMatch(new RegExp(`^${UUID}-file$`));
+    });
+
+    test('should cut long slugs to 100 characters', () => {
+      const key = build({ filename: `${'x'.repeat(1000)}.txt` });
+
+      expect(key.split('-').pop()).toBe(`${'x'.repeat(100)}.txt`);
+    });
+  });
+
+  describe('placeholders', () => {
+    test('should fill the date and ULID placeholders from the current UTC time', () => {
+      jest.useFakeTimers({ now: new Date('2024-01-01T00:00:00Z') });
+
+      const key = build({ filename: 'Report.csv', path: 'exports' }, { keyTemplate: '{path}/{yyyy}/{mm}/{dd}/{ulid}{ext}' });
+
+      expect(key).toMatch(/^exports\/2024\/01\/01\/01HK153X00[0-9A-HJKMNP-TV-Z]{16}\.csv$/);
+    });
+
+    test('should use the raw filename, the checksum prefix and the tenant', () => {
+      presigner.updateTenants([{ id: 'acme', prefix: 'tenants/acme' }]);
+      const tenant = presigner.getTenant('acme');
+
+      expect(build({ filename: 'dir/My File.txt', path: 'p' }, { keyTemplate: '{path}/{filename}' })).toBe('p/My File.txt');
+      expect(build({ checksumSHA256: CHECKSUM }, { keyTemplate: '{sha256-prefix}/{slug}{ext}' })).toBe('abababab/a.txt');
+      expect(build({ tenant }, { keyTemplate: '{tenant}/{path}/{slug}{ext}' })).toBe('tenants/acme/acme/a.txt');
+    });
+
+    test('should leave no empty segments for empty placeholders', () => {
+      expect(build({}, { keyTemplate: '{path}/{tenant}//{slug}{ext}' })).toBe('a.txt');
+    });
+
+    test('should require a valid checksum for {sha256-prefix}', () => {
+      const template = { keyTemplate: '{sha256-prefix}/{uuid}' };
+
+      expect(() => build({}, template)).toThrow(RequestValidationError);
+      expect(() => build({}, template)).toThrow('Invalid request: checksumSHA256 is required by the {sha256-prefix} key template placeholder');
+      expect(() => build({ checksumSHA256: 'abc' }, template)).toThrow('Invalid request: checksumSHA256 must be a base64-encoded SHA-256 digest');
+    });
+
+    test('should prefer the provider template over the global one', async () => {
+      presigner = new MultiBucket({
+        keyTemplate: 'global/{slug}{ext}',
+        providers: [s3Provider('a', { keyTemplate: 'a/{slug}{ext}' }), s3Provider('b')]
+      });
+
+      expect((await presigner.generateUploadUrl({ filename: 'x.txt', contentType: 'text/plain', providerId: 'a' })).key).toBe('a/x.txt');
+      expect((await presigner.generateUploadUrl({ filename: 'x.txt', contentType: 'text/plain', providerId: 'b' })).key).toBe('global/x.txt');
+    });
+  });
+
+  describe('limits', () => {
+    test('should reject paths with dot segments', () => {
+      expect(() => build({ path: 'docs/../secrets' })).toThrow('Path docs/../secrets must not contain . or .. segments');
+      expect(() => build({ path: './docs' })).toThrow('must not contain . or .. segments');
+    });
+
+    test('should reject keys over 1024 bytes, counting UTF-8 bytes', () => {
+      expect(build({ keySpecified: 'k'.repeat(1024) })).toHaveLength(1024);
+      expect(() => build({ keySpecified: 'é'.repeat(513) })).toThrow('Object key is 1026 bytes long, over the 1024-byte limit');
+      expect(() => build({ path: 'p'.repeat(1000) })).toThrow('over the 1024-byte limit');
+    });
+
+    test('should reject templates with unknown placeholders', () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const { errors } = presigner.updateConfig({ keyTemplate: '{path}/{hash}', providers: [{ id: 'a', keyTemplate: '' }] });
+
+      expect(errors.map(error => error.path)).toEqual(expect.arrayContaining(['keyTemplate', 'providers[0].keyTemplate']));
+      expect(errors.find(error => error.path === 'keyTemplate').message)
+        .toBe('has unknown placeholders: hash (expected path, uuid, ulid, yyyy, mm, dd, ext, slug, filename, sha256-prefix, tenant)');
+      expect(presigner.keyTemplate).toBe('{path}/{uuid}-{slug}{ext}');
+    });
+  });
+
+  describe('metadata', () => {
+    test('should sign the original filename into the object metadata', async () => {
+      const result = await presigner.generateUploadUrl({ filename: 'Résumé (2).pdf', contentType: 'application/pdf' });
+
+      expect(new URL(result.uploadUrl).searchParams.get('x-amz-meta-original-filename')).toBe(encodeURIComponent('Résumé (2).pdf'));
+    });
+
+    test('should send the original filename in the Azure upload headers', async () => {
+      presigner = new MultiBucket({
+        providers: [{ id: 'blob', type: 'azure', accountName: 'devstoreaccount1', accountKey: Buffer.from('key').toString('base64'), bucket: 'files' }]
+      });
+
+      const result = await presigner.generateUploadUrl({ filename: 'Résumé.pdf', contentType: 'application/pdf' });
+
+      expect(result.uploadHeaders['x-ms-meta-original_filename']).toBe(encodeURIComponent('Résumé.pdf'));
+    });
+  });
+
+  test('should authorize path prefixes against the built key', async () => {
+    presigner = new MultiBucket({
+      keyTemplate: 'public/{uuid}{ext}',
+      providers: [s3Provider('a'), s3Provider('avatars', { keyTemplate: '{path}/{uuid}{ext}' })]
+    });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const { app, server } = presigner.createServer(0, {
+      auth: { apiKeys: [{ key: 'avatar-key', scopes: ['upload'], pathPrefixes: ['avatars/'] }] }
+    });
+    const upload = (route, body) => supertest(app).post(route).set('X-API-Key', 'avatar-key')
+      .send({ filename: 'me.png', contentType: 'image/png', path: 'avatars', ...body });
+
+    try {
+      for (const [route, operation] of [
+        ['/generate-upload-url', 'Failed to generate upload URL'],
+        ['/generate-upload-post', 'Failed to generate upload POST'],
+        ['/create-multipart-upload', 'Failed to create multipart upload']
+      ]) {
+        const response = await upload(route, { providerId: 'a' });
+
+        expect(response.status).toBe(403);
+        expect(response.body.error).toMatch(new RegExp(`^${operation}: Path not allowed: public/${UUID}\\.png$`));
+      }
+
+      const batch = await supertest(app).post('/generate-upload-urls').set('X-API-Key', 'avatar-key')
+        .send({ items: [{ filename: 'me.png', contentType: 'image/png', path: 'avatars', providerId: 'a' }] });
+      expect(batch.body.results[0].status).toBe(403);
+
+      const allowed = await upload('/generate-upload-url', { providerId: 'avatars' });
+      expect(allowed.status).toBe(200);
+      expect(allowed.body.key).toMatch(new RegExp(`^avatars/${UUID}\\.png$`));
+      expect(presigner.providerUsage.a.consecutiveFailures).toBe(0);
+    } finally {
+      server.close();
+    }
+  });
+
+  test('should answer 400 for an invalid checksum prefix request', async () => {
+    presigner = new MultiBucket({ keyTemplate: '{sha256-prefix}/{uuid}', providers: [s3Provider('a')] });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const { app, server } = presigner.createServer(0);
+
+    try {
+      const response = await supertest(app).post('/generate-upload-url').send({ filename: 'a.txt', contentType: 'text/plain' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.errors).toEqual([{ path: 'checksumSHA256', message: 'is required by the {sha256-prefix} key template placeholder' }]);
+      expect(presigner.providerUsage.a.consecutiveFailures).toBe(0);
+    } finally {
+      server.close();
+    }
+  });
+});
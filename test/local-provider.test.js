@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const supertest = require('supertest');
+const MultiBucket = require('../index');
+
+// Path and query of a signed URL, to send through supertest
+const pathOf = url => {
+  const parsed = new URL(url);
+  return parsed.pathname + parsed.search;
+};
+
+describe('local provider', () => {
+  let directory;
+  let presigner;
+  let app;
+  let server;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'multibucket-local-'));
+    presigner = new MultiBucket({
+      providers: [{ id: 'disk', type: 'local', directory, bucket: 'files' }]
+    });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    ({ app, server } = presigner.createServer(0));
+  });
+
+  afterEach(() => {
+    server.close();
+    jest.restoreAllMocks();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('should store an upload and serve it back through signed URLs', async () => {
+    const body = 'hello local storage';
+    const checksumSHA256 = crypto.createHash('sha256').update(body).digest('base64');
+    const upload = await presigner.generateUploadUrl({ filename: 'greeting.txt', contentType: 'text/plain', checksumSHA256 });
+
+    expect(upload.publicUrl).toBeNull();
+    expect(upload.uploadHeaders).toEqual({ 'Content-Type': 'text/plain' });
+
+    const put = await supertest(app).put(pathOf(upload.uploadUrl)).set('Content-Type', 'text/plain').send(body);
+    expect(put.status).toBe(200);
+    expect(put.headers.etag).toBe(`"${crypto.createHash('md5').update(body).digest('hex')}"`);
+    expect(fs.readFileSync(path.join(directory, 'files', upload.key), 'utf8')).toBe(body);
+
+    const confirmed = await presigner.confirmUpload({ key: upload.key });
+    expect(confirmed).toMatchObject({ confirmed: true, mismatches: [] });
+
+    const read = await presigner.generateReadUrl({ key: upload.key, filename: 'greeting.txt' });
+    const get = await supertest(app).get(pathOf(read.readUrl));
+
+    expect(get.status).toBe(200);
+    expect(get.text).toBe(body);
+    expect(get.headers['content-type']).toBe('text/plain');
+    expect(get.headers['content-disposition']).toBe('attachment; filename="greeting.txt"');
+  });
+
+  test('should reject tampered, unsigned and expired requests', async () => {
+    const upload = await presigner.generateUploadUrl({ filename: 'a.txt', contentType: 'text/plain' });
+    const url = new URL(upload.uploadUrl);
+
+    const tampered = new URL(url);
+    tampered.searchParams.set('contentType', 'text/html');
+    const response = await supertest(app).put(pathOf(tampered.href)).set('Content-Type', 'text/html').send('<script>');
+    expect(response.status).toBe(403);
+    expect(response.body.error).toBe('The request signature does not match');
+
+    const otherKey = pathOf(url.href).replace(upload.key, 'other.txt');
+    expect((await supertest(app).put(otherKey).set('Content-Type', 'text/plain').send('x')).status).toBe(403);
+
+    const unsigned = await supertest(app).put(url.pathname).set('Content-Type', 'text/plain').send('x');
+    expect(unsigned.body.error).toBe('Missing signature');
+
+    jest.spyOn(Date, 'now').mockReturnValue(Date.now() + (presigner.defaultExpiry + 1) * 1000);
+    const expired = await supertest(app).put(pathOf(url.href)).set('Content-Type', 'text/plain').send('x');
+    expect(expired.status).toBe(403);
+    expect(expired.body.error).toBe('Request has expired');
+    expect(fs.existsSync(path.join(directory, 'files', upload.key))).toBe(false);
+  });
+
+  test('should require the signed content type on uploads', async () => {
+    const upload = await presigner.generateUploadUrl({ filename: 'a.txt', contentType: 'text/plain' });
+
+    const response = await supertest(app).put(pathOf(upload.uploadUrl)).set('Content-Type', 'text/html').send('x');
+
+    expect(response.status).toBe(403);
+    expect(response.body.error).toBe('The Content-Type header does not match the signed content type');
+  });
+
+  test('should answer 404 for missing objects and unknown providers', async () => {
+    const provider = presigner.providers[0];
+    const missing = presigner.generateLocalUrl(provider, 'missing.txt', { method: 'GET', expiry: 60 });
+
+    expect((await supertest(app).get(pathOf(missing))).status).toBe(404);
+    expect((await supertest(app).get(pathOf(missing).replace('/local/disk/', '/local/other/'))).status).toBe(404);
+  });
+
+  test('should refuse keys escaping the bucket directory', () => {
+    const provider = presigner.providers[0];
+
+    expect(() => presigner.getLocalObjectPaths(provider, '../outside.txt')).toThrow('Invalid object key: ../outside.txt');
+    expect(() => presigner.getLocalObjectPaths(provider, 'a/./b')).toThrow('Invalid object key: a/./b');
+    expect(() => presigner.generateLocalUrl(provider, 'a/../../b', { method: 'GET', expiry: 60 }))
+      .toThrow('Invalid object key: a/../../b');
+    expect(presigner.getLocalObjectPaths(provider, 'a/b.txt').filePath).toBe(path.join(directory, 'files', 'a', 'b.txt'));
+  });
+
+  test('should sign with the provider secret when it has one', () => {
+    const provider = { ...presigner.providers[0], secret: 'provider-secret' };
+    const url = new URL(presigner.generateLocalUrl(provider, 'a.txt', { method: 'GET', expiry: 60 }));
+    const query = Object.fromEntries(url.searchParams);
+
+    expect(query.signature).toBe(crypto.createHmac('sha256', 'provider-secret')
+      .update(['disk', 'GET', 'a.txt', query.expires, ''].join('\n'))
+      .digest('hex'));
+    expect(presigner.verifyLocalRequest(provider, 'GET', 'a.txt', query)).toBeNull();
+    expect(presigner.verifyLocalRequest(presigner.providers[0], 'GET', 'a.txt', query))
+      .toBe('The request signature does not match');
+  });
+});
@@ -0,0 +1,103 @@
+const supertest = require('supertest');
+const MultiBucket = require('../index');
+const { s3Provider } = require('./helpers');
+
+// Sample lines of a metric, without the HELP and TYPE comments
+const samples = (metrics, name) => metrics.split('\n').filter(line => line.startsWith(`${name}{`));
+
+describe('metrics', () => {
+  let presigner;
+
+  beforeEach(() => {
+    presigner = new MultiBucket({ providers: [s3Provider('a'), s3Provider('b"quoted')] });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should expose counters labelled by provider and type', async () => {
+    // Round robin routes to a, b then a; a pinned provider is not routed by load balancing
+    await presigner.generateUploadUrl({ filename: 'a.txt', contentType: 'text/plain' });
+    await presigner.generateUploadUrl({ filename: 'b.txt', contentType: 'text/plain' });
+    await presigner.generateUploadUrl({ filename: 'c.txt', contentType: 'text/plain' });
+    await presigner.generateUploadUrl({ filename: 'd.txt', contentType: 'text/plain', providerId: 'a' });
+    presigner.recordProviderFailure('b"quoted', new Error('SlowDown'));
+
+    const metrics = presigner.getMetrics();
+
+    expect(metrics).toContain('# HELP multibucket_provider_requests_total Requests routed to the provider by load balancing.\n# TYPE multibucket_provider_requests_total counter\n');
+    expect(samples(metrics, 'multibucket_provider_requests_total')).toEqual([
+      'multibucket_provider_requests_total{provider="a",type="s3"} 2',
+      'multibucket_provider_requests_total{provider="b\\"quoted",type="s3"} 1'
+    ]);
+    expect(samples(metrics, 'multibucket_provider_errors_total')).toEqual([
+      'multibucket_provider_errors_total{provider="a",type="s3"} 0',
+      'multibucket_provider_errors_total{provider="b\\"quoted",type="s3"} 1'
+    ]);
+    expect(metrics.endsWith('\n')).toBe(true);
+  });
+
+  test('should expose the health state as a gauge per state', () => {
+    presigner.recordProviderFailure('a');
+
+    expect(samples(presigner.getMetrics(), 'multibucket_provider_health').filter(line => line.includes('provider="a"'))).toEqual([
+      'multibucket_provider_health{provider="a",type="s3",state="healthy"} 0',
+      'multibucket_provider_health{provider="a",type="s3",state="degraded"} 1',
+      'multibucket_provider_health{provider="a",type="s3",state="half-open"} 0',
+      'multibucket_provider_health{provider="a",type="s3",state="open"} 0'
+    ]);
+  });
+
+  test('should record signing durations in cumulative histogram buckets', () => {
+    jest.spyOn(process.hrtime, 'bigint').mockReturnValue(10000000n);
+
+    // 3 ms and 30 ms
+    presigner.observeSigningDuration('a', 'upload', 7000000n);
+    presigner.observeSigningDuration('a', 'upload', -20000000n);
+
+    const lines = samples(presigner.getMetrics(), 'multibucket_signing_duration_seconds_bucket');
+    const bucket = le => lines.find(line => line.includes(`le="${le}"`)).split(' ')[1];
+
+    expect(bucket('0.0025')).toBe('0');
+    expect(bucket('0.005')).toBe('1');
+    expect(bucket('0.025')).toBe('1');
+    expect(bucket('0.05')).toBe('2');
+    expect(bucket('+Inf')).toBe('2');
+    expect(presigner.getMetrics()).toContain('multibucket_signing_duration_seconds_sum{provider="a",type="s3",operation="upload"} 0.033\n');
+    expect(presigner.getMetrics()).toContain('multibucket_signing_duration_seconds_count{provider="a",type="s3",operation="upload"} 2\n');
+  });
+
+  test('should only expose histograms of operations that were signed', async () => {
+    await presigner.generateReadUrl({ key: 'a.txt', providerId: 'a' });
+
+    const lines = samples(presigner.getMetrics(), 'multibucket_signing_duration_seconds_count');
+    expect(lines).toEqual(['multibucket_signing_duration_seconds_count{provider="a",type="s3",operation="read"} 1']);
+  });
+
+  test('should count configuration reloads by result', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    presigner.updateConfig({ defaultExpiry: 60 });
+    presigner.updateConfig({ defaultExpiry: -1 });
+
+    const metrics = presigner.getMetrics();
+    expect(metrics).toContain('multibucket_config_reloads_total{result="success"} 2\n');
+    expect(metrics).toContain('multibucket_config_reloads_total{result="failure"} 1\n');
+  });
+
+  test('should serve the metrics in the Prometheus text format', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const { app, server } = presigner.createServer(0);
+
+    try {
+      const response = await supertest(app).get('/metrics');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toMatch(/^text\/plain;/);
+      expect(response.headers['content-type']).toContain('version=0.0.4');
+      expect(response.text).toBe(presigner.getMetrics());
+    } finally {
+      server.close();
+    }
+  });
+});
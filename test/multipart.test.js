@@ -0,0 +1,131 @@
+const MultiBucket = require('../index');
+const { s3Provider } = require('./helpers');
+
+describe('multipart uploads', () => {
+  let presigner;
+  let sent;
+
+  beforeEach(() => {
+    presigner = new MultiBucket({
+      providers: [s3Provider('s3-a'), s3Provider('s3-b')],
+      loadBalanceStrategy: 'round-robin'
+    });
+
+    // Answer the S3 API calls of both providers without a network
+    sent = [];
+    presigner.providers.forEach(provider => {
+      presigner.getClient(provider).send = jest.fn(async command => {
+        sent.push({ provider: provider.id, name: command.constructor.name, input: command.input });
+        if (command.constructor.name === 'CreateMultipartUploadCommand') {
+          return { UploadId: `upload-${sent.length}` };
+        }
+        return { ETag: '"final-etag"' };
+      });
+    });
+  });
+
+  test('should create the upload on the selected provider and track it', async () => {
+    const result = await presigner.createMultipartUpload({
+      filename: 'video.mp4',
+      contentType: 'video/mp4',
+      path: 'videos',
+      size: 1024
+    });
+
+    expect(result.provider).toBe('s3-a');
+    expect(result.key).toMatch(/^videos\/[0-9a-f-]{36}-video\.mp4$/);
+    expect(sent[0].name).toBe('CreateMultipartUploadCommand');
+    expect(sent[0].input).toMatchObject({ Bucket: 's3-a-bucket', Key: result.key, ContentType: 'video/mp4' });
+    expect(presigner.multipartUploads[result.uploadId]).toMatchObject({ providerId: 's3-a', key: result.key, size: 1024 });
+    expect(presigner.providerUsage['s3-a'].capacity.pendingBytes).toBe(1024);
+  });
+
+  test('should sign part URLs on the provider the upload was created on', async () => {
+    const upload = await presigner.createMultipartUpload({ filename: 'a.bin', contentType: 'application/octet-stream' });
+
+    // Round-robin would pick s3-b next, but the upload ID only exists on s3-a
+    const part = await presigner.generateUploadPartUrl({ key: upload.key, uploadId: upload.uploadId, partNumber: 2 });
+    const url = new URL(part.uploadUrl);
+
+    expect(part.provider).toBe('s3-a');
+    expect(url.hostname).toBe('s3-a-bucket.s3.us-east-1.amazonaws.com');
+    expect(url.searchParams.get('uploadId')).toBe(upload.uploadId);
+    expect(url.searchParams.get('partNumber')).toBe('2');
+  });
+
+  test('should reject invalid part numbers', async () => {
+    const upload = await presigner.createMultipartUpload({ filename: 'a.bin', contentType: 'application/octet-stream' });
+
+    for (const partNumber of [0, 10001, 1.5, 'x']) {
+      await expect(presigner.generateUploadPartUrl({ key: upload.key, uploadId: upload.uploadId, partNumber }))
+        .rejects.toThrow('partNumber must be an integer between 1 and 10000');
+    }
+  });
+
+  test('should reject a key or provider other than the tracked ones', async () => {
+    const upload = await presigner.createMultipartUpload({ filename: 'a.bin', contentType: 'application/octet-stream' });
+
+    await expect(presigner.generateUploadPartUrl({ key: 'other/key.bin', uploadId: upload.uploadId, partNumber: 1 }))
+      .rejects.toThrow(`Multipart upload ${upload.uploadId} is for key ${upload.key}, not other/key.bin`);
+    await expect(presigner.generateUploadPartUrl({ key: upload.key, uploadId: upload.uploadId, partNumber: 1, providerId: 's3-b' }))
+      .rejects.toThrow(`Multipart upload ${upload.uploadId} belongs to provider s3-a, not s3-b`);
+    await expect(presigner.generateUploadPartUrl({ key: upload.key, uploadId: 'unknown', partNumber: 1 }))
+      .rejects.toThrow('Unknown multipart upload: unknown');
+  });
+
+  test('should complete the upload with the parts in ascending order', async () => {
+    const upload = await presigner.createMultipartUpload({ filename: 'a.bin', contentType: 'application/octet-stream', size: 10 });
+
+    const result = await presigner.completeMultipartUpload({
+      key: upload.key,
+      uploadId: upload.uploadId,
+      parts: [{ partNumber: 2, etag: '"two"' }, { partNumber: 1, etag: '"one"' }]
+    });
+
+    const complete = sent.find(call => call.name === 'CompleteMultipartUploadCommand');
+    expect(complete.input.MultipartUpload.Parts).toEqual([
+      { PartNumber: 1, ETag: '"one"' },
+      { PartNumber: 2, ETag: '"two"' }
+    ]);
+    expect(result).toMatchObject({ key: upload.key, provider: 's3-a', etag: '"final-etag"' });
+    expect(presigner.multipartUploads[upload.uploadId]).toBeUndefined();
+
+    const capacity = presigner.providerUsage['s3-a'].capacity;
+    expect(capacity.pendingBytes).toBe(0);
+    expect(capacity.usedBytes).toBe(10);
+  });
+
+  test('should abort the upload and release its reservation', async () => {
+    const upload = await presigner.createMultipartUpload({ filename: 'a.bin', contentType: 'application/octet-stream', size: 10 });
+
+    const result = await presigner.abortMultipartUpload({ key: upload.key, uploadId: upload.uploadId });
+
+    expect(result).toEqual({ aborted: true, uploadId: upload.uploadId, key: upload.key, provider: 's3-a' });
+    expect(sent.some(call => call.name === 'AbortMultipartUploadCommand')).toBe(true);
+    expect(presigner.multipartUploads[upload.uploadId]).toBeUndefined();
+    expect(presigner.providerUsage['s3-a'].capacity.pendingBytes).toBe(0);
+  });
+
+  test('should forget uploads older than multipartUploadTTL', async () => {
+    presigner.multipartUploadTTL = 1000;
+    const upload = await presigner.createMultipartUpload({ filename: 'a.bin', contentType: 'application/octet-stream', size: 10 });
+
+    presigner.multipartUploads[upload.uploadId].createdAt -= 1000;
+    presigner.sweepExpiredUploads(true);
+
+    expect(presigner.multipartUploads[upload.uploadId]).toBeUndefined();
+    expect(presigner.providerUsage['s3-a'].capacity.pendingBytes).toBe(0);
+    await expect(presigner.generateUploadPartUrl({ key: upload.key, uploadId: upload.uploadId, partNumber: 1 }))
+      .rejects.toThrow('Unknown multipart upload');
+  });
+
+  test('should reject multipart uploads on providers without the capability', async () => {
+    presigner = new MultiBucket({
+      providers: [{ id: 'local', type: 'local', bucket: 'files', directory: '/tmp/multibucket-test' }],
+      localSigningSecret: 'test-secret'
+    });
+
+    await expect(presigner.createMultipartUpload({ filename: 'a.bin', contentType: 'application/octet-stream' }))
+      .rejects.toThrow('No storage providers support multipart');
+  });
+});
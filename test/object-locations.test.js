@@ -0,0 +1,104 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MultiBucket = require('../index');
+const { s3Provider } = require('./helpers');
+
+describe('object locations', () => {
+  let presigner;
+
+  beforeEach(() => {
+    presigner = new MultiBucket({
+      providers: [s3Provider('a'), s3Provider('b')],
+      loadBalanceStrategy: 'round-robin'
+    });
+  });
+
+  test('should read from the provider an object was uploaded to, by key alone', async () => {
+    const first = await presigner.generateUploadUrl({ filename: 'one.txt', contentType: 'text/plain' });
+    const second = await presigner.generateUploadUrl({ filename: 'two.txt', contentType: 'text/plain' });
+
+    expect([first.provider, second.provider]).toEqual(['a', 'b']);
+    expect(await presigner.getObjectLocation(second.key)).toMatchObject({ providerId: 'b', bucket: 'b-bucket' });
+
+    const read = await presigner.generateReadUrl({ key: second.key });
+    expect(read.provider).toBe('b');
+    expect(new URL(read.readUrl).hostname).toBe('b-bucket.s3.us-east-1.amazonaws.com');
+  });
+
+  test('should prefer an explicit providerId over the recorded location', async () => {
+    const upload = await presigner.generateUploadUrl({ filename: 'one.txt', contentType: 'text/plain' });
+
+    const read = await presigner.generateReadUrl({ key: upload.key, providerId: 'b' });
+    expect(read.provider).toBe('b');
+  });
+
+  test('should fall back to the bucket name for keys without a location', async () => {
+    const read = await presigner.generateReadUrl({ key: 'legacy/file.txt', bucket: 'b-bucket' });
+    expect(read.provider).toBe('b');
+
+    await expect(presigner.generateReadUrl({ key: 'legacy/file.txt' }))
+      .rejects.toThrow('Provider not found. Please specify a valid providerId or bucket, or a key uploaded through MultiBucket');
+  });
+
+  test('should refuse an ambiguous bucket name', async () => {
+    presigner = new MultiBucket({
+      providers: [s3Provider('a', { bucket: 'shared' }), s3Provider('b', { bucket: 'shared', region: 'eu-west-1' })]
+    });
+
+    await expect(presigner.generateReadUrl({ key: 'x', bucket: 'shared' }))
+      .rejects.toThrow('Bucket shared is used by several providers (a, b). Please specify a providerId');
+  });
+
+  test('should report a recorded provider that is no longer configured', async () => {
+    await presigner.locationStore.set('gone.txt', { providerId: 'removed', bucket: 'old', createdAt: new Date().toISOString() });
+
+    await expect(presigner.generateReadUrl({ key: 'gone.txt' }))
+      .rejects.toThrow('Provider removed recorded for key gone.txt is no longer configured');
+  });
+
+  test('should accept any store with get and set, including async ones', async () => {
+    const locations = new Map();
+    const store = {
+      get: jest.fn(async key => locations.get(key)),
+      set: jest.fn(async (key, location) => { locations.set(key, location); })
+    };
+    presigner = new MultiBucket({ providers: [s3Provider('a'), s3Provider('b')], locationStore: store });
+
+    const upload = await presigner.generateUploadUrl({ filename: 'one.txt', contentType: 'text/plain', providerId: 'b' });
+    const read = await presigner.generateReadUrl({ key: upload.key });
+
+    expect(store.set).toHaveBeenCalledWith(upload.key, expect.objectContaining({ providerId: 'b' }));
+    expect(read.provider).toBe('b');
+    expect(() => new MultiBucket({ providers: [s3Provider('a')], locationStore: { get() {} } }))
+      .toThrow('Invalid options: locationStore');
+  });
+
+  describe('JsonFileLocationStore', () => {
+    let directory;
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'multibucket-locations-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('should persist locations across instances', async () => {
+      const filePath = path.join(directory, 'locations.json');
+      const store = new MultiBucket.JsonFileLocationStore(filePath);
+
+      await Promise.all([
+        store.set('a.txt', { providerId: 'a', bucket: 'a-bucket', createdAt: '2024-01-01T00:00:00.000Z' }),
+        store.set('b.txt', { providerId: 'b', bucket: 'b-bucket', createdAt: '2024-01-01T00:00:00.000Z' })
+      ]);
+      await store.delete('a.txt');
+
+      const reloaded = new MultiBucket.JsonFileLocationStore(filePath);
+      expect(reloaded.get('a.txt')).toBeNull();
+      expect(reloaded.get('b.txt')).toMatchObject({ providerId: 'b' });
+      expect(fs.existsSync(`${filePath}.tmp`)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,155 @@
+const MultiBucket = require('../index');
+
+const provider = (id, type, extra = {}) => ({
+  id,
+  type,
+  bucket: `${id}-bucket`,
+  accessKeyId: 'test-access-key',
+  secretAccessKey: 'test-secret-key',
+  ...extra
+});
+
+const upload = (presigner, providerId) => presigner.generateUploadUrl({
+  filename: 'a.txt',
+  contentType: 'text/plain',
+  providerId
+});
+
+describe('provider presets', () => {
+  test('should derive endpoints and public URLs from the preset of each type', () => {
+    const presigner = new MultiBucket({
+      providers: [
+        provider('aws', 's3', { region: 'eu-west-1' }),
+        provider('r2', 'r2', { accountId: 'acct' }),
+        provider('minio', 'minio', { endpoint: 'http://localhost:9000/' }),
+        provider('b2', 'b2', { region: 'us-west-004' }),
+        provider('spaces', 'spaces', { region: 'nyc3' }),
+        provider('wasabi', 'wasabi', { region: 'eu-central-1' }),
+        provider('gcs', 'gcs')
+      ]
+    });
+
+    const byId = id => presigner.providers.find(p => p.id === id);
+    expect(presigner.getProviderEndpoint(byId('aws'))).toBeUndefined();
+    expect(presigner.getProviderEndpoint(byId('r2'))).toBe('https://acct.r2.cloudflarestorage.com');
+    expect(presigner.getProviderEndpoint(byId('minio'))).toBe('http://localhost:9000');
+    expect(presigner.getProviderEndpoint(byId('b2'))).toBe('https://s3.us-west-004.backblazeb2.com');
+    expect(presigner.getProviderEndpoint(byId('spaces'))).toBe('https://nyc3.digitaloceanspaces.com');
+    expect(presigner.getProviderEndpoint(byId('wasabi'))).toBe('https://s3.eu-central-1.wasabisys.com');
+    expect(presigner.getProviderEndpoint(byId('gcs'))).toBe('https://storage.googleapis.com');
+
+    const publicUrls = {};
+    for (const { id } of presigner.providers) {
+      publicUrls[id] = presigner.getPublicUrl(byId(id), 'k.txt');
+    }
+    expect(publicUrls).toEqual({
+      aws: 'https://aws-bucket.s3.eu-west-1.amazonaws.com/k.txt',
+      r2: null,
+      minio: 'http://localhost:9000/minio-bucket/k.txt',
+      b2: 'https://b2-bucket.s3.us-west-004.backblazeb2.com/k.txt',
+      spaces: 'https://spaces-bucket.nyc3.digitaloceanspaces.com/k.txt',
+      wasabi: 'https://s3.eu-central-1.wasabisys.com/wasabi-bucket/k.txt',
+      gcs: 'https://storage.googleapis.com/gcs-bucket/k.txt'
+    });
+  });
+
+  test('should sign against the preset endpoint, addressing style and signing region', async () => {
+    const presigner = new MultiBucket({
+      providers: [
+        provider('r2', 'r2', { accountId: 'acct' }),
+        provider('spaces', 'spaces', { region: 'nyc3' }),
+        provider('gcs', 'gcs')
+      ]
+    });
+
+    const r2 = new URL((await upload(presigner, 'r2')).uploadUrl);
+    expect(r2.hostname).toBe('acct.r2.cloudflarestorage.com');
+    expect(r2.pathname.startsWith('/r2-bucket/')).toBe(true);
+    expect(r2.searchParams.get('X-Amz-Credential')).toMatch(/\/auto\/s3\/aws4_request$/);
+
+    // Spaces is addressed by its regional endpoint but always signed for us-east-1
+    const spaces = new URL((await upload(presigner, 'spaces')).uploadUrl);
+    expect(spaces.hostname).toBe('spaces-bucket.nyc3.digitaloceanspaces.com');
+    expect(spaces.searchParams.get('X-Amz-Credential')).toMatch(/\/us-east-1\/s3\/aws4_request$/);
+
+    const gcs = new URL((await upload(presigner, 'gcs')).uploadUrl);
+    expect(gcs.hostname).toBe('storage.googleapis.com');
+    expect(gcs.pathname.startsWith('/gcs-bucket/')).toBe(true);
+  });
+
+  test('should prefer publicUrlBase, then publicUrlTemplate, over the preset', () => {
+    const presigner = new MultiBucket({
+      providers: [
+        provider('cdn', 'r2', { accountId: 'acct', publicUrlBase: 'https://cdn.example.com/' }),
+        provider('custom', 'b2', { region: 'us-west-004', publicUrlTemplate: 'https://files.example.com/{bucket}/{region}/{key}' })
+      ]
+    });
+
+    expect(presigner.getPublicUrl(presigner.providers[0], 'a/b.txt')).toBe('https://cdn.example.com/a/b.txt');
+    expect(presigner.getPublicUrl(presigner.providers[1], 'a/b.txt'))
+      .toBe('https://files.example.com/custom-bucket/us-west-004/a/b.txt');
+  });
+
+  test('should derive public URLs of s3 providers with a custom endpoint from the addressing style', () => {
+    const presigner = new MultiBucket({
+      providers: [
+        provider('path', 's3', { region: 'us-east-1', endpoint: 'https://storage.example.com', forcePathStyle: true }),
+        provider('vhost', 's3', { region: 'us-east-1', endpoint: 'https://storage.example.com' })
+      ]
+    });
+
+    expect(presigner.getPublicUrl(presigner.providers[0], 'k')).toBe('https://storage.example.com/path-bucket/k');
+    expect(presigner.getPublicUrl(presigner.providers[1], 'k')).toBeNull();
+  });
+
+  test('should skip providers missing what their type needs', () => {
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const presigner = new MultiBucket({
+      providers: [
+        provider('aws', 's3', { region: 'us-east-1' }),
+        provider('minio', 'minio'),
+        provider('r2', 'r2'),
+        provider('b2', 'b2'),
+        provider('other', 'nope')
+      ]
+    });
+
+    expect(presigner.providers.map(p => p.id)).toEqual(['aws']);
+    expect(presigner.configErrors).toEqual([
+      { path: 'providers[1].endpoint', message: 'is required for type minio' },
+      { path: 'providers[2].accountId', message: 'or endpoint is required for type r2' },
+      { path: 'providers[3].region', message: 'is required for type b2' },
+      { path: 'providers[4].type', message: 'unknown provider type nope' }
+    ]);
+    expect(error).toHaveBeenCalledWith('Invalid configuration at providers[1].endpoint: is required for type minio');
+
+    error.mockRestore();
+  });
+
+  describe('registerProviderType', () => {
+    test('should use a registered type like a built-in one', async () => {
+      MultiBucket.registerProviderType('acme', {
+        endpoint: 'https://{region}.acme-storage.test',
+        forcePathStyle: true,
+        publicUrl: 'https://public.acme-storage.test/{bucket}/{key}'
+      });
+      const presigner = new MultiBucket({ providers: [provider('acme', 'acme', { region: 'zone-1' })] });
+
+      const result = await upload(presigner, 'acme');
+
+      expect(new URL(result.uploadUrl).hostname).toBe('zone-1.acme-storage.test');
+      expect(result.publicUrl).toBe(`https://public.acme-storage.test/acme-bucket/${result.key}`);
+      expect(MultiBucket.getProviderPreset('acme')).toMatchObject({ forcePathStyle: true });
+    });
+
+    test('should not override built-in types or accept invalid presets', () => {
+      expect(() => MultiBucket.registerProviderType('s3', {})).toThrow('Cannot override built-in provider type: s3');
+      expect(() => MultiBucket.registerProviderType('azure', {})).toThrow('Cannot override built-in provider type: azure');
+      expect(() => MultiBucket.registerProviderType('', {})).toThrow('Provider type must be a non-empty string');
+      expect(() => MultiBucket.registerProviderType('bare', null))
+        .toThrow('Provider type bare must be described by a preset object');
+      expect(() => MultiBucket.getProviderPreset('unknown')).toThrow('Unsupported provider type: unknown');
+    });
+  });
+});
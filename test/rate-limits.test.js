@@ -0,0 +1,162 @@
+const supertest = require('supertest');
+const MultiBucket = require('../index');
+const { s3Provider } = require('./helpers');
+
+const { RateLimitError } = MultiBucket;
+
+describe('rate limits', () => {
+  const create = (rateLimitPolicy, extra = {}) => new MultiBucket({
+    providers: [s3Provider('a', { rateLimit: 10, burst: 2 }), s3Provider('b')],
+    loadBalanceStrategy: 'round-robin',
+    rateLimitPolicy,
+    ...extra
+  });
+
+  // Empty a provider's bucket as of now
+  const drain = (presigner, id) => {
+    presigner.providerUsage[id].tokens = 0;
+    presigner.providerUsage[id].tokensUpdatedAt = Date.now();
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('token bucket', () => {
+    test('should allow a burst, then refill at the rate limit', () => {
+      const presigner = create();
+      const provider = presigner.providers[0];
+      const start = presigner.providerUsage.a.tokensUpdatedAt;
+
+      expect(presigner.takeToken(provider, start)).toBe(true);
+      expect(presigner.takeToken(provider, start)).toBe(true);
+      expect(presigner.takeToken(provider, start)).toBe(false);
+      expect(presigner.getTokenWait(provider, start)).toBe(100);
+
+      // 10 tokens per second is one token every 100 ms
+      expect(presigner.takeToken(provider, start + 50)).toBe(false);
+      expect(presigner.takeToken(provider, start + 100)).toBe(true);
+
+      // Refills never go above the burst
+      expect(presigner.refillTokens(provider, start + 60000).tokens).toBe(2);
+    });
+
+    test('should default the burst to one second of requests', () => {
+      const presigner = new MultiBucket({ providers: [s3Provider('a', { rateLimit: 5 })] });
+
+      expect(presigner.providerUsage.a.tokens).toBe(5);
+      expect(presigner.refillTokens(presigner.providers[0], Date.now() + 10000).tokens).toBe(5);
+    });
+  });
+
+  describe('overflow', () => {
+    test('should move a rate limited selection to a provider with tokens', () => {
+      const presigner = create();
+      drain(presigner, 'a');
+
+      expect(presigner.getStorageProvider().id).toBe('b');
+      expect(presigner.providerUsage.a).toMatchObject({ rateLimited: 1, rateLimitFallbacks: 1 });
+    });
+
+    test('should fail once every provider is out of tokens', () => {
+      const presigner = new MultiBucket({
+        providers: [s3Provider('a', { rateLimit: 10, burst: 1 }), s3Provider('b', { rateLimit: 4, burst: 1 })]
+      });
+      drain(presigner, 'a');
+      drain(presigner, 'b');
+
+      let error;
+      try {
+        presigner.getStorageProvider();
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error).toBeInstanceOf(RateLimitError);
+      expect(error.message).toBe('All storage providers are rate limited');
+      // a, at 10 tokens per second, has the first token back
+      expect(error.retryAfter).toBeGreaterThan(90);
+      expect(error.retryAfter).toBeLessThanOrEqual(100);
+      expect(error.providerId).toBeUndefined();
+    });
+  });
+
+  describe('fail', () => {
+    test('should reject a rate limited selection with the provider and retry delay', async () => {
+      const presigner = create({ mode: 'fail' });
+      drain(presigner, 'a');
+
+      const error = await presigner.generateUploadUrl({ filename: 'a.txt', contentType: 'text/plain' }).catch(e => e);
+
+      expect(error).toBeInstanceOf(RateLimitError);
+      expect(error.message).toBe('Failed to generate upload URL: Storage provider a is rate limited');
+      expect(error.providerId).toBe('a');
+      expect(error.retryAfter).toBeGreaterThan(90);
+      expect(error.retryAfter).toBeLessThanOrEqual(100);
+      expect(presigner.providerUsage.a.rateLimited).toBe(1);
+      expect(presigner.providerUsage.a.consecutiveFailures).toBe(0);
+    });
+
+    test('should answer 429 with Retry-After', async () => {
+      const presigner = create({ mode: 'fail' });
+      drain(presigner, 'a');
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      const { app, server } = presigner.createServer(0);
+
+      try {
+        const response = await supertest(app).post('/generate-upload-url').send({ filename: 'a.txt', contentType: 'text/plain' });
+
+        expect(response.status).toBe(429);
+        expect(response.headers['retry-after']).toBe('1');
+        expect(response.body.retryAfter).toBeGreaterThan(0);
+      } finally {
+        server.close();
+      }
+    });
+  });
+
+  describe('wait', () => {
+    test('should wait for the selected provider instead of skipping it', async () => {
+      const presigner = create({ mode: 'wait', maxWait: 1000 });
+
+      expect((await presigner.acquireStorageProvider()).id).toBe('a');
+      expect((await presigner.acquireStorageProvider()).id).toBe('b');
+
+      const started = Date.now();
+      drain(presigner, 'a');
+      const waited = await presigner.acquireStorageProvider();
+
+      expect(waited.id).toBe('a');
+      expect(Date.now() - started).toBeGreaterThanOrEqual(90);
+      expect(presigner.providerUsage.a.rateLimited).toBe(1);
+      expect(presigner.providerUsage.a.rateLimitFallbacks).toBe(0);
+
+      // The rotation carries on after the provider that was waited for
+      expect((await presigner.acquireStorageProvider()).id).toBe('b');
+    });
+
+    test('should give up when the token comes later than maxWait', async () => {
+      const presigner = create({ mode: 'wait', maxWait: 50 });
+      drain(presigner, 'a');
+
+      await expect(presigner.acquireStorageProvider()).rejects.toMatchObject({
+        name: 'RateLimitError',
+        message: 'Storage provider a is rate limited',
+        providerId: 'a'
+      });
+      expect(presigner.providerUsage.a.rateLimited).toBe(1);
+    });
+
+    test('should select again when the provider is no longer eligible', async () => {
+      const presigner = create({ mode: 'wait', maxWait: 1000 });
+      drain(presigner, 'a');
+
+      const acquired = presigner.acquireStorageProvider();
+      for (let i = 0; i < presigner.circuitBreaker.failureThreshold; i++) {
+        presigner.recordProviderFailure('a');
+      }
+
+      expect((await acquired).id).toBe('b');
+    });
+  });
+});
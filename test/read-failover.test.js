@@ -0,0 +1,118 @@
+const supertest = require('supertest');
+const MultiBucket = require('../index');
+const { s3Provider } = require('./helpers');
+
+const notFound = () => Object.assign(new Error('NotFound'), { name: 'NotFound', $metadata: { httpStatusCode: 404 } });
+
+describe('read failover', () => {
+  let presigner;
+  let objects;
+
+  beforeEach(async () => {
+    presigner = new MultiBucket({
+      providers: [s3Provider('primary'), s3Provider('replica'), s3Provider('other')]
+    });
+
+    // Which providers hold which keys; 'down' providers fail every request
+    objects = { primary: new Set(), replica: new Set(), other: new Set(), down: new Set() };
+    presigner.headObject = jest.fn(async (provider, key) => {
+      if (objects.down.has(provider.id)) {
+        throw new Error('connect ECONNREFUSED');
+      }
+      if (!objects[provider.id].has(key)) {
+        throw notFound();
+      }
+      return { ContentLength: 1 };
+    });
+
+    await presigner.locationStore.set('a.txt', {
+      providerId: 'primary',
+      bucket: 'primary-bucket',
+      createdAt: new Date().toISOString(),
+      replicas: ['replica']
+    });
+  });
+
+  test('should try the recorded location, then its replicas, then every other provider', async () => {
+    const candidates = await presigner.getReadCandidates({ key: 'a.txt' });
+    expect(candidates.map(p => p.id)).toEqual(['primary', 'replica', 'other']);
+  });
+
+  test('should try healthy providers first', async () => {
+    presigner.recordProviderFailure('primary');
+
+    const candidates = await presigner.getReadCandidates({ key: 'a.txt' });
+    expect(candidates.map(p => p.id)).toEqual(['replica', 'other', 'primary']);
+  });
+
+  test('should fail over to a replica when the object is missing or the provider errors', async () => {
+    objects.replica.add('a.txt');
+    objects.down.add('primary');
+
+    const result = await presigner.generateReadUrl({ key: 'a.txt', failover: true });
+
+    expect(result.provider).toBe('replica');
+    expect(result.failover).toEqual({
+      attempts: 2,
+      tried: [
+        { provider: 'primary', result: 'error', error: 'connect ECONNREFUSED' },
+        { provider: 'replica', result: 'found' }
+      ]
+    });
+    expect(presigner.providerUsage.primary.consecutiveFailures).toBe(1);
+  });
+
+  test('should not count a missing object against the provider', async () => {
+    objects.other.add('a.txt');
+
+    const result = await presigner.generateReadUrl({ key: 'a.txt', failover: true });
+
+    expect(result.provider).toBe('other');
+    expect(result.failover.tried.map(t => t.result)).toEqual(['missing', 'missing', 'found']);
+    expect(presigner.providerUsage.primary.health).toBe('healthy');
+  });
+
+  test('should only try the given candidates', async () => {
+    objects.primary.add('a.txt');
+    objects.other.add('a.txt');
+
+    const result = await presigner.generateReadUrl({ key: 'a.txt', failover: true, candidates: ['other'] });
+
+    expect(result.provider).toBe('other');
+    expect(presigner.headObject).toHaveBeenCalledTimes(1);
+  });
+
+  test('should fail when no provider has the object', async () => {
+    await expect(presigner.generateReadUrl({ key: 'a.txt', failover: true }))
+      .rejects.toThrow('Object a.txt not found on any of 3 candidate providers (primary: missing, replica: missing, other: missing)');
+  });
+
+  test('should read from a replica without a HEAD request when the primary circuit is open', async () => {
+    for (let i = 0; i < presigner.circuitBreaker.failureThreshold; i++) {
+      presigner.recordProviderFailure('primary');
+    }
+
+    const result = await presigner.generateReadUrl({ key: 'a.txt' });
+
+    expect(result.provider).toBe('replica');
+    expect(presigner.headObject).not.toHaveBeenCalled();
+  });
+
+  test('should fail over through the read route', async () => {
+    objects.replica.add('a.txt');
+    objects.down.add('primary');
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const { app, server } = presigner.createServer(0);
+
+    try {
+      const response = await supertest(app).post('/generate-read-url').send({ key: 'a.txt', failover: true });
+
+      expect(response.status).toBe(200);
+      expect(response.body.provider).toBe('replica');
+      expect(response.body.failover.attempts).toBe(2);
+    } finally {
+      server.close();
+      console.log.mockRestore();
+    }
+  });
+});
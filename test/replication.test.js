@@ -0,0 +1,152 @@
+const MultiBucket = require('../index');
+const { s3Provider } = require('./helpers');
+
+// Let queued jobs and their retries run until they settle
+const settle = async jobs => {
+  for (let i = 0; i < 200 && jobs.some(job => !['completed', 'failed'].includes(job.status)); i++) {
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+};
+
+describe('replication', () => {
+  let presigner;
+
+  beforeEach(() => {
+    presigner = new MultiBucket({
+      providers: [
+        s3Provider('primary', { replication: [{ prefix: 'docs/', targets: ['backup'] }, { copies: 1 }] }),
+        s3Provider('backup'),
+        s3Provider('spare'),
+        { id: 'azure', type: 'azure', accountName: 'account', accountKey: Buffer.from('key').toString('base64'), bucket: 'uploads' }
+      ],
+      replication: { concurrency: 1, maxAttempts: 3, retryDelay: 1 }
+    });
+  });
+
+  test('should pick explicit targets by prefix and extra copies by hashing the key', () => {
+    const docsTargets = presigner.getReplicationTargets('docs/a.pdf', presigner.providers[0]).map(p => p.id);
+    const otherTargets = presigner.getReplicationTargets('img/a.png', presigner.providers[0]).map(p => p.id);
+
+    expect(docsTargets[0]).toBe('backup');
+    expect(docsTargets).toHaveLength(2);
+    expect(otherTargets).toHaveLength(1);
+    [...docsTargets, ...otherTargets].forEach(id => expect(['backup', 'spare']).toContain(id));
+    expect(presigner.getReplicationTargets('img/a.png', presigner.providers[0])).toEqual(
+      presigner.getReplicationTargets('img/a.png', presigner.providers[0])
+    );
+  });
+
+  test('should copy the object and record the replica', async () => {
+    presigner.copyObject = jest.fn().mockResolvedValue();
+    await presigner.recordObjectLocation('img/a.png', presigner.providers[0]);
+
+    const jobs = presigner.replicateObject('img/a.png', presigner.providers[0]);
+    await settle(jobs);
+
+    expect(jobs[0]).toMatchObject({ key: 'img/a.png', sourceProviderId: 'primary', status: 'completed', attempts: 1 });
+    expect(presigner.copyObject).toHaveBeenCalledWith('img/a.png', 'primary', jobs[0].targetProviderId);
+    expect((await presigner.getObjectLocation('img/a.png')).replicas).toEqual([jobs[0].targetProviderId]);
+  });
+
+  test('should record the source as the location of a key whose location is missing', async () => {
+    presigner.copyObject = jest.fn().mockResolvedValue();
+
+    const jobs = [presigner.enqueueReplication('lost.txt', 'primary', 'backup')];
+    await settle(jobs);
+
+    expect(await presigner.getObjectLocation('lost.txt')).toMatchObject({
+      providerId: 'primary',
+      bucket: 'primary-bucket',
+      replicas: ['backup']
+    });
+  });
+
+  test('should retry failed copies with backoff, then give up', async () => {
+    presigner.copyObject = jest.fn().mockRejectedValue(new Error('AccessDenied'));
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const jobs = [presigner.enqueueReplication('a.txt', 'primary', 'backup')];
+    await settle(jobs);
+
+    expect(jobs[0]).toMatchObject({ status: 'failed', attempts: 3, error: 'AccessDenied' });
+    expect(presigner.copyObject).toHaveBeenCalledTimes(3);
+    expect(presigner.getReplicationJobs({ status: 'failed' })).toEqual([jobs[0]]);
+    expect(error).toHaveBeenCalledWith('Replication of a.txt from primary to backup failed:', 'AccessDenied');
+
+    error.mockRestore();
+  });
+
+  test('should run at most `concurrency` copies at once', async () => {
+    let running = 0;
+    let maxRunning = 0;
+    presigner.copyObject = jest.fn(async () => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      running--;
+    });
+
+    const jobs = ['a', 'b', 'c'].map(key => presigner.enqueueReplication(key, 'primary', 'backup'));
+    await settle(jobs);
+
+    expect(jobs.every(job => job.status === 'completed')).toBe(true);
+    expect(maxRunning).toBe(1);
+  });
+
+  test('should stream the object from the source into the target', async () => {
+    const body = Buffer.from('hello');
+    const sourceSend = jest.fn().mockResolvedValue({ Body: body, ContentLength: 5, ContentType: 'text/plain', Metadata: { a: 'b' } });
+    const targetSend = jest.fn().mockResolvedValue({});
+    presigner.getClient(presigner.providers[0]).send = sourceSend;
+    presigner.getClient(presigner.providers[1]).send = targetSend;
+
+    await presigner.copyObject('a.txt', 'primary', 'backup');
+
+    expect(sourceSend.mock.calls[0][0].input).toEqual({ Bucket: 'primary-bucket', Key: 'a.txt' });
+    expect(targetSend.mock.calls[0][0].input).toMatchObject({
+      Bucket: 'backup-bucket',
+      Key: 'a.txt',
+      Body: body,
+      ContentLength: 5,
+      ContentType: 'text/plain'
+    });
+  });
+
+  test('should not replicate to or from providers without the capability', () => {
+    presigner.providers[0].replication = { targets: ['azure'] };
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect(presigner.getReplicationTargets('a.txt', presigner.providers[0])).toEqual([]);
+    expect(error).toHaveBeenCalledWith('Replication target azure of type azure does not support replication');
+    expect(presigner.getReplicationTargets('a.txt', presigner.providers[3])).toEqual([]);
+
+    error.mockRestore();
+  });
+
+  test('should start replication when an upload is confirmed', async () => {
+    presigner.copyObject = jest.fn().mockResolvedValue();
+    presigner.headObject = jest.fn().mockResolvedValue({ ContentLength: 1, ContentType: 'text/plain' });
+    const upload = await presigner.generateUploadUrl({ filename: 'a.txt', contentType: 'text/plain', path: 'docs', providerId: 'primary' });
+
+    const result = await presigner.confirmUpload({ key: upload.key });
+    const jobs = result.replicationJobs.map(id => presigner.getReplicationJob(id));
+    await settle(jobs);
+
+    expect(jobs).toHaveLength(2);
+    expect(jobs.every(job => job.status === 'completed')).toBe(true);
+  });
+
+  test('should not replicate again when a confirmation is repeated', async () => {
+    presigner.copyObject = jest.fn().mockResolvedValue();
+    presigner.headObject = jest.fn().mockResolvedValue({ ContentLength: 1, ContentType: 'text/plain' });
+    const upload = await presigner.generateUploadUrl({ filename: 'a.txt', contentType: 'text/plain', path: 'docs', providerId: 'primary' });
+
+    const first = await presigner.confirmUpload({ key: upload.key });
+    const retries = [await presigner.confirmUpload({ key: upload.key }), await presigner.confirmUpload({ key: upload.key })];
+    await settle(first.replicationJobs.map(id => presigner.getReplicationJob(id)));
+
+    expect(first.replicationJobs).toHaveLength(2);
+    expect(retries.map(result => result.replicationJobs)).toEqual([[], []]);
+    expect(presigner.copyObject).toHaveBeenCalledTimes(2);
+  });
+});
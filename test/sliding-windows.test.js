@@ -0,0 +1,133 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MultiBucket = require('../index');
+const { s3Provider } = require('./helpers');
+
+const START = Date.parse('2024-01-01T00:00:00Z');
+
+describe('sliding window stats', () => {
+  let presigner;
+  let now;
+
+  beforeEach(() => {
+    now = START;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    presigner = new MultiBucket({
+      providers: [s3Provider('a'), s3Provider('b')],
+      stats: { windows: [60, 300], bucketSize: 10, strategyWindow: 60 }
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should count requests and errors per window', () => {
+    const recent = presigner.providerUsage.a.recent;
+
+    recent.record('requests', START - 200 * 1000);
+    recent.record('errors', START - 200 * 1000);
+    recent.record('requests', START - 30 * 1000);
+    recent.record('requests');
+    recent.record('requests');
+
+    expect(presigner.getWindowStats(presigner.providers[0])).toEqual({
+      '60s': { requests: 3, errors: 0, requestsPerSecond: 0.05, errorRate: 0 },
+      '300s': { requests: 4, errors: 1, requestsPerSecond: 0.0133, errorRate: 0.25 }
+    });
+  });
+
+  test('should forget counts older than the window as time moves on', () => {
+    const recent = presigner.providerUsage.a.recent;
+    recent.record('requests');
+
+    now = START + 55 * 1000;
+    expect(recent.sum(60).requests).toBe(1);
+
+    now = START + 61 * 1000;
+    expect(recent.sum(60).requests).toBe(0);
+    expect(recent.sum(300).requests).toBe(1);
+
+    // The bucket is reused once the ring wraps around
+    now = START + 300 * 1000;
+    recent.record('requests');
+    expect(recent.sum(300)).toEqual({ requests: 1, errors: 0 });
+    expect(recent.buckets).toHaveLength(30);
+  });
+
+  test('should balance least-errors on recent errors only', () => {
+    presigner.loadBalanceStrategy = 'least-errors';
+
+    // a had an error burst long ago, b has a fresh error
+    for (let i = 0; i < 5; i++) {
+      presigner.providerUsage.a.recent.record('requests', START - 600 * 1000);
+      presigner.providerUsage.a.recent.record('errors', START - 600 * 1000);
+    }
+    presigner.providerUsage.a.errorCount = 5;
+    presigner.providerUsage.b.recent.record('requests');
+    presigner.providerUsage.b.recent.record('errors');
+
+    expect(presigner.getStorageProvider().id).toBe('a');
+  });
+
+  test('should balance least-used on recent traffic only', () => {
+    presigner.loadBalanceStrategy = 'least-used';
+    presigner.providerUsage.a.requestCount = 1000;
+    presigner.providerUsage.b.recent.record('requests');
+
+    expect(presigner.getStorageProvider().id).toBe('a');
+  });
+
+  test('should report the windows in getStats', () => {
+    presigner.recordProviderFailure('b', new Error('SlowDown'));
+
+    const stats = presigner.getStats().providerStats.find(p => p.id === 'b');
+    expect(stats.windows['60s']).toEqual({ requests: 0, errors: 1, requestsPerSecond: 0, errorRate: 0 });
+  });
+
+  describe('snapshots', () => {
+    let directory;
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'multibucket-stats-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('should restore the counters saved by a previous instance', async () => {
+      const snapshotFile = path.join(directory, 'stats.json');
+      const options = { providers: [s3Provider('a')], stats: { windows: [60], snapshotFile } };
+
+      const first = new MultiBucket(options);
+      first.stopStatsSnapshots();
+      first.providerUsage.a.requestCount = 7;
+      first.providerUsage.a.recent.record('requests');
+      await first.saveStatsSnapshot();
+
+      now = START + 20 * 1000;
+      const second = new MultiBucket(options);
+      second.stopStatsSnapshots();
+
+      expect(second.providerUsage.a.requestCount).toBe(7);
+      expect(second.getWindowStats(second.providers[0])['60s'].requests).toBe(1);
+      expect(fs.existsSync(`${snapshotFile}.tmp`)).toBe(false);
+    });
+
+    test('should ignore windows saved with another bucket size', async () => {
+      const snapshotFile = path.join(directory, 'stats.json');
+
+      const first = new MultiBucket({ providers: [s3Provider('a')], stats: { snapshotFile } });
+      first.stopStatsSnapshots();
+      first.providerUsage.a.recent.record('requests');
+      await first.saveStatsSnapshot();
+
+      const second = new MultiBucket({ providers: [s3Provider('a')], stats: { snapshotFile, bucketSize: 5 } });
+      second.stopStatsSnapshots();
+
+      expect(second.providerUsage.a.recent.sum(60).requests).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,288 @@
+const supertest = require('supertest');
+const MultiBucket = require('../index');
+const { s3Provider } = require('./helpers');
+
+const { TenantError } = MultiBucket;
+
+describe('tenants', () => {
+  let presigner;
+
+  const upload = (options = {}) => presigner.generateUploadUrl({ filename: 'a.txt', contentType: 'text/plain', ...options });
+
+  beforeEach(() => {
+    presigner = new MultiBucket({
+      providers: [s3Provider('a'), s3Provider('b'), s3Provider('c')],
+      loadBalanceStrategy: 'round-robin',
+      tenants: [
+        { id: 'acme', prefix: 'tenants/acme', providers: ['a', 'b'], defaultExpiry: 600, quotas: { maxBytes: 1000, maxObjects: 3 } },
+        { id: 'globex', prefix: '/tenants/globex/', providers: ['c'] }
+      ]
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('configuration', () => {
+    test('should normalize prefixes to end with a slash', () => {
+      expect(presigner.getTenant('acme').prefix).toBe('tenants/acme/');
+      expect(presigner.getTenant('globex').prefix).toBe('tenants/globex/');
+      expect(presigner.getTenantForKey('tenants/globex/x.txt').id).toBe('globex');
+      expect(presigner.getTenantForKey('tenants/acmecorp/x.txt')).toBeNull();
+    });
+
+    test('should reject overlapping, dot segment and unknown entries', () => {
+      const errors = presigner.updateTenants([
+        { id: 'acme', prefix: 'tenants/acme' },
+        { id: 'acme-eu', prefix: 'tenants/acme/eu' },
+        { id: 'escape', prefix: 'tenants/../globex' },
+        { id: 'dot', prefix: './dot' },
+        { id: 'empty', prefix: '//' },
+        { id: 'acme', prefix: 'tenants/other' },
+        { id: 'ghost', prefix: 'ghost', providers: ['z'], loadBalanceStrategy: 'cheapest' }
+      ]);
+
+      expect(errors).toEqual([
+        { path: 'tenants[1].prefix', message: 'overlaps the prefix of tenant acme' },
+        { path: 'tenants[2].prefix', message: 'must not contain . or .. segments' },
+        { path: 'tenants[3].prefix', message: 'must not contain . or .. segments' },
+        { path: 'tenants[4].prefix', message: 'must be a non-empty string' },
+        { path: 'tenants[5].id', message: 'duplicate tenant ID acme' },
+        { path: 'tenants[6].providers', message: 'has unknown providers: z' },
+        { path: 'tenants[6].loadBalanceStrategy', message: 'is not a known strategy: cheapest' }
+      ]);
+      expect([...presigner.tenants.keys()]).toEqual(['acme']);
+    });
+
+    test('should keep the previous entry of a tenant whose new one is invalid', () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const { errors } = presigner.updateConfig({
+        tenants: [{ id: 'acme', prefix: 'tenants/acme', quotas: { maxFiles: 1 } }, { id: 'globex', prefix: 'tenants/globex' }]
+      });
+
+      expect(errors).toEqual([{ path: 'tenants[0].quotas', message: 'maxFiles is not a known quota (expected maxBytes or maxObjects)' }]);
+      expect(presigner.getTenant('acme').providers).toEqual(['a', 'b']);
+      expect(presigner.getTenant('globex').providers).toBeUndefined();
+    });
+  });
+
+  describe('uploads', () => {
+    test('should build keys under the prefix and route to the tenant providers with its expiry', async () => {
+      const results = [];
+      for (let i = 0; i < 3; i++) {
+        results.push(await upload({ tenantId: 'acme', path: 'docs', size: 10 }));
+      }
+
+      expect(results.map(r => r.provider)).toEqual(['a', 'b', 'a']);
+      results.forEach(result => {
+        expect(result.key).toMatch(/^tenants\/acme\/docs\/[0-9a-f-]{36}-a\.txt$/);
+      });
+      expect(new Date(results[0].expires).getTime() - Date.now()).toBeGreaterThan(590 * 1000);
+      expect(new Date(results[0].expires).getTime() - Date.now()).toBeLessThanOrEqual(600 * 1000);
+    });
+
+    test.each([
+      ['a key under another tenant', 'tenants/globex/a.txt'],
+      ['a key escaping with ..', 'tenants/acme/../globex/a.txt'],
+      ['a key with a . segment', 'tenants/acme/./a.txt'],
+      ['a key sharing only the start of the prefix', 'tenants/acmecorp/a.txt']
+    ])('should reject %s', async (description, key) => {
+      const error = await upload({ tenantId: 'acme', keySpecified: key }).catch(e => e);
+
+      expect(error).toBeInstanceOf(TenantError);
+      expect(error.status).toBe(403);
+      expect(error.message).toBe(`Failed to generate upload URL: Key ${key} is outside the prefix tenants/acme/ of tenant acme`);
+    });
+
+    test('should reject paths escaping the prefix', async () => {
+      await expect(upload({ tenantId: 'acme', path: 'docs/../../globex' }))
+        .rejects.toThrow('Path docs/../../globex must not contain . or .. segments');
+    });
+
+    test('should reject unknown tenants and providers outside the tenant', async () => {
+      const unknown = await upload({ tenantId: 'initech' }).catch(e => e);
+      expect(unknown).toMatchObject({ name: 'TenantError', status: 404, message: 'Failed to generate upload URL: Unknown tenant: initech' });
+
+      const otherProvider = await upload({ tenantId: 'acme', providerId: 'c' }).catch(e => e);
+      expect(otherProvider).toMatchObject({ status: 403, message: 'Failed to generate upload URL: Provider c is not available to tenant acme' });
+
+      const disjoint = await upload({ tenantId: 'acme', allowedProviders: ['c'] }).catch(e => e);
+      expect(disjoint).toMatchObject({ status: 403, message: 'Failed to generate upload URL: None of the allowed providers are available to tenant acme' });
+
+      // Tenant errors are the caller's fault, not the provider's
+      Object.values(presigner.providerUsage).forEach(usage => {
+        expect(usage.consecutiveFailures).toBe(0);
+        expect(usage.errorCount).toBe(0);
+      });
+    });
+
+    test('should stop uploads once the tenant is over its quota', async () => {
+      await upload({ tenantId: 'acme', size: 600 });
+
+      const overBytes = await upload({ tenantId: 'acme', size: 600 }).catch(e => e);
+      expect(overBytes).toMatchObject({ status: 507, message: 'Failed to generate upload URL: Tenant acme is over its storage quota' });
+
+      await upload({ tenantId: 'acme', size: 100 });
+      await upload({ tenantId: 'acme', size: 100 });
+      const overObjects = await upload({ tenantId: 'acme', size: 1 }).catch(e => e);
+      expect(overObjects.status).toBe(507);
+
+      // Other tenants and untenanted uploads are not limited
+      expect((await upload({ tenantId: 'globex', size: 5000 })).provider).toBe('c');
+      expect((await upload({ size: 5000 })).key).not.toMatch(/^tenants\//);
+    });
+
+    test('should count confirmed objects against the tenant', async () => {
+      const result = await upload({ tenantId: 'acme', size: 300 });
+      presigner.headObject = jest.fn().mockResolvedValue({ ContentLength: 300, ContentType: 'text/plain' });
+
+      await presigner.confirmUpload({ key: result.key });
+
+      expect(presigner.getStats().tenantStats.find(t => t.id === 'acme')).toEqual({
+        id: 'acme',
+        prefix: 'tenants/acme/',
+        providers: ['a', 'b'],
+        usage: { usedBytes: 300, usedObjects: 1, pendingBytes: 0, pendingObjects: 0 },
+        quotas: { maxBytes: 1000, maxObjects: 3 },
+        acceptingUploads: true
+      });
+      expect(presigner.getStats().tenantStats.find(t => t.id === 'globex')).toMatchObject({
+        providers: ['c'],
+        quotas: { maxBytes: null, maxObjects: null }
+      });
+    });
+  });
+
+  describe('reads', () => {
+    test('should sign reads under the prefix on the tenant providers only', async () => {
+      const result = await presigner.generateReadUrl({ tenantId: 'globex', key: 'tenants/globex/a.txt', providerId: 'c' });
+      expect(result.provider).toBe('c');
+
+      const escape = await presigner.generateReadUrl({ tenantId: 'globex', key: 'tenants/globex/../acme/a.txt', providerId: 'c' }).catch(e => e);
+      expect(escape).toMatchObject({ name: 'TenantError', status: 403 });
+
+      const otherPrefix = await presigner.generateReadUrl({ tenantId: 'globex', key: 'tenants/acme/a.txt', providerId: 'c' }).catch(e => e);
+      expect(otherPrefix.status).toBe(403);
+    });
+
+    test('should reject objects recorded on another tenant provider', async () => {
+      await presigner.locationStore.set('tenants/globex/moved.txt', { providerId: 'a', bucket: 'a-bucket' });
+
+      const error = await presigner.generateReadUrl({ tenantId: 'globex', key: 'tenants/globex/moved.txt' }).catch(e => e);
+
+      expect(error).toMatchObject({
+        status: 403,
+        message: 'Failed to generate read URL: Object tenants/globex/moved.txt is stored on provider a, which is not one of the allowed providers'
+      });
+      expect(presigner.providerUsage.a.consecutiveFailures).toBe(0);
+    });
+  });
+
+  describe('tenant-bound principals', () => {
+    let server;
+    let request;
+
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      let app;
+      ({ app, server } = presigner.createServer(0, {
+        auth: { apiKeys: [{ key: 'acme-key', scopes: ['upload'], tenantId: 'acme' }] }
+      }));
+      request = (route, body) => supertest(app).post(route).set('X-API-Key', 'acme-key').send(body);
+    });
+
+    afterEach(() => {
+      server.close();
+    });
+
+    test('should not confirm keys of another tenant', async () => {
+      presigner.headObject = jest.fn().mockResolvedValue({ ContentLength: 300, ContentType: 'text/plain' });
+
+      const response = await request('/confirm-upload', { key: 'tenants/globex/secret.txt', provider: 'c' });
+
+      expect(response.status).toBe(403);
+      expect(response.body.error).toBe('Key tenants/globex/secret.txt is outside the prefix tenants/acme/ of tenant acme');
+      expect(presigner.headObject).not.toHaveBeenCalled();
+      expect(presigner.tenantUsage.globex).toMatchObject({ usedBytes: 0, usedObjects: 0 });
+    });
+
+    test('should not sign parts of another tenant multipart upload', async () => {
+      const response = await request('/generate-upload-part-url', { key: 'tenants/globex/big.bin', uploadId: 'upload-1', partNumber: 1, providerId: 'c' });
+
+      expect(response.status).toBe(403);
+      expect(response.body.error).toMatch(/outside the prefix tenants\/acme\/ of tenant acme$/);
+    });
+
+    test('should not complete another tenant multipart upload', async () => {
+      const complete = jest.spyOn(presigner, 'completeMultipartUpload');
+
+      const response = await request('/complete-multipart-upload', {
+        key: 'tenants/globex/big.bin',
+        uploadId: 'upload-1',
+        parts: [{ PartNumber: 1, ETag: '"etag"' }],
+        providerId: 'c'
+      });
+
+      expect(response.status).toBe(403);
+      expect(complete).not.toHaveBeenCalled();
+    });
+
+    test('should not abort another tenant multipart upload', async () => {
+      const abort = jest.spyOn(presigner, 'abortMultipartUpload');
+
+      const response = await request('/abort-multipart-upload', { key: 'tenants/globex/big.bin', uploadId: 'upload-1', providerId: 'c' });
+
+      expect(response.status).toBe(403);
+      expect(abort).not.toHaveBeenCalled();
+    });
+
+    test('should still act on keys under its own prefix', async () => {
+      const abort = jest.spyOn(presigner, 'abortMultipartUpload').mockResolvedValue({ aborted: true });
+
+      const response = await request('/abort-multipart-upload', { key: 'tenants/acme/big.bin', uploadId: 'upload-1', providerId: 'a' });
+
+      expect(response.status).toBe(200);
+      expect(abort).toHaveBeenCalledWith({ key: 'tenants/acme/big.bin', uploadId: 'upload-1', providerId: 'a' });
+    });
+  });
+
+  test('should take removed providers out of tenant pools', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const { errors } = presigner.updateConfig({ providers: [s3Provider('a'), s3Provider('b')], removeStaleProviders: true });
+
+    expect(errors).toEqual([{ path: 'tenants', message: 'tenant globex has no providers left after removing c' }]);
+    expect(presigner.getTenant('acme').providers).toEqual(['a', 'b']);
+    expect(presigner.getTenant('globex').providers).toEqual([]);
+    expect(presigner.providerUsage.c).toBeUndefined();
+    await expect(upload({ tenantId: 'globex' })).rejects.toMatchObject({ status: 403 });
+  });
+
+  test('should answer with the tenant error statuses', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const { app, server } = presigner.createServer(0);
+    const request = supertest(app);
+
+    try {
+      const uploadUrl = body => request.post('/generate-upload-url').send({ filename: 'a.txt', contentType: 'text/plain', ...body });
+
+      expect((await uploadUrl({ tenantId: 'initech' })).status).toBe(404);
+      expect((await uploadUrl({ tenantId: 'acme', providerId: 'c' })).status).toBe(403);
+
+      const allowed = await uploadUrl({ tenantId: 'acme', path: 'docs', size: 900 });
+      expect(allowed.status).toBe(200);
+      expect(allowed.body.key).toMatch(/^tenants\/acme\/docs\//);
+
+      const overQuota = await uploadUrl({ tenantId: 'acme', size: 900 });
+      expect(overQuota.status).toBe(507);
+      expect(overQuota.body.error).toBe('Failed to generate upload URL: Tenant acme is over its storage quota');
+
+      const read = await request.post('/generate-read-url').send({ tenantId: 'acme', key: 'tenants/globex/a.txt' });
+      expect(read.status).toBe(403);
+    } finally {
+      server.close();
+    }
+  });
+});
@@ -0,0 +1,176 @@
+const supertest = require('supertest');
+const MultiBucket = require('../index');
+const { s3Provider } = require('./helpers');
+
+const { UploadPolicyError } = MultiBucket;
+
+const CHECKSUM = Buffer.alloc(32, 1).toString('base64');
+
+describe('upload policy', () => {
+  let presigner;
+
+  const upload = (options = {}) => presigner.generateUploadUrl({ filename: 'me.png', contentType: 'image/png', ...options });
+
+  beforeEach(() => {
+    presigner = new MultiBucket({
+      providers: [s3Provider('private'), s3Provider('cdn', { public: true })],
+      loadBalanceStrategy: 'round-robin',
+      uploadPolicy: {
+        rules: [
+          {
+            pathPrefix: '/avatars/',
+            allowTypes: ['image/*'],
+            denyTypes: ['image/svg+xml'],
+            allowExtensions: ['png', '.JPG'],
+            maxSize: 1000
+          },
+          { denyExtensions: ['.exe'] }
+        ]
+      }
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('checkUploadPolicy', () => {
+    const check = upload => presigner.checkUploadPolicy({ key: 'avatars/me.png', filename: 'me.png', contentType: 'image/png', size: 10, ...upload });
+
+    test('should allow uploads matching every applying rule', () => {
+      expect(check()).toEqual([]);
+      expect(check({ filename: 'ME.JPG', contentType: 'image/jpeg; charset=binary' })).toEqual([]);
+      expect(check({ key: 'docs/a.pdf', filename: 'a.pdf', contentType: 'application/pdf', size: undefined })).toEqual([]);
+    });
+
+    test('should report every broken rule with its code', () => {
+      expect(check({ filename: 'logo.svg', contentType: 'image/svg+xml', size: 5000 })).toEqual([
+        { rule: 0, pathPrefix: 'avatars/', code: 'type_denied', message: 'Content type image/svg+xml is denied under avatars/' },
+        { rule: 0, pathPrefix: 'avatars/', code: 'extension_not_allowed', message: 'Extension .svg is not allowed under avatars/' },
+        { rule: 0, pathPrefix: 'avatars/', code: 'size_exceeded', message: 'Size 5000 exceeds the maximum of 1000 bytes under avatars/' }
+      ]);
+      expect(check({ filename: 'run.exe', contentType: 'application/octet-stream', size: undefined }).map(v => v.code))
+        .toEqual(['type_not_allowed', 'extension_not_allowed', 'size_required', 'extension_denied']);
+      expect(check({ filename: undefined }).map(v => v.code)).toEqual(['filename_required', 'filename_required']);
+    });
+  });
+
+  describe('generateUploadUrl', () => {
+    test('should throw typed errors with 413 for sizes only and 400 otherwise', async () => {
+      const tooLarge = await upload({ path: 'avatars', size: 2000 }).catch(e => e);
+      expect(tooLarge).toBeInstanceOf(UploadPolicyError);
+      expect(tooLarge).toMatchObject({ status: 413, code: 'size_exceeded' });
+      expect(tooLarge.message).toBe('Failed to generate upload URL: Size 2000 exceeds the maximum of 1000 bytes under avatars/');
+
+      const wrongType = await upload({ path: 'avatars', size: 2000, filename: 'a.gif', contentType: 'image/gif' }).catch(e => e);
+      expect(wrongType).toMatchObject({ status: 400, code: 'extension_not_allowed' });
+      expect(wrongType.violations.map(v => v.code)).toEqual(['extension_not_allowed', 'size_exceeded']);
+
+      // Violations are the caller's fault, not the provider's
+      Object.values(presigner.providerUsage).forEach(usage => expect(usage.consecutiveFailures).toBe(0));
+    });
+
+    test('should sign the content type and return the headers to send', async () => {
+      const result = await upload({ path: 'avatars', size: 100, providerId: 'private', checksumSHA256: CHECKSUM });
+      const url = new URL(result.uploadUrl);
+
+      expect(url.searchParams.get('X-Amz-SignedHeaders').split(';')).toContain('content-type');
+      expect(result.uploadHeaders).toEqual({ 'Content-Type': 'image/png', 'x-amz-checksum-sha256': CHECKSUM });
+    });
+
+    test('should keep dangerous uploads off public providers', async () => {
+      const results = [];
+      for (let i = 0; i < 3; i++) {
+        results.push(await upload({ filename: 'page.html', contentType: 'text/html' }));
+      }
+      expect(results.map(r => r.provider)).toEqual(['private', 'private', 'private']);
+
+      // Safe uploads still use the public provider
+      expect((await upload()).provider).toBe('cdn');
+
+      const pinned = await upload({ filename: 'page.html', contentType: 'text/html', providerId: 'cdn' }).catch(e => e);
+      expect(pinned).toMatchObject({ status: 400, code: 'dangerous_type' });
+      expect(pinned.message).toBe('Failed to generate upload URL: text/html (.html) uploads are blocked on public provider cdn');
+
+      // A dangerous extension is enough, whatever the declared type
+      const renamed = await upload({ filename: 'logo.svg', contentType: 'application/octet-stream', providerId: 'cdn' }).catch(e => e);
+      expect(renamed.code).toBe('dangerous_type');
+
+      const onlyPublic = await upload({ filename: 'page.html', contentType: 'text/html', allowedProviders: ['cdn'] }).catch(e => e);
+      expect(onlyPublic.message).toBe('Failed to generate upload URL: text/html uploads are blocked on public providers, and no other provider is available');
+    });
+
+    test('should use the configured dangerous lists instead of the defaults', async () => {
+      presigner.updateConfig({ uploadPolicy: { dangerousTypes: ['application/pdf'], dangerousExtensions: ['pdf'] } });
+
+      expect((await upload({ filename: 'page.html', contentType: 'text/html', providerId: 'cdn' })).provider).toBe('cdn');
+      await expect(upload({ filename: 'a.pdf', contentType: 'application/pdf', providerId: 'cdn' })).rejects.toThrow(UploadPolicyError);
+    });
+  });
+
+  describe('generateUploadPost', () => {
+    const post = options => presigner.generateUploadPost({ providerId: 'private', path: 'avatars', ...options });
+    const policyOf = result => JSON.parse(Buffer.from(result.fields.Policy, 'base64').toString());
+
+    test('should cap the size range at the rule maxSize', async () => {
+      const result = await post({ filename: 'me.png', contentType: 'image/png' });
+
+      expect(result.maxSize).toBe(1000);
+      expect(policyOf(result).conditions).toContainEqual(['content-length-range', 0, 1000]);
+      await expect(post({ filename: 'me.png', contentType: 'image/png', maxSize: 5000 })).rejects.toMatchObject({ status: 413 });
+    });
+
+    test('should check content type prefixes against every type they admit', async () => {
+      const imagePrefix = await post({ filename: 'me.png', contentTypePrefix: 'image/' }).catch(e => e);
+      expect(imagePrefix.code).toBe('type_denied');
+
+      presigner.updateConfig({ uploadPolicy: { rules: [{ pathPrefix: 'avatars/', allowTypes: ['image/*'] }] } });
+      expect((await post({ contentTypePrefix: 'image/' })).key).toMatch(/^avatars\/.*\$\{filename\}$/);
+      await expect(post({ contentTypePrefix: 'application/' })).rejects.toMatchObject({ code: 'type_not_allowed' });
+    });
+  });
+
+  describe('configuration', () => {
+    test('should keep the previous policy when the new one is invalid', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const { errors } = presigner.updateConfig({
+        uploadPolicy: { rules: [{ pathPrefix: 'avatars/', allowTypes: ['png'] }, { maxSize: 0, match: 'x' }], blockPublic: true }
+      });
+
+      expect(errors).toEqual([
+        { path: 'uploadPolicy.blockPublic', message: 'is not a known upload policy field' },
+        { path: 'uploadPolicy.rules[0].allowTypes', message: 'must be an array of MIME types such as image/png or image/*' },
+        { path: 'uploadPolicy.rules[1].maxSize', message: 'must be a positive integer' },
+        { path: 'uploadPolicy.rules[1].match', message: 'is not a known upload rule field' }
+      ]);
+      await expect(upload({ path: 'avatars', size: 2000 })).rejects.toThrow(UploadPolicyError);
+    });
+  });
+
+  test('should answer with structured violations', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const { app, server } = presigner.createServer(0);
+
+    try {
+      const response = await supertest(app).post('/generate-upload-url')
+        .send({ filename: 'logo.svg', contentType: 'image/svg+xml', path: 'avatars', size: 10 });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({
+        error: 'Failed to generate upload URL: Content type image/svg+xml is denied under avatars/; Extension .svg is not allowed under avatars/',
+        code: 'type_denied',
+        violations: [
+          { rule: 0, pathPrefix: 'avatars/', code: 'type_denied', message: 'Content type image/svg+xml is denied under avatars/' },
+          { rule: 0, pathPrefix: 'avatars/', code: 'extension_not_allowed', message: 'Extension .svg is not allowed under avatars/' }
+        ]
+      });
+
+      const tooLarge = await supertest(app).post('/generate-upload-url')
+        .send({ filename: 'me.png', contentType: 'image/png', path: 'avatars', size: 2000 });
+      expect(tooLarge.status).toBe(413);
+    } finally {
+      server.close();
+    }
+  });
+});
@@ -0,0 +1,118 @@
+const supertest = require('supertest');
+const MultiBucket = require('../index');
+const { s3Provider } = require('./helpers');
+
+// The policy document signed into a presigned POST
+const decodePolicy = fields => JSON.parse(Buffer.from(fields.Policy, 'base64').toString('utf8'));
+
+describe('presigned POST uploads', () => {
+  let presigner;
+
+  beforeEach(() => {
+    presigner = new MultiBucket({
+      providers: [s3Provider('s3-main')],
+      maxUploadSize: 10 * 1024 * 1024
+    });
+  });
+
+  test('should sign the size range and the exact content type', async () => {
+    const result = await presigner.generateUploadPost({
+      filename: 'photo.jpg',
+      contentType: 'image/jpeg',
+      path: 'photos',
+      minSize: 1,
+      maxSize: 5000
+    });
+
+    const policy = decodePolicy(result.fields);
+
+    expect(result.url).toBe('https://s3-main-bucket.s3.us-east-1.amazonaws.com/');
+    expect(result.key).toMatch(/^photos\/[0-9a-f-]{36}-photo\.jpg$/);
+    expect(result.fields.key).toBe(result.key);
+    expect(result.fields['Content-Type']).toBe('image/jpeg');
+    expect(result).toMatchObject({ minSize: 1, maxSize: 5000, provider: 's3-main' });
+    expect(policy.conditions).toContainEqual(['content-length-range', 1, 5000]);
+    expect(policy.conditions).toContainEqual({ 'Content-Type': 'image/jpeg' });
+  });
+
+  test('should sign a starts-with condition for a content type prefix', async () => {
+    const result = await presigner.generateUploadPost({ filename: 'photo.png', contentTypePrefix: 'image/' });
+
+    expect(decodePolicy(result.fields).conditions).toContainEqual(['starts-with', '$Content-Type', 'image/']);
+    expect(result.fields['Content-Type']).toBeUndefined();
+  });
+
+  test('should cap the size range at maxUploadSize', async () => {
+    const result = await presigner.generateUploadPost({ filename: 'a.bin', contentType: 'application/octet-stream' });
+
+    expect(result).toMatchObject({ minSize: 0, maxSize: 10 * 1024 * 1024 });
+    await expect(presigner.generateUploadPost({ filename: 'a.bin', contentType: 'text/plain', maxSize: 20 * 1024 * 1024 }))
+      .rejects.toThrow('maxSize cannot exceed 10485760 bytes');
+    await expect(presigner.generateUploadPost({ filename: 'a.bin', contentType: 'text/plain', minSize: 10, maxSize: 5 }))
+      .rejects.toThrow('maxSize must be greater than or equal to minSize');
+  });
+
+  test('should let the browser name the file when no filename is given', async () => {
+    const result = await presigner.generateUploadPost({ contentType: 'text/plain', path: 'docs' });
+
+    expect(result.key).toMatch(/^docs\/[0-9a-f-]{36}-\$\{filename\}$/);
+    expect(result.publicUrl).toBeNull();
+    expect(decodePolicy(result.fields).conditions).toContainEqual(['starts-with', '$key', result.key.replace('${filename}', '')]);
+  });
+
+  test('should require a content type', async () => {
+    await expect(presigner.generateUploadPost({ filename: 'a.txt' }))
+      .rejects.toThrow('contentType or contentTypePrefix is required');
+  });
+
+  test('should skip providers that do not support POST uploads', async () => {
+    presigner = new MultiBucket({
+      providers: [
+        { id: 'azure', type: 'azure', accountName: 'account', accountKey: Buffer.from('key').toString('base64'), bucket: 'uploads' },
+        s3Provider('s3-main')
+      ]
+    });
+
+    for (let i = 0; i < 3; i++) {
+      const result = await presigner.generateUploadPost({ filename: 'a.txt', contentType: 'text/plain' });
+      expect(result.provider).toBe('s3-main');
+    }
+
+    await expect(presigner.generateUploadPost({ filename: 'a.txt', contentType: 'text/plain', providerId: 'azure' }))
+      .rejects.toThrow('Provider azure of type azure does not support presigned POST uploads');
+  });
+
+  describe('POST /generate-upload-post', () => {
+    let server;
+    let request;
+
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      const created = presigner.createServer(0);
+      server = created.server;
+      request = supertest(created.app);
+    });
+
+    afterEach(() => {
+      server.close();
+      console.log.mockRestore();
+    });
+
+    test('should return the URL and form fields', async () => {
+      const response = await request
+        .post('/generate-upload-post')
+        .send({ filename: 'a.txt', contentType: 'text/plain', maxSize: 100 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.fields.Policy).toBeDefined();
+      expect(decodePolicy(response.body.fields).conditions).toContainEqual(['content-length-range', 0, 100]);
+    });
+
+    test('should answer 400 without a content type', async () => {
+      const response = await request.post('/generate-upload-post').send({ filename: 'a.txt' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.errors).toEqual([{ path: 'contentType', message: 'or contentTypePrefix is required' }]);
+    });
+  });
+});